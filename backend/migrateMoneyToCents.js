@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// One-off migration: product prices, order amounts, coupon values and
+// shipping charges used to be stored as decimal numbers (12.34) and are now
+// integer hundredths (1234): cents for amounts, hundredths of a percent for
+// percentage discounts. Documents already converted carry moneyInCents: true
+// (and, on orders, snapshotsInCents: true) and are skipped, so the script can
+// be run again safely. Run it with the server stopped, before starting the
+// version that reads cents.
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/order-management', {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+});
+
+const BATCH_SIZE = 500;
+
+// Same rounding as server.js: half away from zero, after stripping float noise
+const toMinorUnits = (amount) => {
+  if (typeof amount !== 'number' || !Number.isFinite(amount)) return amount;
+  return Math.sign(amount) * Math.round(Number((Math.abs(amount) * 100).toFixed(6)));
+};
+
+const convertFields = (source, fields) => Object.fromEntries(
+  fields.filter(field => source?.[field] != null).map(field => [field, toMinorUnits(source[field])])
+);
+
+const convertProduct = (product) => ({
+  ...convertFields(product, ['price']),
+  moneyInCents: true
+});
+
+const convertCoupon = (coupon) => ({
+  ...convertFields(coupon, ['discountValue', 'minSubtotal']),
+  moneyInCents: true
+});
+
+const convertShippingMethod = (method) => ({
+  ...convertFields(method, ['baseCost', 'perKg', 'freeOver']),
+  moneyInCents: true
+});
+
+// Orders converted by an earlier run of this script have their totals in
+// cents already; only the discount values and shipping terms are left
+const convertOrder = (order) => {
+  const totalsDone = order.moneyInCents === true;
+  const update = totalsDone ? {} : convertFields(order, ['subtotal', 'discountTotal', 'taxTotal', 'shippingCost', 'totalAmount']);
+
+  if (Array.isArray(order.products)) {
+    update.products = order.products.map(line => ({
+      ...line,
+      ...(totalsDone ? {} : convertFields(line, ['price', 'discountAmount', 'taxAmount'])),
+      ...convertFields(line, ['discountValue'])
+    }));
+  }
+  if (order.coupon) {
+    update.coupon = {
+      ...order.coupon,
+      ...(totalsDone ? {} : convertFields(order.coupon, ['discountAmount'])),
+      ...convertFields(order.coupon, ['discountValue'])
+    };
+  }
+  if (order.shipping) {
+    update.shipping = { ...order.shipping, ...convertFields(order.shipping, ['baseCost', 'perKg', 'freeOver']) };
+  }
+  if (Array.isArray(order.editLog) && !totalsDone) {
+    update.editLog = order.editLog.map(entry => ({
+      ...entry,
+      ...convertFields(entry, ['previousTotal', 'totalAmount'])
+    }));
+  }
+
+  return { ...update, moneyInCents: true, snapshotsInCents: true };
+};
+
+// `pending` selects documents still to convert; `unchanged(document)` is added
+// to each write's filter so a document converted meanwhile isn't done twice
+const migrateCollection = async (name, convert, {
+  pending = { moneyInCents: { $ne: true } },
+  unchanged = () => ({ moneyInCents: { $ne: true } })
+} = {}) => {
+  const collection = mongoose.connection.db.collection(name);
+  const cursor = collection.find(pending);
+  let operations = [];
+  let migrated = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    // Writes whose filter no longer matched (converted meanwhile) don't count
+    const result = await collection.bulkWrite(operations, { ordered: false });
+    migrated += result.modifiedCount;
+    operations = [];
+  };
+
+  for await (const document of cursor) {
+    operations.push({
+      updateOne: {
+        // The marker in the filter keeps a document from being converted twice
+        filter: { _id: document._id, ...unchanged(document) },
+        update: { $set: convert(document) }
+      }
+    });
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  console.log(`Converted ${migrated} ${name} to cents`);
+};
+
+const migrate = async () => {
+  try {
+    await mongoose.connection.asPromise();
+    await migrateCollection('products', convertProduct);
+    await migrateCollection('coupons', convertCoupon);
+    await migrateCollection('shippingmethods', convertShippingMethod);
+    await migrateCollection('orders', convertOrder, {
+      pending: { $or: [{ moneyInCents: { $ne: true } }, { snapshotsInCents: { $ne: true } }] },
+      unchanged: (order) => ({
+        moneyInCents: order.moneyInCents === true ? true : { $ne: true },
+        snapshotsInCents: { $ne: true }
+      })
+    });
+    mongoose.connection.close();
+  } catch (error) {
+    console.error('Error migrating money fields:', error);
+    mongoose.connection.close();
+    process.exitCode = 1;
+  }
+};
+
+migrate();
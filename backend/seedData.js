@@ -13,7 +13,7 @@ const userSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  role: { type: String, default: 'user' }
+  role: { type: String, enum: ['admin', 'manager', 'sales', 'warehouse', 'readonly', 'user'], default: 'readonly' }
 }, { timestamps: true });
 
 const customerSchema = new mongoose.Schema({
@@ -26,17 +26,23 @@ const customerSchema = new mongoose.Schema({
     state: String,
     zipCode: String,
     country: String
-  }
+  },
+  isActive: { type: Boolean, default: true }
 }, { timestamps: true });
 
+// Prices are stored in integer cents, as in server.js
+const toMinorUnits = (amount) => Math.sign(amount) * Math.round(Number((Math.abs(amount) * 100).toFixed(6)));
+
 const productSchema = new mongoose.Schema({
   name: { type: String, required: true },
+  sku: { type: String, trim: true, uppercase: true, unique: true, sparse: true },
   category: { type: String, required: true },
   description: { type: String, required: true },
-  price: { type: Number, required: true },
+  price: { type: Number, required: true, set: toMinorUnits },
   pictures: [String],
   stock: { type: Number, default: 0 },
-  isActive: { type: Boolean, default: true }
+  isActive: { type: Boolean, default: true },
+  moneyInCents: { type: Boolean, default: true }
 }, { timestamps: true });
 
 const User = mongoose.model('User', userSchema);
@@ -64,6 +70,19 @@ const seedData = async () => {
 
     console.log('Created admin user...');
 
+    // Create one user per remaining role
+    const staffRoles = ['manager', 'sales', 'warehouse', 'readonly'];
+    for (const role of staffRoles) {
+      await new User({
+        username: role,
+        email: `${role}@example.com`,
+        password: await bcrypt.hash(`${role}123`, 10),
+        role
+      }).save();
+    }
+
+    console.log('Created staff users...');
+
     // Create sample customers
     const customers = [
       {
@@ -111,6 +130,7 @@ const seedData = async () => {
     const products = [
       {
         name: 'Wireless Headphones',
+        sku: 'ELEC-HP-001',
         category: 'Electronics',
         description: 'High-quality wireless headphones with noise cancellation',
         price: 199.99,
@@ -119,6 +139,7 @@ const seedData = async () => {
       },
       {
         name: 'Smartphone',
+        sku: 'ELEC-PH-002',
         category: 'Electronics',
         description: 'Latest model smartphone with advanced features',
         price: 799.99,
@@ -127,6 +148,7 @@ const seedData = async () => {
       },
       {
         name: 'Coffee Mug',
+        sku: 'HOME-MG-003',
         category: 'Home & Kitchen',
         description: 'Ceramic coffee mug with ergonomic handle',
         price: 12.99,
@@ -135,6 +157,7 @@ const seedData = async () => {
       },
       {
         name: 'Laptop Bag',
+        sku: 'ACC-BG-004',
         category: 'Accessories',
         description: 'Durable laptop bag with multiple compartments',
         price: 49.99,
@@ -143,6 +166,7 @@ const seedData = async () => {
       },
       {
         name: 'Desk Chair',
+        sku: 'FURN-CH-005',
         category: 'Furniture',
         description: 'Ergonomic office chair with lumbar support',
         price: 299.99,
@@ -151,6 +175,7 @@ const seedData = async () => {
       },
       {
         name: 'Water Bottle',
+        sku: 'SPRT-BT-006',
         category: 'Sports & Outdoors',
         description: 'Stainless steel water bottle with insulation',
         price: 24.99,
@@ -159,6 +184,7 @@ const seedData = async () => {
       },
       {
         name: 'Running Shoes',
+        sku: 'SPRT-SH-007',
         category: 'Sports & Outdoors',
         description: 'Comfortable running shoes with advanced cushioning',
         price: 129.99,
@@ -167,6 +193,7 @@ const seedData = async () => {
       },
       {
         name: 'Book Light',
+        sku: 'HOME-LT-008',
         category: 'Home & Kitchen',
         description: 'LED book light with adjustable brightness',
         price: 19.99,
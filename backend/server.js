@@ -3,18 +3,36 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const cookieParser = require('cookie-parser');
+const crypto = require('crypto');
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs');
+const nodemailer = require('nodemailer');
+const { generateSecret, generateURI, verify: verifyOtp } = require('otplib');
+const QRCode = require('qrcode');
+const PDFDocument = require('pdfkit');
+const ExcelJS = require('exceljs');
+const { once } = require('events');
 require('dotenv').config();
 
 const app = express();
 
+// Behind a reverse proxy req.ip is the proxy's address unless it is trusted.
+// TRUST_PROXY takes a hop count, true, or a list of addresses.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Content-Disposition'] // lets the frontend name downloaded files
 }));
 app.use(express.json()); // Parse JSON request bodies
+app.use(cookieParser()); // The refresh token arrives as a cookie
 app.use('/uploads', express.static('uploads'));
 
 // File upload configuration
@@ -40,9 +58,72 @@ const userSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  role: { type: String, default: 'user' }
+  role: { type: String, enum: ['admin', 'manager', 'sales', 'warehouse', 'readonly', 'user'], default: 'readonly' }, // self-registered accounts wait for an admin to promote them
+  // Accounts from before verification existed count as verified;
+  // registration sets false until the emailed link is opened
+  emailVerified: { type: Boolean, default: true },
+  // TOTP two-factor authentication. Secrets are stored encrypted and
+  // recovery codes as hashes.
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: String,
+    pendingSecret: String, // until the first code confirms enrollment
+    recoveryCodes: [String], // each is removed once used
+    lastUsedStep: Number, // stops a code from being used twice
+    enabledAt: Date
+  }
+}, { timestamps: true });
+
+// Account security policy, kept in a single document
+const securitySettingsSchema = new mongoose.Schema({
+  twoFactorRoles: [String] // roles that must sign in with two-factor
+}, { timestamps: true });
+
+// Failed sign-in attempts, one document per email address ('account:...')
+// and per client address ('ip:...'). Counts reset once expiresAt passes.
+const loginThrottleSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  failures: { type: Number, default: 0 },
+  lockedUntil: Date,
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Single-use links sent by email. Only a hash is stored, and a token is
+// spent by setting usedAt, so it can't be replayed before the TTL index
+// removes it.
+const USER_TOKEN_PURPOSES = ['password_reset', 'email_verification'];
+
+const userTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, enum: USER_TOKEN_PURPOSES, required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: Date
+}, { timestamps: true });
+
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+userTokenSchema.index({ user: 1, purpose: 1 });
+
+// Refresh token sessions; only a hash of each token is stored. A refresh
+// replaces the token with a new one in the same family, so the family is one
+// sign-in on one device.
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  family: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  replacedAt: Date, // set when the token was rotated
+  revokedAt: Date, // set on rotation, logout or detected reuse
+  userAgent: String,
+  ip: String
 }, { timestamps: true });
 
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ family: 1 });
+sessionSchema.index({ user: 1 });
+
 // Customer Schema
 const customerSchema = new mongoose.Schema({
   name: { type: String, required: true },
@@ -54,330 +135,3478 @@ const customerSchema = new mongoose.Schema({
     state: String,
     zipCode: String,
     country: String
-  }
+  },
+  isActive: { type: Boolean, default: true }
 }, { timestamps: true });
 
+customerSchema.index({ name: 1 });
+customerSchema.index({ 'address.country': 1, 'address.state': 1 });
+customerSchema.index({ createdAt: -1 });
+
+// Amounts are kept in the currency they were charged in. Reports convert
+// them to the base currency with the exchange rate stored on each order.
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+const CURRENCY_CODE = [/^[A-Z]{3}$/, 'Currency must be a three-letter ISO 4217 code'];
+
+// Money is stored as integer cents so sums and comparisons are exact, and is
+// read and written in major units (12.34) everywhere outside the database.
+// Amounts round half away from zero; toFixed strips float noise first so
+// that 1.005 becomes 101 cents rather than 100.
+const toMinorUnits = (amount) => {
+  if (amount == null || amount === '') return amount;
+  const value = Number(amount);
+  if (!Number.isFinite(value)) return amount; // left for the Number cast to reject
+  return Math.sign(value) * Math.round(Number((Math.abs(value) * 100).toFixed(6)));
+};
+const fromMinorUnits = (cents) => (cents == null ? cents : cents / 100);
+const money = (options = {}) => ({ type: Number, get: fromMinorUnits, set: toMinorUnits, ...options });
+
+// A discount value is an amount or a percentage depending on its type. Both
+// are stored in hundredths, so a fixed value is in cents like other money.
+const hundredths = (options = {}) => money(options);
+
+// Schemas with money fields apply the getters when serialised. moneyInCents
+// marks documents written in cents; migrateMoneyToCents.js converts the rest.
+const MONEY_SCHEMA_OPTIONS = {
+  timestamps: true,
+  toJSON: { getters: true, virtuals: false },
+  toObject: { getters: true, virtuals: false }
+};
+
 // Product Schema
 const productSchema = new mongoose.Schema({
   name: { type: String, required: true },
+  // Blank SKUs are stored as missing so the sparse unique index ignores them
+  sku: { type: String, trim: true, uppercase: true, unique: true, sparse: true, set: (value) => value || undefined },
   category: { type: String, required: true },
   description: { type: String, required: true },
-  price: { type: Number, required: true },
+  price: money({ required: true }),
+  currency: { type: String, trim: true, uppercase: true, match: CURRENCY_CODE, default: BASE_CURRENCY },
+  weight: { type: Number, min: 0 }, // kg, used by weight-based shipping
   pictures: [String],
   stock: { type: Number, default: 0 },
+  isActive: { type: Boolean, default: true },
+  moneyInCents: { type: Boolean, default: true }
+}, MONEY_SCHEMA_OPTIONS);
+
+// Order status flow - anything not listed here is rejected
+const ORDER_STATUSES = ['placed', 'shipped', 'delivered', 'cancelled'];
+
+// Orders that count towards revenue figures
+const REVENUE_STATUSES = ['shipped', 'delivered'];
+
+const ORDER_STATUS_TRANSITIONS = {
+  placed: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'cancelled'],
+  delivered: [],
+  cancelled: []
+};
+
+// Line discounts and coupons are either a percentage or a fixed amount off
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+// Coupon Schema
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, trim: true, uppercase: true },
+  description: String,
+  discountType: { type: String, enum: DISCOUNT_TYPES, required: true },
+  discountValue: hundredths({
+    required: true,
+    min: 0,
+    validate: {
+      // Validators see the stored value, in hundredths
+      validator: function(value) {
+        return this.discountType !== 'percentage' || value <= toMinorUnits(100);
+      },
+      message: 'A percentage discount cannot exceed 100'
+    }
+  }),
+  minSubtotal: money({ default: 0, min: 0 }),
+  validFrom: Date,
+  validTo: Date,
+  usageLimit: { type: Number, min: 1 }, // unset means unlimited
+  usedCount: { type: Number, default: 0 },
+  isActive: { type: Boolean, default: true },
+  moneyInCents: { type: Boolean, default: true }
+}, MONEY_SCHEMA_OPTIONS);
+
+// How a shipping method charges: a flat fee, a base fee plus a rate per kg,
+// or a flat fee that is waived once the order reaches a threshold
+const SHIPPING_RATE_TYPES = ['flat', 'weight', 'free_over'];
+
+// Shipping Method Schema
+const shippingMethodSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  type: { type: String, enum: SHIPPING_RATE_TYPES, required: true },
+  baseCost: money({ default: 0, min: 0 }),
+  perKg: money({ default: 0, min: 0 }),
+  freeOver: money({
+    min: 0,
+    required: [function() { return this.type === 'free_over'; }, 'A free-over-threshold method needs a threshold']
+  }),
+  isActive: { type: Boolean, default: true },
+  moneyInCents: { type: Boolean, default: true }
+}, MONEY_SCHEMA_OPTIONS);
+
+// Exchange Rate Schema - `rate` is what one unit of `currency` is worth in the
+// base currency, from `effectiveFrom` until the next entry for that currency
+const exchangeRateSchema = new mongoose.Schema({
+  currency: { type: String, required: true, trim: true, uppercase: true, match: CURRENCY_CODE },
+  rate: {
+    type: Number,
+    required: true,
+    validate: { validator: (value) => value > 0, message: 'Exchange rate must be greater than 0' }
+  },
+  effectiveFrom: { type: Date, required: true }
+}, { timestamps: true });
+
+exchangeRateSchema.index({ currency: 1, effectiveFrom: -1 }, { unique: true });
+
+// Tax Rule Schema - a rule without a state covers the rest of the country
+const taxRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  country: { type: String, required: true, trim: true },
+  state: { type: String, trim: true, set: (value) => value || undefined },
+  rate: { type: Number, required: true, min: 0, max: 100 },
+  // Inclusive rules treat catalogue prices as already containing the tax
+  inclusive: { type: Boolean, default: false },
+  exemptCategories: [{ type: String, trim: true }],
   isActive: { type: Boolean, default: true }
 }, { timestamps: true });
 
+taxRuleSchema.index({ country: 1, state: 1 });
+
 // Order Schema
 const orderSchema = new mongoose.Schema({
   orderNumber: { type: String, unique: true },
+  // Assigned when someone issues the invoice (POST /api/orders/:id/invoice)
+  invoiceNumber: { type: String, unique: true, sparse: true },
+  invoicedAt: Date,
+  invoiceClaimedAt: Date, // held while a number is being drawn
   customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
+  // Each line keeps a snapshot of the product as it was sold, so renaming,
+  // recategorising or deleting the product never rewrites order history
   products: [{
     product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    name: String,
+    category: String,
+    sku: String,
+    weight: Number,
     quantity: { type: Number, required: true },
-    price: { type: Number, required: true }
+    price: money({ required: true }),
+    discountType: { type: String, enum: DISCOUNT_TYPES },
+    discountValue: hundredths(),
+    discountAmount: money({ default: 0 }),
+    taxRate: Number,
+    taxAmount: money({ default: 0 })
   }],
-  totalAmount: { type: Number, required: true },
+  // subtotal is before discounts; discountTotal covers line discounts and the coupon
+  subtotal: money(),
+  discountTotal: money({ default: 0 }),
+  coupon: {
+    code: String,
+    discountType: { type: String, enum: DISCOUNT_TYPES },
+    discountValue: hundredths(),
+    discountAmount: money()
+  },
+  // The tax rule as it stood when the order was priced
+  tax: {
+    name: String,
+    country: String,
+    state: String,
+    rate: Number,
+    inclusive: Boolean,
+    exemptCategories: [String]
+  },
+  taxTotal: money({ default: 0 }),
+  // The shipping method's terms when the order was priced; shipping is not taxed
+  shipping: {
+    method: { type: mongoose.Schema.Types.ObjectId, ref: 'ShippingMethod' },
+    name: String,
+    type: { type: String, enum: SHIPPING_RATE_TYPES },
+    baseCost: money(),
+    perKg: money(),
+    freeOver: money()
+  },
+  shippingCost: money({ default: 0 }),
+  // Filled in when the order is marked shipped and delivered
+  shipment: {
+    carrier: String,
+    trackingNumber: String,
+    shippedAt: Date,
+    deliveredAt: Date
+  },
+  totalAmount: money({ required: true }),
+  // Every amount on the order is in this currency; exchangeRate converts it to
+  // the base currency and is fixed when the order is placed
+  currency: { type: String, default: BASE_CURRENCY },
+  exchangeRate: { type: Number, default: 1 },
   status: { 
     type: String, 
-    enum: ['placed', 'shipped', 'delivered', 'cancelled'], 
+    enum: ORDER_STATUSES, 
     default: 'placed' 
   },
+  statusHistory: [{
+    status: { type: String, enum: ORDER_STATUSES, required: true },
+    from: { type: String, enum: ORDER_STATUSES },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date, default: Date.now },
+    reason: String
+  }],
   orderDate: { type: Date, default: Date.now },
-  notes: String
-}, { timestamps: true });
+  notes: String,
+  archived: { type: Boolean, default: false },
+  archivedAt: Date,
+  archivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  archiveLog: [{
+    action: { type: String, enum: ['archived', 'restored'], required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date, default: Date.now }
+  }],
+  editLog: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date, default: Date.now },
+    changes: [String],
+    previousTotal: money(),
+    totalAmount: money()
+  }],
+  moneyInCents: { type: Boolean, default: true },
+  // Discount values and shipping terms moved to hundredths after the totals
+  // did, so orders track that conversion separately
+  snapshotsInCents: { type: Boolean, default: true }
+}, MONEY_SCHEMA_OPTIONS);
+
+// Named sequences, incremented atomically (e.g. one per order-number year)
+const counterSchema = new mongoose.Schema({
+  _id: String,
+  seq: { type: Number, default: 0 }
+});
+
+// Order numbers look like ORD-2024-00042. The year is dropped when
+// ORDER_NUMBER_INCLUDE_YEAR=false, and the sequence only restarts each
+// year while the year is part of the number.
+const ORDER_NUMBER_CONFIG = {
+  prefix: process.env.ORDER_NUMBER_PREFIX || 'ORD',
+  padding: parseInt(process.env.ORDER_NUMBER_PADDING, 10) || 5,
+  includeYear: process.env.ORDER_NUMBER_INCLUDE_YEAR !== 'false',
+  resetYearly: process.env.ORDER_NUMBER_RESET_YEARLY !== 'false'
+};
 
 // Pre-save middleware for order number generation
 orderSchema.pre('save', async function(next) {
   if (!this.orderNumber) {
-    const count = await mongoose.model('Order').countDocuments();
-    this.orderNumber = `ORD-${Date.now()}-${(count + 1).toString().padStart(4, '0')}`;
+    this.orderNumber = await nextOrderNumber();
   }
   next();
 });
 
 const User = mongoose.model('User', userSchema);
+const Session = mongoose.model('Session', sessionSchema);
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+const SecuritySettings = mongoose.model('SecuritySettings', securitySettingsSchema);
+const UserToken = mongoose.model('UserToken', userTokenSchema);
 const Customer = mongoose.model('Customer', customerSchema);
 const Product = mongoose.model('Product', productSchema);
 const Order = mongoose.model('Order', orderSchema);
+const Counter = mongoose.model('Counter', counterSchema);
+const Coupon = mongoose.model('Coupon', couponSchema);
+const TaxRule = mongoose.model('TaxRule', taxRuleSchema);
+const ShippingMethod = mongoose.model('ShippingMethod', shippingMethodSchema);
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
 
-// JWT Middleware
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+const nextSequence = async (name) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
 
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
-  }
+const nextOrderNumber = async (date = new Date()) => {
+  const { prefix, padding, includeYear, resetYearly } = ORDER_NUMBER_CONFIG;
+  const year = date.getFullYear();
+  const sequence = await nextSequence(includeYear && resetYearly ? `orderNumber-${year}` : 'orderNumber');
+  return [prefix, includeYear ? year : null, String(sequence).padStart(padding, '0')]
+    .filter(part => part !== null)
+    .join('-');
+};
 
-  jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key', (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid token' });
-    }
-    req.user = user;
-    next();
-  });
+// Invoices are numbered in their own sequence, e.g. INV-00042, which never
+// restarts so invoice numbers stay unique across years
+const INVOICE_NUMBER_CONFIG = {
+  prefix: process.env.INVOICE_NUMBER_PREFIX || 'INV',
+  padding: parseInt(process.env.INVOICE_NUMBER_PADDING, 10) || 5
 };
 
-// Auth Routes
-app.post('/api/auth/register', async (req, res) => {
-  try {
-    const { username, email, password } = req.body;
-    
-    const existingUser = await User.findOne({ $or: [{ email }, { username }] });
-    if (existingUser) {
-      return res.status(400).json({ error: 'User already exists' });
-    }
+const nextInvoiceNumber = async () => {
+  const { prefix, padding } = INVOICE_NUMBER_CONFIG;
+  const sequence = await nextSequence('invoiceNumber');
+  return `${prefix}-${String(sequence).padStart(padding, '0')}`;
+};
 
-    const hashedPassword = await bcrypt.hash(password, 10);
-    const user = new User({ username, email, password: hashedPassword });
-    await user.save();
+const isDuplicateOrderNumber = (error) => error?.code === 11000 && Boolean(error.keyPattern?.orderNumber);
 
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET || 'your-secret-key');
-    res.status(201).json({ token, user: { id: user._id, username, email } });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+// The counter can fall behind numbers already in the collection (imported
+// orders, a changed format, a reset counter). On a clash, draw the next
+// number and try again rather than failing the order.
+const saveOrderWithNumber = async (order, attempts = 5) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await order.save();
+    } catch (error) {
+      if (!isDuplicateOrderNumber(error) || attempt >= attempts) {
+        throw error;
+      }
+      console.warn(`Order number ${order.orderNumber} already taken, retrying`);
+      order.orderNumber = undefined;
+    }
   }
+};
+
+// Builds the immutable part of an order line from the product being sold
+const snapshotProduct = (product) => ({
+  product: product._id,
+  name: product.name,
+  category: product.category,
+  sku: product.sku,
+  weight: product.weight,
+  price: product.price
 });
 
-app.post('/api/auth/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(400).json({ error: 'Invalid credentials' });
-    }
+// Orders created before line snapshots existed get them filled in from the
+// current product once, on startup. Lines whose product is gone stay as-is.
+const backfillOrderSnapshots = async () => {
+  const orders = await Order.find({ products: { $elemMatch: { name: { $exists: false } } } }, 'products');
+  if (orders.length === 0) return;
 
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(400).json({ error: 'Invalid credentials' });
-    }
+  const productIds = [...new Set(orders.flatMap(order => order.products.map(line => String(line.product))))];
+  const products = await Product.find({ _id: { $in: productIds } });
+  const byId = new Map(products.map(product => [String(product._id), product]));
 
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET || 'your-secret-key');
-    res.json({ token, user: { id: user._id, username: user.username, email: user.email } });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  const operations = [];
+  orders.forEach(order => {
+    order.products.forEach(line => {
+      const product = byId.get(String(line.product));
+      if (line.name || !product) return;
+      operations.push({
+        updateOne: {
+          filter: { _id: order._id },
+          update: {
+            $set: {
+              'products.$[line].name': product.name,
+              'products.$[line].category': product.category,
+              'products.$[line].sku': product.sku
+            }
+          },
+          arrayFilters: [{ 'line._id': line._id }]
+        }
+      });
+    });
+  });
+
+  if (operations.length > 0) {
+    await Order.bulkWrite(operations);
+    console.log(`Backfilled product snapshots on ${operations.length} order lines`);
   }
+};
+
+mongoose.connection.once('open', () => {
+  backfillOrderSnapshots().catch(error => console.error('Order snapshot backfill failed:', error));
 });
 
-// Customer Routes
-app.get('/api/customers', authenticateToken, async (req, res) => {
-  try {
-    const customers = await Customer.find().sort({ createdAt: -1 });
-    res.json(customers);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+// Inventory helpers
+// Each line is decremented with a conditional update so two concurrent orders
+// can never both take the last unit. If any line is short, the lines already
+// taken are put back and the whole reservation fails.
+class StockError extends Error {
+  constructor(message, shortages) {
+    super(message);
+    this.shortages = shortages;
   }
-});
+}
 
-app.post('/api/customers', authenticateToken, async (req, res) => {
-  try {
-    const customer = new Customer(req.body);
-    await customer.save();
-    res.status(201).json(customer);
-  } catch (error) {
-    if (error.code === 11000) {
-      res.status(400).json({ error: 'Customer with this email already exists' });
-    } else {
-      res.status(500).json({ error: error.message });
+const reserveStock = async (lines) => {
+  const reserved = [];
+
+  for (const line of lines) {
+    const updated = await Product.findOneAndUpdate(
+      { _id: line.product, stock: { $gte: line.quantity } },
+      { $inc: { stock: -line.quantity } },
+      { new: true }
+    );
+
+    if (!updated) {
+      await releaseStock(reserved);
+      const product = await Product.findById(line.product, 'name stock');
+      throw new StockError(
+        `Insufficient stock for ${product ? product.name : line.product}`,
+        [{
+          product: line.product,
+          name: product?.name,
+          requested: line.quantity,
+          available: product ? product.stock : 0
+        }]
+      );
     }
+
+    reserved.push(line);
   }
-});
+};
 
-app.get('/api/customers/:id', authenticateToken, async (req, res) => {
-  try {
-    const customer = await Customer.findById(req.params.id);
-    if (!customer) {
-      return res.status(404).json({ error: 'Customer not found' });
-    }
-    res.json(customer);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+const releaseStock = async (lines) => {
+  for (const line of lines) {
+    await Product.updateOne({ _id: line.product }, { $inc: { stock: line.quantity } });
   }
-});
-app.put('/api/customers/:id', authenticateToken, async (req, res) => {
-  try {
-    const customer = await Customer.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
-    
-    if (!customer) {
-      return res.status(404).json({ error: 'Customer not found' });
-    }
-    
-    res.json(customer);
-  } catch (error) {
-    if (error.code === 11000) {
-      res.status(400).json({ error: 'Customer with this email already exists' });
-    } else {
-      res.status(500).json({ error: error.message });
+};
+
+// Pricing helpers
+// Every amount is rounded to the cent the same way the money fields store it,
+// and totals add up the rounded cents so they always match their parts
+const roundMoney = (amount) => fromMinorUnits(toMinorUnits(amount));
+const sumMoney = (amounts) => fromMinorUnits(amounts.reduce((sum, amount) => sum + toMinorUnits(amount), 0));
+
+// A discount never takes an amount below zero
+const calculateDiscount = (amount, discountType, discountValue) => {
+  if (!discountType || !discountValue) return 0;
+  const discount = discountType === 'percentage' ? amount * discountValue / 100 : discountValue;
+  return roundMoney(Math.min(Math.max(discount, 0), amount));
+};
+
+// Tax owed on `amount` at `rate` percent. For inclusive pricing the tax is
+// the part of the amount that was already tax.
+const calculateTax = (amount, rate, inclusive) => {
+  if (!rate) return 0;
+  return roundMoney(inclusive ? amount - amount / (1 + rate / 100) : amount * rate / 100);
+};
+
+// The free-over threshold is compared with the goods total after discounts.
+// Lines without a weight count as weightless. Method amounts are in the base
+// currency and are converted with the order's exchange rate.
+const calculateShipping = (method, lines, goodsTotal, exchangeRate = 1) => {
+  if (!method) return 0;
+  const baseCost = (method.baseCost || 0) / exchangeRate;
+  switch (method.type) {
+    case 'weight': {
+      const weight = lines.reduce((sum, line) => sum + (line.weight || 0) * line.quantity, 0);
+      return roundMoney(baseCost + (method.perKg || 0) / exchangeRate * weight);
     }
+    case 'free_over':
+      return goodsTotal >= method.freeOver / exchangeRate ? 0 : roundMoney(baseCost);
+    default:
+      return roundMoney(baseCost);
   }
-});
+};
 
-// Add missing DELETE route for deleting customers
-app.delete('/api/customers/:id', authenticateToken, async (req, res) => {
-  try {
-    const customer = await Customer.findByIdAndDelete(req.params.id);
-    
-    if (!customer) {
-      return res.status(404).json({ error: 'Customer not found' });
-    }
-    
-    res.json({ message: 'Customer deleted successfully' });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+// Line discounts come off each line first; the coupon then applies to what is
+// left. Tax is charged per line on what the customer actually pays, so the
+// coupon is shared across lines in proportion to their discounted amounts.
+// Lines are priced in the order currency; a fixed coupon amount is in the
+// base currency and is converted with exchangeRate.
+const priceOrder = (lines, coupon, tax, shipping, exchangeRate = 1) => {
+  const discountedLines = lines.map(line => ({
+    ...line,
+    discountAmount: calculateDiscount(roundMoney(line.price * line.quantity), line.discountType, line.discountValue)
+  }));
+
+  const subtotal = sumMoney(discountedLines.map(line => line.price * line.quantity));
+  const lineDiscountTotal = sumMoney(discountedLines.map(line => line.discountAmount));
+  const afterLineDiscounts = roundMoney(subtotal - lineDiscountTotal);
+  const couponDiscount = coupon
+    ? calculateDiscount(
+      afterLineDiscounts,
+      coupon.discountType,
+      coupon.discountType === 'fixed' ? coupon.discountValue / exchangeRate : coupon.discountValue
+    )
+    : 0;
+  const discountTotal = sumMoney([lineDiscountTotal, couponDiscount]);
+
+  const exempt = new Set((tax?.exemptCategories || []).map(category => category.toLowerCase()));
+  const pricedLines = discountedLines.map(line => {
+    const net = line.price * line.quantity - line.discountAmount;
+    const couponShare = afterLineDiscounts > 0 ? couponDiscount * net / afterLineDiscounts : 0;
+    const taxRate = !tax || exempt.has(String(line.category).toLowerCase()) ? 0 : tax.rate;
+    return {
+      ...line,
+      taxRate,
+      taxAmount: calculateTax(Math.max(net - couponShare, 0), taxRate, tax?.inclusive)
+    };
+  });
+  const taxTotal = sumMoney(pricedLines.map(line => line.taxAmount));
+  const shippingCost = calculateShipping(shipping, lines, roundMoney(subtotal - discountTotal), exchangeRate);
+
+  return {
+    lines: pricedLines,
+    subtotal,
+    discountTotal,
+    coupon: coupon ? {
+      code: coupon.code,
+      discountType: coupon.discountType,
+      discountValue: coupon.discountValue,
+      discountAmount: couponDiscount
+    } : undefined,
+    tax: tax ? {
+      name: tax.name,
+      country: tax.country,
+      state: tax.state,
+      rate: tax.rate,
+      inclusive: tax.inclusive,
+      exemptCategories: tax.exemptCategories
+    } : undefined,
+    taxTotal,
+    shipping: shipping ? {
+      method: shipping.method ?? shipping._id,
+      name: shipping.name,
+      type: shipping.type,
+      baseCost: shipping.baseCost,
+      perKg: shipping.perKg,
+      freeOver: shipping.freeOver
+    } : undefined,
+    shippingCost,
+    totalAmount: sumMoney([subtotal, -discountTotal, tax && !tax.inclusive ? taxTotal : 0, shippingCost])
+  };
+};
+
+// Picks the active rule for an address; a rule for the customer's state
+// beats the country-wide one. Matching ignores case.
+const findTaxRule = async (address) => {
+  if (!address?.country) return null;
+
+  const rules = await TaxRule.find({
+    isActive: true,
+    country: { $regex: `^${escapeRegex(address.country.trim())}$`, $options: 'i' }
+  });
+  const state = address.state?.trim().toLowerCase();
+
+  return rules.find(rule => state && rule.state?.toLowerCase() === state)
+    || rules.find(rule => !rule.state)
+    || null;
+};
+
+// Resolves the shipping method chosen on an order; inactive methods can't be picked
+const findShippingMethod = async (id) => {
+  if (!id || !mongoose.Types.ObjectId.isValid(id)) return null;
+  return ShippingMethod.findOne({ _id: id, isActive: true });
+};
+
+// Rate in force for a currency at a given moment; the base currency is always 1.
+// Returns null when no rate has been entered yet.
+const findExchangeRate = async (currency, at = new Date()) => {
+  if (!currency || currency === BASE_CURRENCY) return 1;
+  const entry = await ExchangeRate.findOne({ currency, effectiveFrom: { $lte: at } }).sort({ effectiveFrom: -1 });
+  return entry ? entry.rate : null;
+};
+
+class CouponError extends Error {}
+
+// Looks up a coupon code and checks it can be redeemed against `amount`
+// (the order total after line discounts, converted to the base currency)
+const findUsableCoupon = async (code, amount, now = new Date()) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+
+  if (!coupon || !coupon.isActive) {
+    throw new CouponError(`Coupon ${code} is not valid`);
+  }
+  if (coupon.validFrom && coupon.validFrom > now) {
+    throw new CouponError(`Coupon ${coupon.code} is not valid until ${coupon.validFrom.toLocaleDateString()}`);
+  }
+  if (coupon.validTo && coupon.validTo < now) {
+    throw new CouponError(`Coupon ${coupon.code} has expired`);
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw new CouponError(`Coupon ${coupon.code} has reached its usage limit`);
+  }
+  if (amount < coupon.minSubtotal) {
+    throw new CouponError(`Coupon ${coupon.code} needs a minimum spend of ${coupon.minSubtotal.toFixed(2)} ${BASE_CURRENCY}`);
+  }
+
+  return coupon;
+};
+
+// Prices the lines and, if a code is given, applies that coupon on top.
+// Minimum spend is checked before tax.
+const priceOrderWithCoupon = async (lines, couponCode, tax, shipping, exchangeRate = 1) => {
+  if (!couponCode) {
+    return { pricing: priceOrder(lines, null, tax, shipping, exchangeRate), coupon: null };
+  }
+  const coupon = await findUsableCoupon(couponCode, priceOrder(lines).totalAmount * exchangeRate);
+  return { pricing: priceOrder(lines, coupon, tax, shipping, exchangeRate), coupon };
+};
+
+// Takes one use of a coupon, re-checking the limit atomically so two orders
+// can't both take its last use
+const claimCoupon = async (coupon) => {
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new CouponError(`Coupon ${coupon.code} has reached its usage limit`);
   }
+};
+
+const releaseCoupon = (coupon) => Coupon.updateOne({ _id: coupon._id }, { $inc: { usedCount: -1 } });
+
+// Role permissions
+const ROLES = ['admin', 'manager', 'sales', 'warehouse', 'readonly'];
+
+const ROLE_PERMISSIONS = {
+  admin: [
+    'dashboard:read',
+    'customers:read', 'customers:write', 'customers:delete',
+    'products:read', 'products:write', 'products:delete',
+    'orders:read', 'orders:create', 'orders:fulfil', 'orders:cancel', 'orders:delete',
+    'coupons:manage', 'taxes:manage', 'shipping:manage', 'currencies:manage',
+    'users:manage'
+  ],
+  manager: [
+    'dashboard:read',
+    'customers:read', 'customers:write', 'customers:delete',
+    'products:read', 'products:write', 'products:delete',
+    'orders:read', 'orders:create', 'orders:fulfil', 'orders:cancel', 'orders:delete',
+    'coupons:manage', 'taxes:manage', 'shipping:manage', 'currencies:manage'
+  ],
+  sales: [
+    'dashboard:read',
+    'customers:read', 'customers:write',
+    'products:read',
+    'orders:read', 'orders:create', 'orders:cancel'
+  ],
+  warehouse: [
+    'customers:read',
+    'products:read', 'products:write',
+    'orders:read', 'orders:fulfil'
+  ],
+  readonly: [
+    'dashboard:read',
+    'customers:read',
+    'products:read',
+    'orders:read'
+  ]
+};
+
+// Accounts created before roles existed were stored with 'user'
+const normalizeRole = (role) => (role === 'user' ? 'sales' : role);
+
+const getPermissions = (role) => ROLE_PERMISSIONS[normalizeRole(role)] || [];
+
+const hasPermission = (user, permission) => getPermissions(user?.role).includes(permission);
+
+// Access tokens are short-lived; clients renew them with the refresh token
+// cookie, which only the /api/auth routes receive
+const AUTH_CONFIG = {
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+  refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 7,
+  // Another tab may refresh with the same token moments after it was rotated
+  reuseGraceMs: 30 * 1000,
+  passwordResetMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60,
+  emailVerificationHours: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48,
+  minPasswordLength: 6
+};
+
+const REFRESH_COOKIE = 'refreshToken';
+
+// sameSite=none (with HTTPS) is needed when the frontend is on another site
+const refreshCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.REFRESH_COOKIE_SAMESITE || 'lax',
+  path: '/api/auth'
+};
+
+const signToken = (user) => jwt.sign(
+  { userId: user._id, role: normalizeRole(user.role) },
+  process.env.JWT_SECRET || 'your-secret-key',
+  { expiresIn: AUTH_CONFIG.accessTokenTtl }
+);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Starts a session (or continues a family on refresh) and sets its cookie
+const issueRefreshToken = async (req, res, user, family = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + AUTH_CONFIG.refreshTokenDays * 24 * 60 * 60 * 1000);
+  await Session.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt,
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  });
+  res.cookie(REFRESH_COOKIE, token, { ...refreshCookieOptions, expires: expiresAt });
+};
+
+const revokeSessions = (filter) => Session.updateMany({ ...filter, revokedAt: null }, { $set: { revokedAt: new Date() } });
+
+// Login throttling
+// After `freeAttempts` failures in a row a key is locked, first for
+// baseLockMs and then twice as long with each further failure, up to
+// maxLockMs. Counts are forgotten resetAfterMs after the last failure or lock.
+const LOGIN_THROTTLE = {
+  account: { freeAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5 },
+  ip: { freeAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS, 10) || 20 },
+  baseLockMs: 30 * 1000,
+  maxLockMs: (parseInt(process.env.LOGIN_MAX_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000,
+  resetAfterMs: 60 * 60 * 1000
+};
+
+// Unknown addresses are tracked too, so lockouts don't reveal which exist
+const loginThrottleKeys = (req, email) => ({
+  account: `account:${String(email || '').trim().toLowerCase()}`,
+  ip: `ip:${req.ip}`
 });
 
-// Product Routes
-app.get('/api/products', authenticateToken, async (req, res) => {
-  try {
-    const { category, search } = req.query;
-    let query = { isActive: true };
-    
-    if (category) {
-      query.category = category;
-    }
-    
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
-    }
+// The latest lock in force on any of the keys, or null
+const findLoginLock = async (keys) => {
+  const locks = await LoginThrottle.find({
+    key: { $in: Object.values(keys) },
+    lockedUntil: { $gt: new Date() }
+  }).sort({ lockedUntil: -1 }).limit(1);
+  return locks[0]?.lockedUntil || null;
+};
 
-    const products = await Product.find(query).sort({ createdAt: -1 });
-    res.json(products);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+const recordLoginFailure = async (keys) => {
+  const now = new Date();
+  // Expired counts may not have been swept by the TTL monitor yet
+  await LoginThrottle.deleteMany({ key: { $in: Object.values(keys) }, expiresAt: { $lte: now } });
+
+  await Promise.all(Object.entries(keys).map(async ([scope, key]) => {
+    const throttle = await LoginThrottle.findOneAndUpdate(
+      { key },
+      { $inc: { failures: 1 }, $setOnInsert: { expiresAt: now } },
+      { upsert: true, new: true }
+    );
+
+    const excess = throttle.failures - LOGIN_THROTTLE[scope].freeAttempts;
+    const lockedUntil = excess >= 0
+      ? new Date(now.getTime() + Math.min(LOGIN_THROTTLE.baseLockMs * 2 ** excess, LOGIN_THROTTLE.maxLockMs))
+      : null;
+    await LoginThrottle.updateOne({ _id: throttle._id }, {
+      $set: {
+        lockedUntil,
+        expiresAt: new Date((lockedUntil || now).getTime() + LOGIN_THROTTLE.resetAfterMs)
+      }
+    });
+  }));
+};
+
+const sendLoginLocked = (res, lockedUntil) => {
+  const retryAfter = Math.ceil((lockedUntil - Date.now()) / 1000);
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    error: `Too many failed sign-in attempts. Try again in ${retryAfter < 60 ? `${retryAfter} seconds` : `${Math.ceil(retryAfter / 60)} minutes`}.`,
+    code: 'LOGIN_LOCKED',
+    retryAfter,
+    lockedUntil
+  });
+};
+
+// Runs a password or code check under the lockout: it is refused while any
+// key is locked, and a false result counts as a failed attempt. Returns true
+// when the check passed; otherwise the response has been sent.
+const throttledCheck = async (res, throttleKeys, check, errorMessage) => {
+  const lockedUntil = await findLoginLock(throttleKeys);
+  if (lockedUntil) {
+    sendLoginLocked(res, lockedUntil);
+    return false;
   }
+
+  if (await check()) return true;
+
+  await recordLoginFailure(throttleKeys);
+  const newLock = await findLoginLock(throttleKeys);
+  if (newLock) {
+    sendLoginLocked(res, newLock);
+  } else {
+    res.status(400).json({ error: errorMessage });
+  }
+  return false;
+};
+
+// Two-factor authentication
+const TWO_FACTOR = {
+  issuer: process.env.TWO_FACTOR_ISSUER || process.env.COMPANY_NAME || 'Order Management',
+  challengeTtl: '10m',
+  recoveryCodeCount: 10,
+  // Accepts the codes either side of the current one, for clock drift
+  epochTolerance: 30
+};
+
+// TWO_FACTOR_ENCRYPTION_KEY can be set to keep secrets independent of JWT_SECRET
+const twoFactorKey = crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-secret-key')
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', twoFactorKey, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (value) => {
+  const [iv, tag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', twoFactorKey, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Recovery codes look like 3f9a1-c07be; dashes, spaces and case are ignored
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const generateRecoveryCodes = () => Array.from({ length: TWO_FACTOR.recoveryCodeCount }, () => {
+  const code = crypto.randomBytes(5).toString('hex');
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
 });
 
-app.post('/api/products', authenticateToken, upload.array('pictures', 5), async (req, res) => {
-  try {
-    const productData = req.body;
-    if (req.files) {
+// Checks a code against the user's secret (or the one being enrolled) and
+// records its time step, so the same code can't be replayed
+const verifyTotpCode = async (user, code, field = 'secret') => {
+  const token = String(code || '').replace(/\s/g, '');
+  const encrypted = user.twoFactor?.[field];
+  if (!/^\d{6}$/.test(token) || !encrypted) return false;
+
+  const lastUsedStep = user.twoFactor.lastUsedStep;
+  const result = await verifyOtp({
+    secret: decryptSecret(encrypted),
+    token,
+    epochTolerance: TWO_FACTOR.epochTolerance,
+    ...(lastUsedStep != null && { afterTimeStep: lastUsedStep })
+  });
+  if (!result.valid) return false;
+
+  const claimed = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: result.timeStep } }]
+    },
+    { $set: { 'twoFactor.lastUsedStep': result.timeStep } }
+  );
+  return claimed.modifiedCount === 1;
+};
+
+// Spends a recovery code; false if it isn't one of the user's unused codes
+const useRecoveryCode = async (user, code) => {
+  const normalized = normalizeRecoveryCode(code);
+  if (!normalized) return false;
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.recoveryCodes': hashToken(normalized) },
+    { $pull: { 'twoFactor.recoveryCodes': hashToken(normalized) } }
+  );
+  return result.modifiedCount === 1;
+};
+
+const getSecuritySettings = async () => (await SecuritySettings.findOne()) || { twoFactorRoles: [] };
+
+const requiresTwoFactor = (user, settings) => settings.twoFactorRoles.includes(normalizeRole(user.role));
+
+// A short-lived token that stands for "password checked" between the two
+// sign-in steps. purpose is 'two_factor' or 'two_factor_setup'.
+const signChallengeToken = (user, purpose) => jwt.sign(
+  { userId: user._id, purpose },
+  process.env.JWT_SECRET || 'your-secret-key',
+  { expiresIn: TWO_FACTOR.challengeTtl }
+);
+
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const payload = jwt.verify(String(token || ''), process.env.JWT_SECRET || 'your-secret-key');
+    return payload.purpose === purpose ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+// Last step of every sign-in. The account's failed attempts are forgotten
+// only now, so passing the password step alone doesn't reset them. The
+// address keeps its count, so one working account can't be used to reset it
+// while guessing at others.
+const completeSignIn = async (req, res, user, extra = {}) => {
+  await LoginThrottle.deleteOne({ key: loginThrottleKeys(req, user.email).account });
+  await issueRefreshToken(req, res, user);
+  res.json({ token: signToken(user), user: serializeUser(user), ...extra });
+};
+
+// Creates an emailed token, replacing any unused one for the same purpose
+// so only the latest link works
+const issueUserToken = async (user, purpose, ttlMs) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await UserToken.deleteMany({ user: user._id, purpose, usedAt: null });
+  await UserToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return token;
+};
+
+// Marks a token used and returns it, or null when it is unknown, expired or spent
+const consumeUserToken = (token, purpose) => {
+  if (typeof token !== 'string' || !token) return null;
+  const now = new Date();
+  return UserToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } }
+  );
+};
+
+// Mail
+// MAIL_TRANSPORT picks where mail goes: smtp, file (an .eml per message in
+// MAIL_DIR) or console (the default, for local use).
+const MAIL_CONFIG = {
+  transport: process.env.MAIL_TRANSPORT || 'console',
+  from: process.env.MAIL_FROM || 'Order Management <no-reply@localhost>',
+  directory: process.env.MAIL_DIR || path.join(__dirname, 'mail')
+};
+
+// Links in emails point at the frontend
+const APP_URL = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, '');
+
+const createMailTransport = () => {
+  switch (MAIL_CONFIG.transport) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+      });
+    case 'file':
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    case 'console':
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${MAIL_CONFIG.transport}"`);
+  }
+};
+
+const mailTransport = createMailTransport();
+
+const sendMail = async (message) => {
+  const info = await mailTransport.sendMail({ from: MAIL_CONFIG.from, ...message });
+
+  if (MAIL_CONFIG.transport === 'file') {
+    await fs.promises.mkdir(MAIL_CONFIG.directory, { recursive: true });
+    const file = path.join(MAIL_CONFIG.directory, `${Date.now()}-${crypto.randomUUID()}.eml`);
+    await fs.promises.writeFile(file, info.message);
+    console.log(`Mail to ${message.to} saved to ${file}`);
+  } else if (MAIL_CONFIG.transport === 'console') {
+    console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueUserToken(user, 'email_verification', AUTH_CONFIG.emailVerificationHours * 60 * 60 * 1000);
+  const link = `${APP_URL}/verify-email?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Open this link to confirm your email address and activate your account:',
+      link,
+      '',
+      `The link expires in ${AUTH_CONFIG.emailVerificationHours} hours.`
+    ].join('\n')
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueUserToken(user, 'password_reset', AUTH_CONFIG.passwordResetMinutes * 60 * 1000);
+  const link = `${APP_URL}/reset-password?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Someone asked to reset the password for your account. Open this link to choose a new one:',
+      link,
+      '',
+      `The link expires in ${AUTH_CONFIG.passwordResetMinutes} minutes and can be used once.`,
+      'If you did not ask for this, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+const serializeUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: normalizeRole(user.role),
+  permissions: getPermissions(user.role),
+  twoFactorEnabled: Boolean(user.twoFactor?.enabled)
+});
+
+// JWT Middleware
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+
+  jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key', (err, user) => {
+    // 401 tells the client to refresh; a token that fails to verify is 403
+    if (err?.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Access token expired' });
+    }
+    // Two-factor challenge tokens only work on the sign-in routes
+    if (err || user.purpose) {
+      return res.status(403).json({ error: 'Invalid token' });
+    }
+    // Tokens issued before roles were embedded must be renewed
+    if (!user.role) {
+      return res.status(401).json({ error: 'Session expired, please log in again' });
+    }
+    req.user = user;
+    next();
+  });
+};
+
+// Permission Middleware - must run after authenticateToken
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({ error: `You do not have permission to perform this action (${permission})` });
+  }
+  next();
+};
+
+// Converts an order amount field (stored in cents) to base-currency cents
+// inside an aggregation, rounded per order so sums stay whole cents. Orders
+// from before currencies existed are already in the base currency.
+const toBaseCurrency = (field) => ({
+  $round: [{ $multiply: [{ $ifNull: [field, 0] }, { $ifNull: ['$exchangeRate', 1] }] }, 0]
+});
+
+// Turns summed cents back into an amount once an aggregation is done
+const fromCents = (field) => ({ $divide: [field, 100] });
+
+// Query helpers
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Shared by list endpoints that accept page/pageSize (legacy clients send limit)
+const parsePagination = (query, defaultPageSize = 10) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(query.pageSize || query.limit, 10) || defaultPageSize, 1), 100);
+  return { page, pageSize, skip: (page - 1) * pageSize };
+};
+
+// Mongo range for a from/to pair of query-string dates. Date-only values
+// include the whole of the "to" day.
+const buildDateRange = (from, to) => {
+  const range = {};
+  if (from) {
+    range.$gte = new Date(from);
+  }
+  if (to) {
+    const end = new Date(to);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      end.setUTCDate(end.getUTCDate() + 1);
+      range.$lt = end;
+    } else {
+      range.$lte = end;
+    }
+  }
+  return range;
+};
+
+// Returns an error message for the first of `fields` that is not a date
+const findInvalidDate = (query, fields) => {
+  const field = fields.find(name => query[name] && Number.isNaN(Date.parse(query[name])));
+  return field ? `Invalid ${field} date` : null;
+};
+
+// Exports
+// List endpoints export through their own filters as CSV or XLSX. Rows are
+// read with a cursor and streamed, so large exports never sit in memory.
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toCsvCell = (value) => {
+  if (value == null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toXlsxCell = (value) => (typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value ?? null);
+
+// columns are [{ header, value: (doc) => cell }]. Once streaming starts a
+// failure can only cut the download short, so errors are logged and the
+// response ended rather than answered with JSON.
+const streamExport = async (res, { format, filename, columns, cursor }) => {
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.attachment(`${filename}-${stamp}.${format}`);
+
+  try {
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+      const sheet = workbook.addWorksheet(filename);
+      sheet.columns = columns.map(column => ({ header: column.header, width: column.width || 16 }));
+      sheet.getRow(1).font = { bold: true };
+      for await (const doc of cursor) {
+        sheet.addRow(columns.map(column => toXlsxCell(column.value(doc)))).commit();
+      }
+      await workbook.commit();
+      return;
+    }
+
+    res.type('text/csv; charset=utf-8');
+    // The byte order mark makes Excel read the file as UTF-8
+    res.write('\uFEFF' + columns.map(column => toCsvCell(column.header)).join(',') + '\r\n');
+    for await (const doc of cursor) {
+      const line = columns.map(column => toCsvCell(column.value(doc))).join(',') + '\r\n';
+      if (!res.write(line)) {
+        await once(res, 'drain');
+      }
+    }
+    res.end();
+  } catch (error) {
+    console.error(`Export of ${filename} failed:`, error);
+    res.destroy(error);
+  }
+};
+
+const parseExportFormat = (format = 'csv') => (EXPORT_FORMATS.includes(format) ? format : null);
+
+// Imports
+// Products and customers can be bulk loaded from CSV or XLSX. Columns are
+// mapped onto fields by the caller (or guessed from the headers), every row
+// is validated against the model's schema, and rows are upserted on a key
+// field. A dry run reports what would happen without saving anything.
+const MAX_IMPORT_ROWS = 5000;
+const IMPORT_FILE_SIZE = 5 * 1024 * 1024;
+
+const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: IMPORT_FILE_SIZE } });
+
+// Multer errors would otherwise reach Express's default HTML error page
+const receiveImportFile = (req, res, next) => {
+  importUpload.single('file')(req, res, (error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE' ? 'Import files are limited to 5 MB' : error.message;
+      return res.status(400).json({ error: message });
+    }
+    next();
+  });
+};
+
+// RFC 4180 CSV: quoted fields may hold commas, doubled quotes and line breaks
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Returns the header row and the data rows (keyed by header) of the first
+// sheet, skipping blank rows. Row numbers match what a spreadsheet shows.
+const readImportFile = async (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  let grid;
+
+  if (extension === '.csv') {
+    grid = parseCsv(file.buffer.toString('utf8').replace(/^\uFEFF/, ''))
+      .map((cells, index) => ({ rowNumber: index + 1, cells }));
+  } else if (extension === '.xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file.buffer);
+    const sheet = workbook.worksheets[0];
+    grid = [];
+    sheet?.eachRow((row, rowNumber) => {
+      const cells = [];
+      for (let column = 1; column <= row.cellCount; column++) {
+        cells.push(row.getCell(column).text);
+      }
+      grid.push({ rowNumber, cells });
+    });
+  } else {
+    return { error: 'Upload a .csv or .xlsx file' };
+  }
+
+  // Exports prefix formula-like text with a quote; take it off again
+  const clean = (value) => String(value ?? '').trim().replace(/^'(?=[=+\-@])/, '');
+  const [headerRow, ...dataRows] = grid.filter(({ cells }) => cells.some(cell => clean(cell) !== ''));
+  if (!headerRow) {
+    return { error: 'The file is empty' };
+  }
+
+  const headers = headerRow.cells.map(clean);
+  const rows = dataRows.map(({ rowNumber, cells }) => ({
+    rowNumber,
+    values: Object.fromEntries(headers.map((header, index) => [header, clean(cells[index])]).filter(([header]) => header))
+  }));
+  return { headers: headers.filter(Boolean), rows };
+};
+
+const normalizeHeader = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Matches headers to fields by key, label or alias, ignoring case and punctuation
+const guessImportMapping = (fields, headers) => Object.fromEntries(
+  fields
+    .map(field => {
+      const names = [field.key, field.label, ...(field.aliases || [])].map(normalizeHeader);
+      return [field.key, headers.find(header => names.includes(normalizeHeader(header)))];
+    })
+    .filter(([, header]) => header)
+);
+
+const TRUE_VALUES = ['yes', 'y', 'true', '1', 'active'];
+const FALSE_VALUES = ['no', 'n', 'false', '0', 'inactive'];
+
+// Blank cells come back as undefined so they leave existing values alone
+const convertImportValue = (field, raw) => {
+  if (raw === undefined || raw === '') return {};
+  switch (field.type) {
+    case 'number': {
+      const value = Number(raw);
+      return Number.isFinite(value) ? { value } : { error: `${field.label} must be a number` };
+    }
+    case 'integer': {
+      const value = Number(raw);
+      return Number.isInteger(value) ? { value } : { error: `${field.label} must be a whole number` };
+    }
+    case 'boolean': {
+      const value = raw.toLowerCase();
+      if (TRUE_VALUES.includes(value)) return { value: true };
+      if (FALSE_VALUES.includes(value)) return { value: false };
+      return { error: `${field.label} must be yes or no` };
+    }
+    default:
+      return { value: raw };
+  }
+};
+
+const PRODUCT_IMPORT = {
+  model: Product,
+  keyField: 'sku',
+  normalizeKey: (value) => value.toUpperCase(),
+  fields: [
+    { key: 'sku', label: 'SKU', required: true },
+    { key: 'name', label: 'Name', required: true },
+    { key: 'category', label: 'Category', required: true },
+    { key: 'description', label: 'Description', required: true },
+    { key: 'price', label: 'Price', type: 'number', required: true },
+    { key: 'currency', label: 'Currency' },
+    { key: 'weight', label: 'Weight (kg)', type: 'number' },
+    { key: 'stock', label: 'Stock', type: 'integer' },
+    { key: 'isActive', label: 'Active', type: 'boolean', aliases: ['status'] }
+  ]
+};
+
+const CUSTOMER_IMPORT = {
+  model: Customer,
+  keyField: 'email',
+  normalizeKey: (value) => value.toLowerCase(),
+  // Emails are matched ignoring case
+  collation: { locale: 'en', strength: 2 },
+  fields: [
+    { key: 'email', label: 'Email', required: true },
+    { key: 'name', label: 'Name', required: true },
+    { key: 'phone', label: 'Phone', required: true },
+    { key: 'address.street', label: 'Street', aliases: ['address'] },
+    { key: 'address.city', label: 'City' },
+    { key: 'address.state', label: 'State', aliases: ['province', 'region'] },
+    { key: 'address.zipCode', label: 'Zip Code', aliases: ['zip', 'postcode', 'postalcode'] },
+    { key: 'address.country', label: 'Country' },
+    { key: 'isActive', label: 'Active', type: 'boolean', aliases: ['status'] }
+  ]
+};
+
+// Reads the uploaded file and the mapping/dryRun form fields. Returns an
+// error message instead if the request cannot be imported at all.
+const prepareImport = async (req, { fields, keyField }) => {
+  if (!req.file) {
+    return { error: 'Attach the file to import' };
+  }
+
+  let file;
+  try {
+    file = await readImportFile(req.file);
+  } catch (error) {
+    return { error: `Could not read the file: ${error.message}` };
+  }
+  if (file.error) return file;
+  if (file.rows.length > MAX_IMPORT_ROWS) {
+    return { error: `Imports are limited to ${MAX_IMPORT_ROWS} rows; split the file and import each part` };
+  }
+
+  let mapping;
+  try {
+    mapping = req.body.mapping ? JSON.parse(req.body.mapping) : guessImportMapping(fields, file.headers);
+  } catch {
+    return { error: 'mapping must be a JSON object of field to column' };
+  }
+  mapping = Object.fromEntries(Object.entries(mapping || {}).filter(([key, column]) => column && fields.some(field => field.key === key)));
+
+  const missingColumn = Object.values(mapping).find(column => !file.headers.includes(column));
+  if (missingColumn) {
+    return { error: `Column "${missingColumn}" is not in the file` };
+  }
+
+  // Anything but an explicit false is a dry run, so a preview can never save.
+  // A preview may leave the key unmapped; the column mapping step fixes it.
+  const dryRun = req.body.dryRun !== 'false';
+  if (!dryRun && !mapping[keyField]) {
+    const { label } = fields.find(field => field.key === keyField);
+    return { error: `Map a column to ${label}; rows are matched on it` };
+  }
+
+  return { ...file, mapping, dryRun };
+};
+
+// Validates every row and, unless this is a dry run, saves the valid ones.
+// Each row is reported as create, update, unchanged or error.
+const runImport = async ({ model: Model, fields, keyField, normalizeKey, collation }, { headers, rows, mapping, dryRun }) => {
+  const keyLabel = fields.find(field => field.key === keyField).label;
+  const keyColumn = mapping[keyField];
+  const keyOf = (row) => (keyColumn && row.values[keyColumn] ? normalizeKey(row.values[keyColumn]) : '');
+
+  const keys = [...new Set(rows.map(keyOf).filter(Boolean))];
+  let lookup = Model.find({ [keyField]: { $in: keys } });
+  if (collation) lookup = lookup.collation(collation);
+  const existing = new Map((await lookup).map(doc => [normalizeKey(doc[keyField]), doc]));
+
+  const seen = new Set();
+  const results = [];
+  for (const row of rows) {
+    const key = keyOf(row);
+    const errors = [];
+    if (!key) {
+      errors.push(`${keyLabel} is required to match or create a record`);
+    } else if (seen.has(key)) {
+      errors.push(`${keyLabel} ${key} appears earlier in the file`);
+    }
+    seen.add(key);
+
+    const data = {};
+    fields.forEach(field => {
+      if (!mapping[field.key]) return;
+      const { value, error } = convertImportValue(field, row.values[mapping[field.key]]);
+      if (error) errors.push(error);
+      else if (value !== undefined) data[field.key] = value;
+    });
+
+    const current = existing.get(key);
+    const doc = current || new Model();
+    Object.entries(data).forEach(([field, value]) => doc.set(field, value));
+    if (errors.length === 0) {
+      const validation = doc.validateSync();
+      if (validation) errors.push(...Object.values(validation.errors).map(error => error.message));
+    }
+
+    let action = current ? 'update' : 'create';
+    if (errors.length > 0) {
+      action = 'error';
+    } else if (current && !doc.isModified()) {
+      action = 'unchanged';
+    } else if (!dryRun) {
+      try {
+        await doc.save();
+      } catch (error) {
+        errors.push(error.code === 11000 ? `Another record already uses this ${keyLabel}` : error.message);
+        action = 'error';
+      }
+    }
+    results.push({ row: row.rowNumber, key, action, errors });
+  }
+
+  const summary = { total: results.length, create: 0, update: 0, unchanged: 0, error: 0 };
+  results.forEach(result => { summary[result.action]++; });
+
+  return {
+    dryRun,
+    headers,
+    mapping,
+    fields: fields.map(({ key, label, required }) => ({ key, label, required: Boolean(required) })),
+    summary,
+    rows: results
+  };
+};
+
+// Auth Routes
+// New accounts sign in once their email address is confirmed
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const { username, email, password } = req.body;
+
+    if (typeof password !== 'string' || password.length < AUTH_CONFIG.minPasswordLength) {
+      return res.status(400).json({ error: `Password must be at least ${AUTH_CONFIG.minPasswordLength} characters` });
+    }
+    
+    const existingUser = await User.findOne({ $or: [{ email }, { username }] });
+    if (existingUser) {
+      return res.status(400).json({ error: 'User already exists' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const user = new User({ username, email, password: hashedPassword, emailVerified: false });
+    await user.save();
+
+    // The account stays either way; if the email can't go out now, the
+    // login page can ask for a new link through resend-verification
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Failed to send verification email:', mailError);
+      return res.status(201).json({
+        message: 'Account created, but the confirmation email could not be sent. Request a new link from the sign in page.',
+        email: user.email,
+        emailSent: false
+      });
+    }
+
+    res.status(201).json({
+      message: 'Account created. Check your email for a link to confirm your address.',
+      email: user.email,
+      emailSent: true
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    // Locked keys are refused before the password is even checked
+    let user;
+    const isMatch = await throttledCheck(res, loginThrottleKeys(req, email), async () => {
+      user = await User.findOne({ email: String(email || '') });
+      return user && typeof password === 'string' && await bcrypt.compare(password, user.password);
+    }, 'Invalid credentials');
+    if (!isMatch) return;
+
+    if (!user.emailVerified) {
+      return res.status(403).json({
+        error: 'Please confirm your email address before signing in',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    // With two-factor the client swaps the challenge token for a session
+    // at /api/auth/login/2fa, or first enrolls when its role requires it
+    if (user.twoFactor?.enabled) {
+      return res.json({ twoFactorRequired: true, challengeToken: signChallengeToken(user, 'two_factor') });
+    }
+    if (requiresTwoFactor(user, await getSecuritySettings())) {
+      return res.json({ twoFactorSetupRequired: true, challengeToken: signChallengeToken(user, 'two_factor_setup') });
+    }
+
+    await completeSignIn(req, res, user);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Second sign-in step: an authenticator code, or one of the recovery codes.
+// Wrong codes here, and on the 2fa routes below, count towards the same
+// lockout as wrong passwords.
+app.post('/api/auth/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const challenge = verifyChallengeToken(challengeToken, 'two_factor');
+    const user = challenge && await User.findById(challenge.userId);
+    if (!user?.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Sign-in has expired, please start again' });
+    }
+
+    const isValid = await throttledCheck(
+      res,
+      loginThrottleKeys(req, user.email),
+      () => (recoveryCode ? useRecoveryCode(user, recoveryCode) : verifyTotpCode(user, code)),
+      recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code'
+    );
+    if (!isValid) return;
+
+    const extra = recoveryCode ? { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length - 1 } : {};
+    await completeSignIn(req, res, user, extra);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Swaps the refresh token cookie for a new one and a new access token.
+// A token that was already rotated (outside the grace period) or revoked
+// has leaked or been replayed, so every session in its family is ended.
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const token = req.cookies[REFRESH_COOKIE];
+    const session = token && await Session.findOne({ tokenHash: hashToken(token) });
+    const now = new Date();
+
+    if (!session || session.expiresAt <= now) {
+      res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+      return res.status(401).json({ error: 'Session expired, please log in again' });
+    }
+
+    if (session.revokedAt) {
+      // The grace period only covers a family that is still live; after
+      // logout or a revoke every session in it is ended
+      const recentlyRotated = session.replacedAt && now - session.replacedAt < AUTH_CONFIG.reuseGraceMs;
+      const familyIsLive = recentlyRotated && await Session.exists({
+        family: session.family,
+        revokedAt: null,
+        expiresAt: { $gt: now }
+      });
+      if (!familyIsLive) {
+        await revokeSessions({ family: session.family });
+        res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+        return res.status(401).json({ error: 'Session revoked, please log in again' });
+      }
+    } else {
+      await Session.updateOne({ _id: session._id, revokedAt: null }, { $set: { revokedAt: now, replacedAt: now } });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) {
+      await revokeSessions({ family: session.family });
+      res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+      return res.status(401).json({ error: 'Session expired, please log in again' });
+    }
+
+    // Sessions started before the role required two-factor have to sign in
+    // again, which takes them through enrollment
+    if (!user.twoFactor?.enabled && requiresTwoFactor(user, await getSecuritySettings())) {
+      await revokeSessions({ family: session.family });
+      res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+      return res.status(401).json({ error: 'Two-factor authentication is now required, please log in again' });
+    }
+
+    await issueRefreshToken(req, res, user, session.family);
+    res.json({ token: signToken(user), user: serializeUser(user) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Ends this device's session, or every session of the user with
+// { allDevices: true }. Access tokens already issued run out on their own.
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const token = req.cookies[REFRESH_COOKIE];
+    const session = token && await Session.findOne({ tokenHash: hashToken(token) });
+
+    if (session) {
+      await revokeSessions(req.body?.allDevices ? { user: session.user } : { family: session.family });
+    }
+
+    res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/auth/verify-email', async (req, res) => {
+  try {
+    const userToken = await consumeUserToken(req.body.token, 'email_verification');
+    if (!userToken) {
+      return res.status(400).json({ error: 'This link is invalid or has expired' });
+    }
+
+    await User.updateOne({ _id: userToken.user }, { $set: { emailVerified: true } });
+    res.json({ message: 'Email address confirmed. You can now sign in.' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The next three answer the same whether or not the account exists, so they
+// can't be used to find out which addresses are registered
+app.post('/api/auth/resend-verification', async (req, res) => {
+  try {
+    const user = await User.findOne({ email: String(req.body.email || '') });
+    if (user && !user.emailVerified) {
+      await sendVerificationEmail(user);
+    }
+    res.json({ message: 'If that account is waiting for confirmation, a new link is on its way.' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/auth/forgot-password', async (req, res) => {
+  try {
+    const user = await User.findOne({ email: String(req.body.email || '') });
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+    res.json({ message: 'If an account uses that email address, a reset link is on its way.' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Setting a new password signs the account out everywhere and lifts any
+// sign-in lock. The reset link also proves the address, so an unverified
+// account becomes verified.
+app.post('/api/auth/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (typeof password !== 'string' || password.length < AUTH_CONFIG.minPasswordLength) {
+      return res.status(400).json({ error: `Password must be at least ${AUTH_CONFIG.minPasswordLength} characters` });
+    }
+
+    const userToken = await consumeUserToken(token, 'password_reset');
+    if (!userToken) {
+      return res.status(400).json({ error: 'This link is invalid or has expired' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const user = await User.findByIdAndUpdate(
+      userToken.user,
+      { $set: { password: hashedPassword, emailVerified: true } }
+    );
+    if (!user) {
+      return res.status(400).json({ error: 'This link is invalid or has expired' });
+    }
+
+    await revokeSessions({ user: user._id });
+    await LoginThrottle.deleteOne({ key: loginThrottleKeys(req, user.email).account });
+    res.json({ message: 'Password updated. You can now sign in with your new password.' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Enrollment works for a signed-in user, or mid sign-in with a
+// 'two_factor_setup' challenge token when the role requires two-factor
+const authenticateTwoFactorSetup = (req, res, next) => {
+  if (!req.body?.challengeToken) {
+    return authenticateToken(req, res, next);
+  }
+  const challenge = verifyChallengeToken(req.body.challengeToken, 'two_factor_setup');
+  if (!challenge) {
+    return res.status(400).json({ error: 'Sign-in has expired, please start again' });
+  }
+  req.user = { userId: challenge.userId };
+  req.isSigningIn = true;
+  next();
+};
+
+// Starts enrollment with a new secret; it only takes effect once a code
+// from it is confirmed at /api/auth/2fa/enable
+app.post('/api/auth/2fa/setup', authenticateTwoFactorSetup, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.set('twoFactor.pendingSecret', encryptSecret(secret));
+    await user.save();
+
+    const otpauthUrl = generateURI({ issuer: TWO_FACTOR.issuer, label: user.email, secret });
+    res.json({ secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recovery codes are only ever shown in this response (and on regeneration)
+app.post('/api/auth/2fa/enable', authenticateTwoFactorSetup, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+    const isValid = await throttledCheck(
+      res,
+      loginThrottleKeys(req, user.email),
+      () => verifyTotpCode(user, req.body.code, 'pendingSecret'),
+      'Invalid authentication code'
+    );
+    if (!isValid) return;
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.set('twoFactor.enabled', true);
+    user.set('twoFactor.secret', user.twoFactor.pendingSecret);
+    user.set('twoFactor.pendingSecret', undefined);
+    user.set('twoFactor.recoveryCodes', recoveryCodes.map(code => hashToken(normalizeRecoveryCode(code))));
+    user.set('twoFactor.enabledAt', new Date());
+    await user.save();
+
+    if (req.isSigningIn) {
+      return completeSignIn(req, res, user, { recoveryCodes });
+    }
+    res.json({ user: serializeUser(user), recoveryCodes });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replaces every recovery code; needs a current authenticator code
+app.post('/api/auth/2fa/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user?.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    const isValid = await throttledCheck(
+      res,
+      loginThrottleKeys(req, user.email),
+      () => verifyTotpCode(user, req.body.code),
+      'Invalid authentication code'
+    );
+    if (!isValid) return;
+
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(code => hashToken(normalizeRecoveryCode(code))) } }
+    );
+    res.json({ recoveryCodes });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/auth/2fa/disable', authenticateToken, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user.userId);
+    if (!user?.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (requiresTwoFactor(user, await getSecuritySettings())) {
+      return res.status(400).json({ error: 'Your role requires two-factor authentication' });
+    }
+
+    const throttleKeys = loginThrottleKeys(req, user.email);
+    const isMatch = await throttledCheck(
+      res,
+      throttleKeys,
+      async () => typeof password === 'string' && bcrypt.compare(password, user.password),
+      'Incorrect password'
+    );
+    if (!isMatch) return;
+    const isValid = await throttledCheck(res, throttleKeys, () => verifyTotpCode(user, code), 'Invalid authentication code');
+    if (!isValid) return;
+
+    user.set('twoFactor', { enabled: false });
+    await user.save();
+    res.json(serializeUser(user));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/auth/me', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(serializeUser(user));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// User Management Routes
+app.get('/api/users', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const users = await User.find().select('-password').sort({ createdAt: -1 });
+    const locks = await LoginThrottle.find({
+      key: { $in: users.map(user => loginThrottleKeys(req, user.email).account) },
+      lockedUntil: { $gt: new Date() }
+    });
+    const lockedUntilByKey = new Map(locks.map(lock => [lock.key, lock.lockedUntil]));
+
+    res.json(users.map(user => ({
+      ...serializeUser(user),
+      lockedUntil: lockedUntilByKey.get(loginThrottleKeys(req, user.email).account) || null
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/users/:id/role', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        error: `Invalid role. Must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    if (req.params.id === req.user.userId && role !== 'admin') {
+      return res.status(400).json({ error: 'You cannot remove your own admin role' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(serializeUser(user));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Clears the account's failed sign-in count and any lock on it. Locks on
+// client addresses are left to expire.
+app.post('/api/users/:id/unlock', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await LoginThrottle.deleteOne({ key: loginThrottleKeys(req, user.email).account });
+    res.json({ ...serializeUser(user), lockedUntil: null });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Security settings
+app.get('/api/settings/security', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const settings = await getSecuritySettings();
+    res.json({ twoFactorRoles: settings.twoFactorRoles });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Users of a newly listed role enroll the next time they sign in
+app.put('/api/settings/security', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { twoFactorRoles } = req.body;
+
+    if (!Array.isArray(twoFactorRoles) || twoFactorRoles.some(role => !ROLES.includes(role))) {
+      return res.status(400).json({
+        error: `twoFactorRoles must be a list of: ${ROLES.join(', ')}`
+      });
+    }
+
+    const settings = await SecuritySettings.findOneAndUpdate(
+      {},
+      { $set: { twoFactorRoles: [...new Set(twoFactorRoles)] } },
+      { upsert: true, new: true }
+    );
+    res.json({ twoFactorRoles: settings.twoFactorRoles });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Customer Routes
+const CUSTOMER_SORT_FIELDS = {
+  name: 'name',
+  email: 'email',
+  city: 'address.city',
+  country: 'address.country',
+  createdAt: 'createdAt'
+};
+
+// Builds the Mongo filter for GET /api/customers from its query string
+const buildCustomerQuery = ({ search, country, state, createdFrom, createdTo, includeInactive }) => {
+  // Customers created before deactivation existed have no isActive field
+  const query = includeInactive === 'true' ? {} : { isActive: { $ne: false } };
+
+  if (search) {
+    const pattern = { $regex: escapeRegex(search), $options: 'i' };
+    query.$or = [
+      { name: pattern },
+      { email: pattern },
+      { phone: pattern },
+      { 'address.city': pattern }
+    ];
+  }
+
+  if (country) {
+    query['address.country'] = country;
+  }
+
+  if (state) {
+    query['address.state'] = state;
+  }
+
+  if (createdFrom || createdTo) {
+    query.createdAt = buildDateRange(createdFrom, createdTo);
+  }
+
+  return query;
+};
+
+app.get('/api/customers', authenticateToken, requirePermission('customers:read'), async (req, res) => {
+  try {
+    const { sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+    const { page, pageSize, skip } = parsePagination(req.query, 20);
+
+    const sortField = CUSTOMER_SORT_FIELDS[sortBy];
+    if (!sortField) {
+      return res.status(400).json({
+        error: `Invalid sortBy. Must be one of: ${Object.keys(CUSTOMER_SORT_FIELDS).join(', ')}`
+      });
+    }
+    const direction = sortOrder === 'asc' ? 1 : -1;
+
+    const dateError = findInvalidDate(req.query, ['createdFrom', 'createdTo']);
+    if (dateError) {
+      return res.status(400).json({ error: dateError });
+    }
+
+    const query = buildCustomerQuery(req.query);
+
+    const [customers, total] = await Promise.all([
+      Customer.find(query)
+        .sort({ [sortField]: direction, _id: direction })
+        .skip(skip)
+        .limit(pageSize),
+      Customer.countDocuments(query)
+    ]);
+
+    res.json({
+      items: customers,
+      total,
+      page,
+      pageSize,
+      hasNext: skip + customers.length < total
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const CUSTOMER_EXPORT_COLUMNS = [
+  { header: 'Name', value: customer => customer.name, width: 24 },
+  { header: 'Email', value: customer => customer.email, width: 28 },
+  { header: 'Phone', value: customer => customer.phone },
+  { header: 'Street', value: customer => customer.address?.street, width: 24 },
+  { header: 'City', value: customer => customer.address?.city },
+  { header: 'State', value: customer => customer.address?.state },
+  { header: 'Zip Code', value: customer => customer.address?.zipCode },
+  { header: 'Country', value: customer => customer.address?.country },
+  { header: 'Active', value: customer => (customer.isActive === false ? 'No' : 'Yes') },
+  { header: 'Created', value: customer => customer.createdAt }
+];
+
+// Same filters as GET /api/customers; ?format=csv (default) or xlsx
+app.get('/api/customers/export', authenticateToken, requirePermission('customers:read'), async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({ error: `Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+    const dateError = findInvalidDate(req.query, ['createdFrom', 'createdTo']);
+    if (dateError) {
+      return res.status(400).json({ error: dateError });
+    }
+
+    const cursor = Customer.find(buildCustomerQuery(req.query)).sort({ name: 1, _id: 1 }).cursor();
+    await streamExport(res, { format, filename: 'customers', columns: CUSTOMER_EXPORT_COLUMNS, cursor });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/customers/locations', authenticateToken, requirePermission('customers:read'), async (req, res) => {
+  try {
+    const [countries, states] = await Promise.all([
+      Customer.distinct('address.country'),
+      Customer.distinct('address.state', req.query.country ? { 'address.country': req.query.country } : {})
+    ]);
+    res.json({
+      countries: countries.filter(Boolean).sort(),
+      states: states.filter(Boolean).sort()
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/customers', authenticateToken, requirePermission('customers:write'), async (req, res) => {
+  try {
+    const customer = new Customer(req.body);
+    await customer.save();
+    res.status(201).json(customer);
+  } catch (error) {
+    if (error.code === 11000) {
+      res.status(400).json({ error: 'Customer with this email already exists' });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// Bulk create/update from CSV or XLSX, matched on email. Multipart fields:
+// file, mapping (JSON of field to column) and dryRun ('false' to save).
+app.post('/api/customers/import', authenticateToken, requirePermission('customers:write'), receiveImportFile, async (req, res) => {
+  try {
+    const prepared = await prepareImport(req, CUSTOMER_IMPORT);
+    if (prepared.error) {
+      return res.status(400).json({ error: prepared.error });
+    }
+    res.json(await runImport(CUSTOMER_IMPORT, prepared));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/customers/:id', authenticateToken, requirePermission('customers:read'), async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    res.json(customer);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+app.get('/api/customers/:id/summary', authenticateToken, requirePermission('customers:read'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const [totals] = await Order.aggregate([
+      { $match: { customer: customer._id, archived: { $ne: true } } },
+      {
+        $facet: {
+          overall: [
+            {
+              $group: {
+                _id: null,
+                orderCount: { $sum: 1 },
+                firstOrderDate: { $min: '$orderDate' },
+                lastOrderDate: { $max: '$orderDate' }
+              }
+            }
+          ],
+          revenue: [
+            { $match: { status: { $in: REVENUE_STATUSES } } },
+            { $group: { _id: null, lifetimeRevenue: { $sum: toBaseCurrency('$totalAmount') }, orders: { $sum: 1 } } },
+            { $addFields: { lifetimeRevenue: fromCents('$lifetimeRevenue') } }
+          ],
+          byStatus: [
+            { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: toBaseCurrency('$totalAmount') } } },
+            { $addFields: { amount: fromCents('$amount') } },
+            { $sort: { _id: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const overall = totals.overall[0] || {};
+    const revenue = totals.revenue[0] || { lifetimeRevenue: 0, orders: 0 };
+
+    res.json({
+      customer,
+      stats: {
+        orderCount: overall.orderCount || 0,
+        lifetimeRevenue: revenue.lifetimeRevenue,
+        averageOrderValue: revenue.orders ? roundMoney(revenue.lifetimeRevenue / revenue.orders) : 0,
+        firstOrderDate: overall.firstOrderDate || null,
+        lastOrderDate: overall.lastOrderDate || null,
+        statusBreakdown: totals.byStatus,
+        // Revenue figures above are converted to this currency
+        baseCurrency: BASE_CURRENCY
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/customers/:id', authenticateToken, requirePermission('customers:write'), async (req, res) => {
+  try {
+    const customer = await Customer.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+    
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    
+    res.json(customer);
+  } catch (error) {
+    if (error.code === 11000) {
+      res.status(400).json({ error: 'Customer with this email already exists' });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// Anything referenced by an order is never hard-deleted. Without ?mode=deactivate
+// the request is refused with the referencing orders; with it the document is
+// deactivated instead.
+const findReferencingOrders = async (filter) => {
+  const [orders, count] = await Promise.all([
+    Order.find(filter, 'orderNumber status archived').sort({ createdAt: -1 }).limit(10),
+    Order.countDocuments(filter)
+  ]);
+  return { orders, count };
+};
+
+// Add missing DELETE route for deleting customers
+app.delete('/api/customers/:id', authenticateToken, requirePermission('customers:delete'), async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+    
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const references = await findReferencingOrders({ customer: customer._id });
+    if (references.count > 0) {
+      if (req.query.mode === 'deactivate') {
+        customer.isActive = false;
+        await customer.save();
+        return res.json({ message: 'Customer deactivated successfully', deactivated: true, customer });
+      }
+      return res.status(409).json({
+        error: `Customer has ${references.count} order(s) and cannot be deleted. Deactivate it instead.`,
+        orderCount: references.count,
+        orders: references.orders
+      });
+    }
+
+    await customer.deleteOne();
+    
+    res.json({ message: 'Customer deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Product Routes
+// Builds the Mongo filter for GET /api/products from its query string
+const buildProductQuery = ({ category, search, includeInactive, createdFrom, createdTo }) => {
+  const query = includeInactive === 'true' ? {} : { isActive: true };
+
+  if (category) {
+    query.category = category;
+  }
+
+  if (search) {
+    const pattern = { $regex: escapeRegex(search), $options: 'i' };
+    query.$or = [
+      { name: pattern },
+      { sku: pattern },
+      { description: pattern }
+    ];
+  }
+
+  if (createdFrom || createdTo) {
+    query.createdAt = buildDateRange(createdFrom, createdTo);
+  }
+
+  return query;
+};
+
+app.get('/api/products', authenticateToken, requirePermission('products:read'), async (req, res) => {
+  try {
+    const dateError = findInvalidDate(req.query, ['createdFrom', 'createdTo']);
+    if (dateError) {
+      return res.status(400).json({ error: dateError });
+    }
+
+    const products = await Product.find(buildProductQuery(req.query)).sort({ createdAt: -1 });
+    res.json(products);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/products', authenticateToken, requirePermission('products:write'), upload.array('pictures', 5), async (req, res) => {
+  try {
+    const productData = req.body;
+    if (req.files) {
       productData.pictures = req.files.map(file => `/uploads/${file.filename}`);
     }
     
-    const product = new Product(productData);
-    await product.save();
-    res.status(201).json(product);
+    const product = new Product(productData);
+    await product.save();
+    res.status(201).json(product);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const PRODUCT_EXPORT_COLUMNS = [
+  { header: 'SKU', value: product => product.sku },
+  { header: 'Name', value: product => product.name, width: 28 },
+  { header: 'Category', value: product => product.category },
+  { header: 'Description', value: product => product.description, width: 40 },
+  { header: 'Price', value: product => product.price },
+  { header: 'Currency', value: product => product.currency || BASE_CURRENCY },
+  { header: 'Weight (kg)', value: product => product.weight },
+  { header: 'Stock', value: product => product.stock },
+  { header: 'Active', value: product => (product.isActive ? 'Yes' : 'No') },
+  { header: 'Created', value: product => product.createdAt }
+];
+
+// Same filters as GET /api/products; ?format=csv (default) or xlsx
+app.get('/api/products/export', authenticateToken, requirePermission('products:read'), async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({ error: `Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+    const dateError = findInvalidDate(req.query, ['createdFrom', 'createdTo']);
+    if (dateError) {
+      return res.status(400).json({ error: dateError });
+    }
+
+    const cursor = Product.find(buildProductQuery(req.query)).sort({ createdAt: -1 }).cursor();
+    await streamExport(res, { format, filename: 'products', columns: PRODUCT_EXPORT_COLUMNS, cursor });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/products/categories', authenticateToken, requirePermission('products:read'), async (req, res) => {
+  try {
+    const categories = await Product.distinct('category', { isActive: true });
+    res.json(categories);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+app.get('/api/products/:id', authenticateToken, requirePermission('products:read'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    res.json(product);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Bulk create/update from CSV or XLSX, matched on SKU; same form fields as
+// the customer import
+app.post('/api/products/import', authenticateToken, requirePermission('products:write'), receiveImportFile, async (req, res) => {
+  try {
+    const prepared = await prepareImport(req, PRODUCT_IMPORT);
+    if (prepared.error) {
+      return res.status(400).json({ error: prepared.error });
+    }
+    res.json(await runImport(PRODUCT_IMPORT, prepared));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update product by ID
+app.put('/api/products/:id', authenticateToken, requirePermission('products:write'), async (req, res) => {
+  try {
+    const product = await Product.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+    
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    
+    res.json(product);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/products/:id', authenticateToken, requirePermission('products:delete'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const references = await findReferencingOrders({ 'products.product': product._id });
+    if (references.count > 0) {
+      if (req.query.mode === 'deactivate') {
+        product.isActive = false;
+        await product.save();
+        return res.json({ message: 'Product deactivated successfully', deactivated: true, product });
+      }
+      return res.status(409).json({
+        error: `Product appears on ${references.count} order(s) and cannot be deleted. Deactivate it instead.`,
+        orderCount: references.count,
+        orders: references.orders
+      });
+    }
+
+    await product.deleteOne();
+    
+    res.json({ message: 'Product deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Coupon Routes
+const COUPON_FIELDS = [
+  'code', 'description', 'discountType', 'discountValue', 'minSubtotal',
+  'validFrom', 'validTo', 'usageLimit', 'isActive'
+];
+
+// Only editable fields are taken from the body; usedCount is maintained by orders.
+// Empty strings clear optional fields such as validTo or usageLimit.
+const pickCouponFields = (body) => Object.fromEntries(
+  COUPON_FIELDS
+    .filter(field => body[field] !== undefined)
+    .map(field => [field, body[field] === '' ? null : body[field]])
+);
+
+app.get('/api/coupons', authenticateToken, requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const coupons = await Coupon.find().sort({ createdAt: -1 });
+    res.json(coupons);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/coupons', authenticateToken, requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const data = pickCouponFields(req.body);
+
+    if (!data.code) {
+      return res.status(400).json({ error: 'Coupon code is required' });
+    }
+
+    const existing = await Coupon.findOne({ code: String(data.code).trim().toUpperCase() });
+    if (existing) {
+      return res.status(400).json({ error: `Coupon ${existing.code} already exists` });
+    }
+
+    const coupon = new Coupon(data);
+    await coupon.save();
+    res.status(201).json(coupon);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/coupons/:id', authenticateToken, requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    const data = pickCouponFields(req.body);
+    if (data.code && String(data.code).trim().toUpperCase() !== coupon.code) {
+      const clash = await Coupon.findOne({ code: String(data.code).trim().toUpperCase() });
+      if (clash) {
+        return res.status(400).json({ error: `Coupon ${clash.code} already exists` });
+      }
+    }
+
+    // Saved through the document so the percentage validator sees both fields
+    coupon.set(data);
+    await coupon.save();
+    res.json(coupon);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Orders keep their own copy of the coupon terms, so deleting one is safe
+app.delete('/api/coupons/:id', authenticateToken, requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+    res.json({ message: 'Coupon deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Tax Rule Routes
+const TAX_RULE_FIELDS = ['name', 'country', 'state', 'rate', 'inclusive', 'exemptCategories', 'isActive'];
+
+const pickTaxRuleFields = (body) => Object.fromEntries(
+  TAX_RULE_FIELDS
+    .filter(field => body[field] !== undefined)
+    .map(field => [field, body[field]])
+);
+
+// Only one active rule may cover a given country and state
+const findClashingTaxRule = (rule) => TaxRule.findOne({
+  _id: { $ne: rule._id },
+  isActive: true,
+  country: { $regex: `^${escapeRegex(rule.country)}$`, $options: 'i' },
+  state: rule.state ? { $regex: `^${escapeRegex(rule.state)}$`, $options: 'i' } : { $exists: false }
+});
+
+const describeTaxRegion = (rule) => (rule.state ? `${rule.state}, ${rule.country}` : rule.country);
+
+app.get('/api/tax-rules', authenticateToken, requirePermission('taxes:manage'), async (req, res) => {
+  try {
+    const rules = await TaxRule.find().sort({ country: 1, state: 1 });
+    res.json(rules);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/tax-rules', authenticateToken, requirePermission('taxes:manage'), async (req, res) => {
+  try {
+    const rule = new TaxRule(pickTaxRuleFields(req.body));
+    await rule.validate();
+
+    if (rule.isActive) {
+      const clash = await findClashingTaxRule(rule);
+      if (clash) {
+        return res.status(400).json({ error: `${clash.name} already covers ${describeTaxRegion(clash)}` });
+      }
+    }
+
+    await rule.save();
+    res.status(201).json(rule);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Orders keep a snapshot of the rule they were priced with, so editing a
+// rule only affects orders priced afterwards
+app.put('/api/tax-rules/:id', authenticateToken, requirePermission('taxes:manage'), async (req, res) => {
+  try {
+    const rule = await TaxRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Tax rule not found' });
+    }
+
+    rule.set(pickTaxRuleFields(req.body));
+    await rule.validate();
+
+    if (rule.isActive) {
+      const clash = await findClashingTaxRule(rule);
+      if (clash) {
+        return res.status(400).json({ error: `${clash.name} already covers ${describeTaxRegion(clash)}` });
+      }
+    }
+
+    await rule.save();
+    res.json(rule);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/tax-rules/:id', authenticateToken, requirePermission('taxes:manage'), async (req, res) => {
+  try {
+    const rule = await TaxRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Tax rule not found' });
+    }
+    res.json({ message: 'Tax rule deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Shipping Method Routes
+const SHIPPING_METHOD_FIELDS = ['name', 'type', 'baseCost', 'perKg', 'freeOver', 'isActive'];
+
+const pickShippingMethodFields = (body) => Object.fromEntries(
+  SHIPPING_METHOD_FIELDS
+    .filter(field => body[field] !== undefined)
+    .map(field => [field, body[field] === '' ? null : body[field]])
+);
+
+// Anyone who can see orders can list methods; the order form picks from the active ones
+app.get('/api/shipping-methods', authenticateToken, requirePermission('orders:read'), async (req, res) => {
+  try {
+    const methods = await ShippingMethod.find().sort({ name: 1 });
+    res.json(methods);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/shipping-methods', authenticateToken, requirePermission('shipping:manage'), async (req, res) => {
+  try {
+    const method = new ShippingMethod(pickShippingMethodFields(req.body));
+    await method.save();
+    res.status(201).json(method);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/shipping-methods/:id', authenticateToken, requirePermission('shipping:manage'), async (req, res) => {
+  try {
+    const method = await ShippingMethod.findById(req.params.id);
+    if (!method) {
+      return res.status(404).json({ error: 'Shipping method not found' });
+    }
+
+    // Saved through the document so the threshold check sees the type
+    method.set(pickShippingMethodFields(req.body));
+    await method.save();
+    res.json(method);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Orders keep their own copy of the method's terms, so deleting one is safe
+app.delete('/api/shipping-methods/:id', authenticateToken, requirePermission('shipping:manage'), async (req, res) => {
+  try {
+    const method = await ShippingMethod.findByIdAndDelete(req.params.id);
+    if (!method) {
+      return res.status(404).json({ error: 'Shipping method not found' });
+    }
+    res.json({ message: 'Shipping method deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Currency Routes
+
+// The base currency and every currency with a rate, for currency pickers
+app.get('/api/currencies', authenticateToken, async (req, res) => {
+  try {
+    const currencies = await ExchangeRate.distinct('currency');
+    res.json({
+      baseCurrency: BASE_CURRENCY,
+      currencies: [BASE_CURRENCY, ...currencies.filter(currency => currency !== BASE_CURRENCY).sort()]
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/exchange-rates', authenticateToken, requirePermission('currencies:manage'), async (req, res) => {
+  try {
+    const rates = await ExchangeRate.find().sort({ currency: 1, effectiveFrom: -1 });
+    res.json(rates);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const pickExchangeRateFields = ({ currency, rate, effectiveFrom }) => Object.fromEntries(
+  Object.entries({ currency, rate, effectiveFrom }).filter(([, value]) => value !== undefined)
+);
+
+const saveExchangeRate = async (rate, res) => {
+  if (rate.currency === BASE_CURRENCY) {
+    return res.status(400).json({ error: `${BASE_CURRENCY} is the base currency and is always 1` });
+  }
+  const created = rate.isNew;
+  try {
+    await rate.save();
+    return res.status(created ? 201 : 200).json(rate);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: `A ${rate.currency} rate already starts on that date` });
+    }
+    throw error;
+  }
+};
+
+// Orders keep the rate they were placed with, so rates only affect new orders
+app.post('/api/exchange-rates', authenticateToken, requirePermission('currencies:manage'), async (req, res) => {
+  try {
+    const rate = new ExchangeRate(pickExchangeRateFields(req.body));
+    await saveExchangeRate(rate, res);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/exchange-rates/:id', authenticateToken, requirePermission('currencies:manage'), async (req, res) => {
+  try {
+    const rate = await ExchangeRate.findById(req.params.id);
+    if (!rate) {
+      return res.status(404).json({ error: 'Exchange rate not found' });
+    }
+    rate.set(pickExchangeRateFields(req.body));
+    await saveExchangeRate(rate, res);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/exchange-rates/:id', authenticateToken, requirePermission('currencies:manage'), async (req, res) => {
+  try {
+    const rate = await ExchangeRate.findByIdAndDelete(req.params.id);
+    if (!rate) {
+      return res.status(404).json({ error: 'Exchange rate not found' });
+    }
+    res.json({ message: 'Exchange rate deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+//orders
+
+const ORDER_SORT_FIELDS = {
+  date: 'createdAt',
+  amount: 'totalAmount',
+  status: 'status',
+  customer: 'customerName'
+};
+
+// Builds the Mongo filter for GET /api/orders from its query string
+const buildOrderQuery = async ({ status, customer, category, archived, search, dateFrom, dateTo }) => {
+  const query = {};
+
+  // Archived orders are hidden unless asked for explicitly
+  if (archived === 'true') {
+    query.archived = true;
+  } else if (archived !== 'all') {
+    query.archived = { $ne: true };
+  }
+
+  if (status) {
+    query.status = status;
+  }
+
+  if (customer) {
+    query.customer = customer;
+  }
+
+  if (category) {
+    query['products.category'] = category;
+  }
+
+  if (dateFrom || dateTo) {
+    query.createdAt = buildDateRange(dateFrom, dateTo);
+  }
+
+  if (search) {
+    const pattern = { $regex: escapeRegex(search), $options: 'i' };
+    const [customerIds, productIds] = await Promise.all([
+      Customer.distinct('_id', { $or: [{ name: pattern }, { email: pattern }] }),
+      Product.distinct('_id', { name: pattern })
+    ]);
+    query.$or = [
+      { orderNumber: pattern },
+      { customer: { $in: customerIds } },
+      { 'products.name': pattern },
+      { 'products.sku': pattern },
+      { 'products.product': { $in: productIds } }
+    ];
+    // Let "ORD-2024-42" or just "42" find ORD-2024-00042 without typing the padding
+    const numbered = search.trim().match(/^(.*?)(\d+)$/);
+    if (numbered) {
+      query.$or.push({
+        orderNumber: { $regex: `(^|-)${escapeRegex(numbered[1])}0*${Number(numbered[2])}$`, $options: 'i' }
+      });
+    }
+    if (mongoose.Types.ObjectId.isValid(search)) {
+      query.$or.push({ _id: search });
+    }
+  }
+
+  return query;
+};
+
+app.get('/api/orders', authenticateToken, requirePermission('orders:read'), async (req, res) => {
+  try {
+    console.log('📋 GET /api/orders - Fetching orders...');
+    const { sortBy = 'date', sortOrder = 'desc' } = req.query;
+    const { page, pageSize, skip } = parsePagination(req.query);
+
+    const sortField = ORDER_SORT_FIELDS[sortBy];
+    if (!sortField) {
+      return res.status(400).json({
+        error: `Invalid sortBy. Must be one of: ${Object.keys(ORDER_SORT_FIELDS).join(', ')}`
+      });
+    }
+    const direction = sortOrder === 'asc' ? 1 : -1;
+
+    const dateError = findInvalidDate(req.query, ['dateFrom', 'dateTo']);
+    if (dateError) {
+      return res.status(400).json({ error: dateError });
+    }
+    
+    const query = await buildOrderQuery(req.query);
+    
+    console.log('🔍 Query filters:', query);
+
+    let ids;
+    if (sortBy === 'customer') {
+      // Customer name lives on another collection, so page through an aggregation
+      const rows = await Order.aggregate([
+        { $match: Order.where(query).cast(Order) },
+        { $lookup: { from: 'customers', localField: 'customer', foreignField: '_id', as: 'customerDoc' } },
+        { $addFields: { customerName: { $toLower: { $ifNull: [{ $first: '$customerDoc.name' }, ''] } } } },
+        { $sort: { customerName: direction, _id: direction } },
+        { $skip: skip },
+        { $limit: pageSize },
+        { $project: { _id: 1 } }
+      ]);
+      ids = rows.map(row => row._id);
+    }
+
+    const findQuery = ids ? { _id: { $in: ids } } : query;
+    let orders = await Order.find(findQuery)
+      .populate('customer', 'name email') // Only populate needed fields
+      .populate('products.product', 'name price category') // Populate product details
+      .populate('archivedBy', 'username')
+      .populate('statusHistory.user', 'username')
+      .sort(ids ? {} : { [sortField]: direction, _id: direction })
+      .limit(ids ? 0 : pageSize)
+      .skip(ids ? 0 : skip);
+
+    if (ids) {
+      const position = new Map(ids.map((id, index) => [id.toString(), index]));
+      orders = orders.sort((a, b) => position.get(a._id.toString()) - position.get(b._id.toString()));
+    }
+    
+    const total = await Order.countDocuments(query);
+
+    console.log(`Found ${orders.length} of ${total} orders`);
+    
+    res.json({
+      items: orders,
+      total,
+      page,
+      pageSize,
+      hasNext: skip + orders.length < total
+    });
+    
+  } catch (error) {
+    console.error('GET /api/orders error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const ORDER_EXPORT_COLUMNS = [
+  { header: 'Order Number', value: order => order.orderNumber },
+  { header: 'Order Date', value: order => order.createdAt },
+  { header: 'Status', value: order => order.status },
+  { header: 'Customer', value: order => order.customer?.name, width: 24 },
+  { header: 'Customer Email', value: order => order.customer?.email, width: 28 },
+  {
+    header: 'Products',
+    value: order => order.products.map(line => `${line.name || 'Unknown product'} x${line.quantity}`).join('; '),
+    width: 40
+  },
+  { header: 'Units', value: order => order.products.reduce((sum, line) => sum + line.quantity, 0) },
+  { header: 'Currency', value: order => order.currency || BASE_CURRENCY },
+  { header: 'Subtotal', value: order => order.subtotal ?? order.totalAmount },
+  { header: 'Discount', value: order => order.discountTotal || 0 },
+  { header: 'Coupon', value: order => order.coupon?.code },
+  { header: 'Tax', value: order => order.taxTotal || 0 },
+  { header: 'Shipping', value: order => order.shippingCost || 0 },
+  { header: 'Total', value: order => order.totalAmount },
+  { header: 'Exchange Rate', value: order => order.exchangeRate ?? 1 },
+  { header: 'Invoice Number', value: order => order.invoiceNumber },
+  { header: 'Carrier', value: order => order.shipment?.carrier },
+  { header: 'Tracking Number', value: order => order.shipment?.trackingNumber, width: 24 },
+  { header: 'Archived', value: order => (order.archived ? 'Yes' : 'No') }
+];
+
+// Same filters as GET /api/orders; ?format=csv (default) or xlsx. Declared
+// before GET /api/orders/:id so "export" is not read as an id.
+app.get('/api/orders/export', authenticateToken, requirePermission('orders:read'), async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({ error: `Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+    const dateError = findInvalidDate(req.query, ['dateFrom', 'dateTo']);
+    if (dateError) {
+      return res.status(400).json({ error: dateError });
+    }
+
+    const query = await buildOrderQuery(req.query);
+    const cursor = Order.find(query)
+      .populate('customer', 'name email')
+      .sort({ createdAt: -1, _id: -1 })
+      .cursor();
+    await streamExport(res, { format, filename: 'orders', columns: ORDER_EXPORT_COLUMNS, cursor });
+  } catch (error) {
+    console.error('GET /api/orders/export error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Order documents
+// Seller details printed at the top of every order document
+const COMPANY_DETAILS = {
+  name: process.env.COMPANY_NAME || 'Order Management',
+  address: process.env.COMPANY_ADDRESS,
+  email: process.env.COMPANY_EMAIL,
+  phone: process.env.COMPANY_PHONE,
+  taxId: process.env.COMPANY_TAX_ID
+};
+
+// Currency codes rather than symbols, which the built-in PDF fonts may lack
+const formatDocumentMoney = (amount, currency) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency, currencyDisplay: 'code' }).format(amount || 0);
+
+const formatDocumentDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+
+// Renders into a buffer so a failure part-way still gets a JSON error response
+const renderPdf = (render) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  try {
+    render(doc);
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
+
+const sendPdf = (res, filename, pdf) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+};
+
+const drawRule = (doc) => {
+  const { left, right } = doc.page.margins;
+  doc.moveTo(left, doc.y).lineTo(doc.page.width - right, doc.y).strokeColor('#cccccc').stroke();
+  doc.y += 8;
+};
+
+// Company block on the left, document title and reference details on the right
+const renderDocumentHeader = (doc, title, details) => {
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const top = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(16).text(COMPANY_DETAILS.name, left, top, { width: 260 });
+  doc.font('Helvetica').fontSize(9);
+  [
+    COMPANY_DETAILS.address,
+    COMPANY_DETAILS.email,
+    COMPANY_DETAILS.phone,
+    COMPANY_DETAILS.taxId && `Tax ID: ${COMPANY_DETAILS.taxId}`
+  ].filter(Boolean).forEach(line => doc.text(line, { width: 260 }));
+  const companyBottom = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(16).text(title, right - 220, top, { width: 220, align: 'right' });
+  doc.font('Helvetica').fontSize(9);
+  details.forEach(([label, value]) => doc.text(`${label}: ${value}`, { width: 220, align: 'right' }));
+
+  doc.x = left;
+  doc.y = Math.max(companyBottom, doc.y) + 16;
+  drawRule(doc);
+};
+
+const customerAddressLines = (customer) => {
+  if (!customer) return ['Customer no longer on file'];
+  const { street, city, state, zipCode, country } = customer.address || {};
+  return [customer.name, street, [city, state, zipCode].filter(Boolean).join(', '), country, customer.email]
+    .filter(Boolean);
+};
+
+const renderAddressBlock = (doc, heading, lines) => {
+  doc.font('Helvetica-Bold').fontSize(10).text(heading);
+  doc.font('Helvetica').fontSize(9);
+  lines.forEach(line => doc.text(line));
+  doc.moveDown();
+};
+
+// Columns are { label, x, width, align }; the header repeats on each new page
+const renderTable = (doc, columns, rows) => {
+  const bottom = doc.page.height - doc.page.margins.bottom;
+
+  const drawRow = (cells, font) => {
+    doc.font(font).fontSize(9);
+    const top = doc.y;
+    const height = Math.max(...cells.map((cell, i) => doc.heightOfString(String(cell), { width: columns[i].width })));
+    cells.forEach((cell, i) => {
+      doc.text(String(cell), columns[i].x, top, { width: columns[i].width, align: columns[i].align || 'left' });
+    });
+    doc.y = top + height + 6;
+  };
+  const drawHeader = () => {
+    drawRow(columns.map(column => column.label), 'Helvetica-Bold');
+    drawRule(doc);
+  };
+
+  drawHeader();
+  rows.forEach(row => {
+    if (doc.y + 30 > bottom) {
+      doc.addPage();
+      drawHeader();
+    }
+    drawRow(row, 'Helvetica');
+  });
+  drawRule(doc);
+  doc.x = doc.page.margins.left;
+};
+
+const INVOICE_COLUMNS = [
+  { label: 'Item', x: 50, width: 190 },
+  { label: 'Qty', x: 245, width: 35, align: 'right' },
+  { label: 'Unit Price', x: 285, width: 75, align: 'right' },
+  { label: 'Discount', x: 365, width: 65, align: 'right' },
+  { label: 'Tax', x: 435, width: 55, align: 'right' },
+  { label: 'Amount', x: 495, width: 67, align: 'right' }
+];
+
+// Line amounts are after line discounts. Tax is only added to the total when
+// the order's prices exclude it.
+const renderInvoice = (doc, order) => {
+  const format = (amount) => formatDocumentMoney(amount, order.currency || BASE_CURRENCY);
+
+  renderDocumentHeader(doc, 'INVOICE', [
+    ['Invoice', order.invoiceNumber],
+    ['Invoice date', formatDocumentDate(order.invoicedAt)],
+    ['Order', order.orderNumber],
+    ['Order date', formatDocumentDate(order.orderDate || order.createdAt)]
+  ]);
+  renderAddressBlock(doc, 'Bill To', customerAddressLines(order.customer));
+
+  renderTable(doc, INVOICE_COLUMNS, order.products.map(line => [
+    line.sku ? `${line.name || 'Unknown product'} (${line.sku})` : line.name || 'Unknown product',
+    line.quantity,
+    format(line.price),
+    line.discountAmount ? `-${format(line.discountAmount)}` : '',
+    line.taxAmount ? format(line.taxAmount) : '',
+    format(roundMoney(line.price * line.quantity - (line.discountAmount || 0)))
+  ]));
+
+  const totals = [
+    ['Subtotal', format(order.subtotal ?? order.totalAmount)],
+    order.discountTotal > 0 && [
+      order.coupon?.code ? `Discounts (incl. coupon ${order.coupon.code})` : 'Discounts',
+      `-${format(order.discountTotal)}`
+    ],
+    order.shipping?.name && [`Shipping - ${order.shipping.name}`, format(order.shippingCost)],
+    order.tax?.name && [
+      `${order.tax.name} ${order.tax.rate}%${order.tax.inclusive ? ' (included in prices)' : ''}`,
+      format(order.taxTotal)
+    ]
+  ].filter(Boolean);
+
+  doc.fontSize(9);
+  totals.forEach(([label, value]) => {
+    const top = doc.y;
+    doc.font('Helvetica').text(label, 250, top, { width: 230, align: 'right' });
+    doc.text(value, 485, top, { width: 77, align: 'right' });
+  });
+  doc.moveDown(0.5);
+  const top = doc.y;
+  doc.font('Helvetica-Bold').fontSize(11).text('Total', 250, top, { width: 230, align: 'right' });
+  doc.text(format(order.totalAmount), 445, top, { width: 117, align: 'right' });
+
+  doc.x = doc.page.margins.left;
+  doc.moveDown(2);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555')
+    .text(`All amounts are in ${order.currency || BASE_CURRENCY}.`);
+};
+
+const PACKING_SLIP_COLUMNS = [
+  { label: 'Item', x: 50, width: 260 },
+  { label: 'SKU', x: 315, width: 110 },
+  { label: 'Qty', x: 430, width: 50, align: 'right' },
+  { label: 'Packed', x: 485, width: 77, align: 'right' }
+];
+
+// A packing slip goes in the parcel, so it lists what was ordered but no prices
+const renderPackingSlip = (doc, order) => {
+  renderDocumentHeader(doc, 'PACKING SLIP', [
+    ['Order', order.orderNumber],
+    ['Order date', formatDocumentDate(order.orderDate || order.createdAt)],
+    order.shipping?.name && ['Shipping', order.shipping.name]
+  ].filter(Boolean));
+  renderAddressBlock(doc, 'Ship To', customerAddressLines(order.customer));
+
+  renderTable(doc, PACKING_SLIP_COLUMNS, order.products.map(line => [
+    line.name || 'Unknown product',
+    line.sku || '',
+    line.quantity,
+    '______'
+  ]));
+
+  const itemCount = order.products.reduce((sum, line) => sum + line.quantity, 0);
+  doc.font('Helvetica-Bold').fontSize(10).text(`Total items: ${itemCount}`, { align: 'right' });
+  if (order.notes) {
+    doc.moveDown();
+    renderAddressBlock(doc, 'Notes', [order.notes]);
+  }
+};
+
+const PICK_LIST_COLUMNS = [
+  { label: 'SKU', x: 50, width: 80 },
+  { label: 'Product', x: 135, width: 150 },
+  { label: 'Qty', x: 290, width: 40, align: 'right' },
+  { label: 'In Stock', x: 335, width: 45, align: 'right' },
+  { label: 'Orders', x: 390, width: 172 }
+];
+
+// One row per product across every order being picked, with the quantity each
+// order needs so picked items can be split between parcels
+const buildPickList = async (orders) => {
+  const byProduct = new Map();
+  orders.forEach(order => {
+    order.products.forEach(line => {
+      const key = String(line.product);
+      const item = byProduct.get(key) || { product: line.product, name: line.name, sku: line.sku, quantity: 0, orders: [] };
+      item.quantity += line.quantity;
+      item.orders.push({ orderNumber: order.orderNumber, quantity: line.quantity });
+      byProduct.set(key, item);
+    });
+  });
+
+  const items = [...byProduct.values()];
+  const stock = await Product.find({ _id: { $in: items.map(item => item.product) } }, 'stock');
+  const stockById = new Map(stock.map(product => [String(product._id), product.stock]));
+
+  return items
+    .map(item => ({ ...item, stock: stockById.get(String(item.product)) }))
+    // By SKU so the list follows shelf labels; items without one go last
+    .sort((a, b) => (!a.sku - !b.sku) || (a.sku || '').localeCompare(b.sku || '') || String(a.name).localeCompare(String(b.name)));
+};
+
+const renderPickList = (doc, orders, items) => {
+  renderDocumentHeader(doc, 'PICK LIST', [
+    ['Generated', formatDocumentDate(new Date())],
+    ['Orders', orders.length],
+    ['Units', items.reduce((sum, item) => sum + item.quantity, 0)]
+  ]);
+
+  renderTable(doc, PICK_LIST_COLUMNS, items.map(item => [
+    item.sku || '',
+    item.name || 'Unknown product',
+    item.quantity,
+    item.stock ?? 'n/a',
+    item.orders.map(entry => `${entry.orderNumber} x${entry.quantity}`).join(', ')
+  ]));
+};
+
+const MAX_DOCUMENT_ORDERS = 200;
+
+// Reads ?ids=a,b,c. ids is null when none were given; returns an error
+// message instead if the list is invalid.
+const parseOrderIds = (value) => {
+  if (!value) return { ids: null };
+  const ids = String(value).split(',').map(id => id.trim()).filter(Boolean);
+  if (ids.length > MAX_DOCUMENT_ORDERS) {
+    return { error: `At most ${MAX_DOCUMENT_ORDERS} orders can be printed at once` };
+  }
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'Invalid order id' };
+  }
+  return { ids };
+};
+
+// These routes come before GET /api/orders/:id so their paths are not read as ids
+
+// Consolidated pick list for placed orders - the selected ones, or all of
+// them oldest first up to MAX_DOCUMENT_ORDERS
+app.get('/api/orders/pick-list', authenticateToken, requirePermission('orders:fulfil'), async (req, res) => {
+  try {
+    const { ids, error } = parseOrderIds(req.query.ids);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const orders = await Order.find({
+      status: 'placed',
+      archived: { $ne: true },
+      ...(ids ? { _id: { $in: ids } } : {})
+    }, 'orderNumber products').sort({ createdAt: 1 }).limit(MAX_DOCUMENT_ORDERS);
+
+    if (orders.length === 0) {
+      return res.status(400).json({ error: 'There are no placed orders to pick' });
+    }
+
+    const items = await buildPickList(orders);
+    const pdf = await renderPdf(doc => renderPickList(doc, orders, items));
+    sendPdf(res, `pick-list-${new Date().toISOString().slice(0, 10)}.pdf`, pdf);
+  } catch (error) {
+    console.error('GET /api/orders/pick-list error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Packing slips for the selected orders, one page each
+app.get('/api/orders/packing-slips', authenticateToken, requirePermission('orders:fulfil'), async (req, res) => {
+  try {
+    const { ids, error } = parseOrderIds(req.query.ids);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!ids) {
+      return res.status(400).json({ error: 'Select the orders to print packing slips for' });
+    }
+
+    const orders = await Order.find({ _id: { $in: ids }, status: { $ne: 'cancelled' } })
+      .populate('customer', 'name email phone address')
+      .sort({ createdAt: 1 });
+    if (orders.length === 0) {
+      return res.status(400).json({ error: 'None of the selected orders can be packed' });
+    }
+
+    const pdf = await renderPdf(doc => {
+      orders.forEach((order, index) => {
+        if (index > 0) doc.addPage();
+        renderPackingSlip(doc, order);
+      });
+    });
+    sendPdf(res, `packing-slips-${new Date().toISOString().slice(0, 10)}.pdf`, pdf);
+  } catch (error) {
+    console.error('GET /api/orders/packing-slips error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Invoice numbers have to run without gaps, so a request first claims the
+// order and only the winner of the claim draws a number. A claim left behind
+// by a request that died part way can be taken over once it is stale.
+const INVOICE_CLAIM_TIMEOUT_MS = 60 * 1000;
+
+const issueInvoiceNumber = async (orderId) => {
+  const now = new Date();
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: orderId,
+      invoiceNumber: { $exists: false },
+      status: { $ne: 'cancelled' },
+      $or: [
+        { invoiceClaimedAt: { $exists: false } },
+        { invoiceClaimedAt: { $lt: new Date(now.getTime() - INVOICE_CLAIM_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { invoiceClaimedAt: now } }
+  );
+
+  if (claimed) {
+    const invoiceNumber = await nextInvoiceNumber();
+    await Order.updateOne(
+      { _id: orderId },
+      { $set: { invoiceNumber, invoicedAt: new Date() }, $unset: { invoiceClaimedAt: 1 } }
+    );
+  }
+  return Order.findById(orderId).populate('customer', 'name email phone address');
+};
+
+const sendInvoice = async (res, order) => {
+  const pdf = await renderPdf(doc => renderInvoice(doc, order));
+  sendPdf(res, `${order.invoiceNumber}.pdf`, pdf);
+};
+
+// Reprints an invoice that has already been issued
+app.get('/api/orders/:id/invoice', authenticateToken, requirePermission('orders:read'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const order = await Order.findById(req.params.id).populate('customer', 'name email phone address');
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (!order.invoiceNumber) {
+      return res.status(404).json({ error: 'No invoice has been issued for this order yet' });
+    }
+
+    await sendInvoice(res, order);
+  } catch (error) {
+    console.error(`GET /api/orders/${req.params.id}/invoice error:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Issues the invoice, assigning its number, and returns the PDF. Issuing an
+// order that already has one just reprints it.
+app.post('/api/orders/:id/invoice', authenticateToken, requirePermission('orders:fulfil'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const order = await Order.findById(req.params.id).populate('customer', 'name email phone address');
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (!order.invoiceNumber && order.status === 'cancelled') {
+      return res.status(400).json({ error: 'Cancelled orders cannot be invoiced' });
+    }
+
+    const invoiced = order.invoiceNumber ? order : await issueInvoiceNumber(order._id);
+    if (!invoiced.invoiceNumber) {
+      // Another request holds the claim, or the order was cancelled meanwhile
+      return res.status(409).json({ error: 'The invoice could not be issued right now, please try again' });
+    }
+
+    await sendInvoice(res, invoiced);
   } catch (error) {
+    console.error(`POST /api/orders/${req.params.id}/invoice error:`, error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/api/products/categories', authenticateToken, async (req, res) => {
+app.get('/api/orders/:id/packing-slip', authenticateToken, requirePermission('orders:fulfil'), async (req, res) => {
   try {
-    const categories = await Product.distinct('category', { isActive: true });
-    res.json(categories);
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const order = await Order.findById(req.params.id).populate('customer', 'name email phone address');
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (order.status === 'cancelled') {
+      return res.status(400).json({ error: 'Cancelled orders are not packed' });
+    }
+
+    const pdf = await renderPdf(doc => renderPackingSlip(doc, order));
+    sendPdf(res, `packing-slip-${order.orderNumber}.pdf`, pdf);
   } catch (error) {
+    console.error(`GET /api/orders/${req.params.id}/packing-slip error:`, error);
     res.status(500).json({ error: error.message });
   }
 });
-app.get('/api/products/:id', authenticateToken, async (req, res) => {
+
+app.get('/api/orders/:id', authenticateToken, requirePermission('orders:read'), async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id);
-    if (!product) {
-      return res.status(404).json({ error: 'Product not found' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Order not found' });
     }
-    res.json(product);
+
+    const order = await Order.findById(req.params.id)
+      .populate('customer', 'name email phone address')
+      .populate('products.product', 'name price category description pictures stock isActive')
+      .populate('archivedBy', 'username')
+      .populate('archiveLog.user', 'username')
+      .populate('editLog.user', 'username')
+      .populate('statusHistory.user', 'username');
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json(order);
   } catch (error) {
+    console.error(`GET /api/orders/${req.params.id} error:`, error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Update product by ID
-app.put('/api/products/:id', authenticateToken, async (req, res) => {
-  try {
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
-    
-    if (!product) {
-      return res.status(404).json({ error: 'Product not found' });
+// Merges repeated products so availability is checked against the full
+// quantity, keeping the last discount given for each product. Returns an
+// error message instead if any line is invalid.
+const mergeOrderLines = (products) => {
+  const lines = new Map();
+  for (const item of products) {
+    const quantity = Number(item.quantity);
+    if (!item.productId || !Number.isInteger(quantity) || quantity < 1) {
+      return { error: 'Each product must have productId and a positive whole quantity' };
     }
-    
-    res.json(product);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+
+    const discountType = item.discountType || undefined;
+    const discountValue = discountType ? Number(item.discountValue) : undefined;
+    if (discountType && !DISCOUNT_TYPES.includes(discountType)) {
+      return { error: `Invalid discountType. Must be one of: ${DISCOUNT_TYPES.join(', ')}` };
+    }
+    if (discountType && (!Number.isFinite(discountValue) || discountValue < 0 ||
+        (discountType === 'percentage' && discountValue > 100))) {
+      return { error: 'Discount must be a positive amount, or a percentage no higher than 100' };
+    }
+
+    const productId = String(item.productId);
+    const merged = lines.get(productId);
+    lines.set(productId, {
+      quantity: (merged?.quantity || 0) + quantity,
+      discountType: discountType || merged?.discountType,
+      discountValue: discountType ? discountValue : merged?.discountValue
+    });
   }
-});
+  return { lines };
+};
 
-app.delete('/api/products/:id', authenticateToken, async (req, res) => {
-  try {
-    const product = await Product.findByIdAndDelete(req.params.id);
-    
-    if (!product) {
-      return res.status(404).json({ error: 'Product not found' });
+// Snapshots each requested product at its current price. Every product must
+// still be on sale, and they must share a currency, which becomes the order's.
+const buildOrderLines = async (lines) => {
+  const orderProducts = [];
+  const currencies = new Set();
+  for (const [productId, { quantity, discountType, discountValue }] of lines) {
+    const product = await Product.findById(productId);
+    if (!product || !product.isActive) {
+      return { error: `Product not found: ${productId}` };
     }
-    
-    res.json({ message: 'Product deleted successfully' });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+    orderProducts.push({ ...snapshotProduct(product), quantity, discountType, discountValue });
+    currencies.add(product.currency || BASE_CURRENCY);
   }
-});
+  if (currencies.size > 1) {
+    return { error: `All products on an order must be priced in one currency (found ${[...currencies].join(', ')})` };
+  }
+  return { orderProducts, currency: [...currencies][0] };
+};
 
-//orders
+const missingRateError = (currency) => `No exchange rate to ${BASE_CURRENCY} has been entered for ${currency}`;
 
-app.get('/api/orders', authenticateToken, async (req, res) => {
+// Prices a prospective order without saving it, so the order form can show
+// the same subtotal, discounts, tax, shipping and total the server will
+// charge. Tax is only included once a customer is chosen.
+app.post('/api/orders/quote', authenticateToken, requirePermission('orders:create'), async (req, res) => {
   try {
-    console.log('📋 GET /api/orders - Fetching orders...');
-    const { status, customer, category, page = 1, limit = 10 } = req.query;
-    
-    let query = {};
-    
-    if (status) {
-      query.status = status;
+    const { products, couponCode, customer, shippingMethod } = req.body;
+
+    if (!Array.isArray(products) || products.length === 0) {
+      return res.status(400).json({ error: 'Products are required' });
     }
-    
-    if (customer) {
-      query.customer = customer;
+
+    const merged = mergeOrderLines(products);
+    if (merged.error) {
+      return res.status(400).json({ error: merged.error });
     }
-    
-    console.log('🔍 Query filters:', query);
-    
-    const orders = await Order.find(query)
-      .populate('customer', 'name email') // Only populate needed fields
-      .populate('products.product', 'name price category') // Populate product details
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-    
-    console.log(`Found ${orders.length} orders`);
-    
-    // Filter by category if specified (after population)
-    let filteredOrders = orders;
-    if (category) {
-      filteredOrders = orders.filter(order =>
-        order.products.some(p => p.product && p.product.category === category)
-      );
+
+    const { orderProducts, currency, error } = await buildOrderLines(merged.lines);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const exchangeRate = await findExchangeRate(currency);
+    if (!exchangeRate) {
+      return res.status(400).json({ error: missingRateError(currency) });
+    }
+
+    const customerDoc = mongoose.Types.ObjectId.isValid(customer) ? await Customer.findById(customer) : null;
+    const taxRule = await findTaxRule(customerDoc?.address);
+
+    const shipping = await findShippingMethod(shippingMethod);
+    if (shippingMethod && !shipping) {
+      return res.status(400).json({ error: `Shipping method not found: ${shippingMethod}` });
+    }
+
+    // A bad coupon still returns a quote, just without the coupon applied
+    try {
+      const { pricing } = await priceOrderWithCoupon(orderProducts, couponCode, taxRule, shipping, exchangeRate);
+      res.json({ ...pricing, currency, exchangeRate });
+    } catch (couponError) {
+      if (!(couponError instanceof CouponError)) throw couponError;
+      res.json({
+        ...priceOrder(orderProducts, null, taxRule, shipping, exchangeRate),
+        currency,
+        exchangeRate,
+        couponError: couponError.message
+      });
     }
-    
-    const total = await Order.countDocuments(query);
-    
-    // Return simple array format for compatibility
-    res.json(filteredOrders);
-    
   } catch (error) {
-    console.error('GET /api/orders error:', error);
+    console.error('POST /api/orders/quote error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/orders', authenticateToken, async (req, res) => {
+app.post('/api/orders', authenticateToken, requirePermission('orders:create'), async (req, res) => {
   try {
     console.log('POST /api/orders - Creating order...');
     console.log('Request body:', req.body);
     
-    const { customer, products, notes } = req.body;
+    const { customer, products, notes, couponCode, shippingMethod } = req.body;
     
     // Validate required fields
     if (!customer || !products || !Array.isArray(products) || products.length === 0) {
@@ -385,46 +3614,75 @@ app.post('/api/orders', authenticateToken, async (req, res) => {
         error: 'Customer and products are required' 
       });
     }
+
+    const customerDoc = mongoose.Types.ObjectId.isValid(customer) ? await Customer.findById(customer) : null;
+    if (!customerDoc || customerDoc.isActive === false) {
+      return res.status(400).json({ error: `Customer not found: ${customer}` });
+    }
     
-    // Calculate total amount
-    let totalAmount = 0;
-    const orderProducts = [];
-    
-    for (const item of products) {
-      if (!item.productId || !item.quantity) {
-        return res.status(400).json({ 
-          error: 'Each product must have productId and quantity' 
-        });
-      }
-      
-      const product = await Product.findById(item.productId);
-      if (!product) {
-        return res.status(400).json({ 
-          error: `Product not found: ${item.productId}` 
-        });
-      }
-      
-      const itemTotal = product.price * item.quantity;
-      totalAmount += itemTotal;
-      
-      orderProducts.push({
-        product: product._id,
-        quantity: item.quantity,
-        price: product.price
-      });
+    const merged = mergeOrderLines(products);
+    if (merged.error) {
+      return res.status(400).json({ error: merged.error });
+    }
+
+    const { orderProducts, currency, error: linesError } = await buildOrderLines(merged.lines);
+    if (linesError) {
+      return res.status(400).json({ error: linesError });
+    }
+
+    const exchangeRate = await findExchangeRate(currency);
+    if (!exchangeRate) {
+      return res.status(400).json({ error: missingRateError(currency) });
+    }
+
+    const shipping = await findShippingMethod(shippingMethod);
+    if (shippingMethod && !shipping) {
+      return res.status(400).json({ error: `Shipping method not found: ${shippingMethod}` });
     }
+
+    const taxRule = await findTaxRule(customerDoc.address);
+    const { pricing, coupon } = await priceOrderWithCoupon(orderProducts, couponCode, taxRule, shipping, exchangeRate);
     
-    console.log('Total amount calculated:', totalAmount);
+    console.log('Total amount calculated:', pricing.totalAmount);
     
+    await reserveStock(pricing.lines);
+
+    if (coupon) {
+      try {
+        await claimCoupon(coupon);
+      } catch (error) {
+        await releaseStock(pricing.lines);
+        throw error;
+      }
+    }
+
     const order = new Order({
       customer,
-      products: orderProducts,
-      totalAmount,
+      products: pricing.lines,
+      subtotal: pricing.subtotal,
+      discountTotal: pricing.discountTotal,
+      coupon: pricing.coupon,
+      tax: pricing.tax,
+      taxTotal: pricing.taxTotal,
+      shipping: pricing.shipping,
+      shippingCost: pricing.shippingCost,
+      totalAmount: pricing.totalAmount,
+      currency,
+      exchangeRate,
       notes,
-      status: 'placed' // Default status
+      status: 'placed', // Default status
+      statusHistory: [{ status: 'placed', user: req.user.userId }]
     });
     
-    await order.save();
+    try {
+      await saveOrderWithNumber(order);
+    } catch (error) {
+      await releaseStock(pricing.lines);
+      if (coupon) {
+        await releaseCoupon(coupon);
+      }
+      throw error;
+    }
     
     // Populate the saved order before sending response
     await order.populate('customer', 'name email');
@@ -434,39 +3692,306 @@ app.post('/api/orders', authenticateToken, async (req, res) => {
     res.status(201).json(order);
     
   } catch (error) {
+    if (error instanceof StockError) {
+      return res.status(409).json({ error: error.message, shortages: error.shortages });
+    }
+    if (error instanceof CouponError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('POST /api/orders error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+const describeDiscount = (line) => {
+  if (!line.discountType || !line.discountValue) return 'none';
+  return line.discountType === 'percentage' ? `${line.discountValue}%` : line.discountValue.toFixed(2);
+};
+
+// Placed orders can be amended in place. Only the difference in quantities
+// touches stock, and every edit is written to editLog. A coupon already on
+// the order is re-applied with its original terms; tax is looked up again
+// when the customer changes or prices are recalculated.
+app.put('/api/orders/:id', authenticateToken, requirePermission('orders:create'), async (req, res) => {
+  try {
+    console.log(`PUT /api/orders/${req.params.id} - Editing order...`);
+
+    const { customer, products, notes, keepPrices, shippingMethod } = req.body;
+
+    const existing = await Order.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (existing.archived) {
+      return res.status(400).json({ error: 'Archived orders must be restored before editing' });
+    }
+
+    if (existing.status !== 'placed') {
+      return res.status(400).json({ error: `Only placed orders can be edited; this order is ${existing.status}` });
+    }
+
+    if (!Array.isArray(products) || products.length === 0) {
+      return res.status(400).json({ error: 'Products are required' });
+    }
+
+    const merged = mergeOrderLines(products);
+    if (merged.error) {
+      return res.status(400).json({ error: merged.error });
+    }
+    const quantities = merged.lines;
+
+    const changes = [];
+
+    let customerId = existing.customer;
+    let customerDoc = null;
+    if (customer && String(customer) !== String(existing.customer)) {
+      customerDoc = mongoose.Types.ObjectId.isValid(customer) ? await Customer.findById(customer) : null;
+      if (!customerDoc || customerDoc.isActive === false) {
+        return res.status(400).json({ error: `Customer not found: ${customer}` });
+      }
+      customerId = customerDoc._id;
+      changes.push(`Customer changed to ${customerDoc.name}`);
+    }
+
+    const previousLines = new Map(existing.products.map(line => [String(line.product), line]));
+    const orderProducts = [];
+    const orderCurrency = existing.currency || BASE_CURRENCY;
+
+    for (const [productId, { quantity, discountType, discountValue }] of quantities) {
+      const previous = previousLines.get(productId);
+      const product = await Product.findById(productId);
+
+      // A line already on the order may keep a product that has since been
+      // retired, as long as its quantity doesn't grow
+      if ((!product || !product.isActive) && !(previous && quantity <= previous.quantity)) {
+        return res.status(400).json({ error: `Product not found: ${productId}` });
+      }
+
+      // New or repriced lines must be in the currency the order was placed in
+      if (!(previous && (keepPrices || !product)) && (product.currency || BASE_CURRENCY) !== orderCurrency) {
+        return res.status(400).json({ error: `${product.name} is priced in ${product.currency}, but this order is in ${orderCurrency}` });
+      }
+
+      if (previous && (keepPrices || !product)) {
+        const { product: ref, name, category, sku, weight, price } = previous;
+        orderProducts.push({ product: ref, name, category, sku, weight, price, quantity, discountType, discountValue });
+      } else {
+        orderProducts.push({ ...snapshotProduct(product), quantity, discountType, discountValue });
+      }
+    }
+
+    orderProducts.forEach(line => {
+      const previous = previousLines.get(String(line.product));
+      if (!previous) {
+        changes.push(`Added ${line.name} x${line.quantity}`);
+        return;
+      }
+      if (previous.quantity !== line.quantity) {
+        changes.push(`${line.name} quantity ${previous.quantity} → ${line.quantity}`);
+      }
+      if (previous.price !== line.price) {
+        changes.push(`${line.name} price ${previous.price.toFixed(2)} → ${line.price.toFixed(2)}`);
+      }
+      if (describeDiscount(previous) !== describeDiscount(line)) {
+        changes.push(`${line.name} discount ${describeDiscount(previous)} → ${describeDiscount(line)}`);
+      }
+    });
+    existing.products.forEach(line => {
+      if (!quantities.has(String(line.product))) {
+        changes.push(`Removed ${line.name || 'product'}`);
+      }
+    });
+
+    // The existing shipping terms are kept unless another method is chosen;
+    // an empty value removes shipping
+    let shipping = existing.shipping?.name ? existing.shipping : null;
+    if (shippingMethod !== undefined && String(shippingMethod || '') !== String(existing.shipping?.method || '')) {
+      shipping = await findShippingMethod(shippingMethod);
+      if (shippingMethod && !shipping) {
+        return res.status(400).json({ error: `Shipping method not found: ${shippingMethod}` });
+      }
+      changes.push(shipping ? `Shipping changed to ${shipping.name}` : 'Shipping removed');
+    }
+
+    const nextNotes = notes === undefined ? existing.notes : notes;
+    if ((nextNotes || '') !== (existing.notes || '')) {
+      changes.push('Notes updated');
+    }
+
+    if (changes.length === 0) {
+      return res.status(400).json({ error: 'No changes to save' });
+    }
+
+    let tax = existing.tax?.name ? existing.tax : null;
+    if (customerDoc || !keepPrices) {
+      const taxCustomer = customerDoc || await Customer.findById(existing.customer);
+      tax = await findTaxRule(taxCustomer?.address);
+    }
+
+    const pricing = priceOrder(
+      orderProducts,
+      existing.coupon?.code ? existing.coupon : null,
+      tax,
+      shipping,
+      existing.exchangeRate || 1
+    );
+
+    // Work out how much stock each product needs to give or take back
+    const increases = [];
+    const decreases = [];
+    for (const productId of new Set([...previousLines.keys(), ...quantities.keys()])) {
+      const delta = (quantities.get(productId)?.quantity || 0) - (previousLines.get(productId)?.quantity || 0);
+      if (delta > 0) increases.push({ product: productId, quantity: delta });
+      if (delta < 0) decreases.push({ product: productId, quantity: -delta });
+    }
+
+    await reserveStock(increases);
+
+    // Matching on updatedAt rejects the edit if anything else touched the
+    // order (status change, archive, another edit) since we read it
+    const order = await Order.findOneAndUpdate(
+      { _id: existing._id, status: 'placed', archived: { $ne: true }, updatedAt: existing.updatedAt },
+      {
+        customer: customerId,
+        products: pricing.lines,
+        subtotal: pricing.subtotal,
+        discountTotal: pricing.discountTotal,
+        coupon: pricing.coupon,
+        // null rather than undefined, which would be dropped from the update
+        tax: pricing.tax ?? null,
+        taxTotal: pricing.taxTotal,
+        shipping: pricing.shipping ?? null,
+        shippingCost: pricing.shippingCost,
+        totalAmount: pricing.totalAmount,
+        notes: nextNotes,
+        $push: {
+          editLog: {
+            user: req.user.userId,
+            at: new Date(),
+            changes,
+            previousTotal: existing.totalAmount,
+            totalAmount: pricing.totalAmount
+          }
+        }
+      },
+      { new: true, runValidators: true }
+    )
+    .populate('customer', 'name email')
+    .populate('products.product', 'name price category')
+    .populate('statusHistory.user', 'username')
+    .populate('editLog.user', 'username');
+
+    if (!order) {
+      await releaseStock(increases);
+      return res.status(409).json({ error: 'Order was modified by another request, please retry' });
+    }
+
+    await releaseStock(decreases);
+
+    console.log(`Order ${order._id} edited: ${changes.join('; ')}`);
+    res.json(order);
+  } catch (error) {
+    if (error instanceof StockError) {
+      return res.status(409).json({ error: error.message, shortages: error.shortages });
+    }
+    console.error(`PUT /api/orders/${req.params.id} error:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.put('/api/orders/:id/status', authenticateToken, async (req, res) => {
   try {
     console.log(`PUT /api/orders/${req.params.id}/status - Updating status...`);
     
-    const { status } = req.body;
+    const { status, reason, shipment } = req.body;
     
     if (!status) {
       return res.status(400).json({ error: 'Status is required' });
     }
     
     // Validate status values
-    const validStatuses = ['placed', 'shipped', 'delivered', 'cancelled'];
-    if (!validStatuses.includes(status)) {
+    if (!ORDER_STATUSES.includes(status)) {
       return res.status(400).json({ 
-        error: `Invalid status. Must be one of: ${validStatuses.join(', ')}` 
+        error: `Invalid status. Must be one of: ${ORDER_STATUSES.join(', ')}` 
       });
     }
     
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { status },
+    // Cancelling is a sales decision, moving an order forward is fulfilment
+    const requiredPermission = status === 'cancelled' ? 'orders:cancel' : 'orders:fulfil';
+    if (!hasPermission(req.user, requiredPermission)) {
+      return res.status(403).json({ error: `You do not have permission to perform this action (${requiredPermission})` });
+    }
+    
+    const existing = await Order.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (existing.archived) {
+      return res.status(400).json({ error: 'Archived orders must be restored before changing status' });
+    }
+
+    const allowed = ORDER_STATUS_TRANSITIONS[existing.status] || [];
+    if (!allowed.includes(status)) {
+      return res.status(400).json({
+        error: allowed.length
+          ? `Cannot change status from ${existing.status} to ${status}. Allowed: ${allowed.join(', ')}`
+          : `Cannot change status of a ${existing.status} order`
+      });
+    }
+
+    // Shipping records how the parcel went out; delivery is stamped automatically
+    const shipmentUpdate = {};
+    if (status === 'shipped') {
+      const carrier = shipment?.carrier?.trim();
+      const trackingNumber = shipment?.trackingNumber?.trim();
+      if (!carrier || !trackingNumber) {
+        return res.status(400).json({ error: 'Carrier and tracking number are required to ship an order' });
+      }
+      const shippedAt = shipment.shippedAt ? new Date(shipment.shippedAt) : new Date();
+      if (isNaN(shippedAt.getTime())) {
+        return res.status(400).json({ error: 'Invalid ship date' });
+      }
+      Object.assign(shipmentUpdate, {
+        'shipment.carrier': carrier,
+        'shipment.trackingNumber': trackingNumber,
+        'shipment.shippedAt': shippedAt
+      });
+    }
+    if (status === 'delivered') {
+      shipmentUpdate['shipment.deliveredAt'] = new Date();
+    }
+
+    // Only the request that actually performs the transition may restock,
+    // so match on the status we read
+    const order = await Order.findOneAndUpdate(
+      { _id: req.params.id, status: existing.status },
+      {
+        status,
+        ...shipmentUpdate,
+        $push: {
+          statusHistory: {
+            status,
+            from: existing.status,
+            user: req.user.userId,
+            at: new Date(),
+            reason: reason || undefined
+          }
+        }
+      },
       { new: true, runValidators: true }
     )
     .populate('customer', 'name email')
-    .populate('products.product', 'name price category');
+    .populate('products.product', 'name price category')
+    .populate('statusHistory.user', 'username');
     
     if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
+      return res.status(409).json({ error: 'Order was modified by another request, please retry' });
+    }
+
+    if (status === 'cancelled') {
+      await releaseStock(existing.products);
     }
     
     console.log(`Order status updated to: ${status}`);
@@ -478,18 +4003,113 @@ app.put('/api/orders/:id/status', authenticateToken, async (req, res) => {
   }
 });
 
+// Orders are never hard-deleted; DELETE archives them so history stays intact
+const ARCHIVABLE_STATUSES = ['placed', 'cancelled'];
+
+app.delete('/api/orders/:id', authenticateToken, requirePermission('orders:delete'), async (req, res) => {
+  try {
+    const existing = await Order.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (existing.archived) {
+      return res.status(400).json({ error: 'Order is already archived' });
+    }
+
+    if (!ARCHIVABLE_STATUSES.includes(existing.status)) {
+      return res.status(400).json({
+        error: `Only ${ARCHIVABLE_STATUSES.join(' or ')} orders can be archived`
+      });
+    }
+
+    const now = new Date();
+    const order = await Order.findOneAndUpdate(
+      { _id: existing._id, archived: { $ne: true }, status: existing.status },
+      {
+        archived: true,
+        archivedAt: now,
+        archivedBy: req.user.userId,
+        $push: { archiveLog: { action: 'archived', user: req.user.userId, at: now } }
+      },
+      { new: true }
+    );
+
+    if (!order) {
+      return res.status(409).json({ error: 'Order was modified by another request, please retry' });
+    }
+
+    // An archived open order no longer holds its stock
+    if (order.status === 'placed') {
+      await releaseStock(order.products);
+    }
+
+    console.log(`Order ${order._id} archived by ${req.user.userId}`);
+    res.json({ message: 'Order archived successfully', order });
+  } catch (error) {
+    console.error(`DELETE /api/orders/${req.params.id} error:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/orders/:id/restore', authenticateToken, requirePermission('orders:delete'), async (req, res) => {
+  try {
+    const existing = await Order.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (!existing.archived) {
+      return res.status(400).json({ error: 'Order is not archived' });
+    }
+
+    // A restored open order needs its stock back before it can be fulfilled
+    if (existing.status === 'placed') {
+      await reserveStock(existing.products);
+    }
+
+    const order = await Order.findOneAndUpdate(
+      { _id: existing._id, archived: true },
+      {
+        archived: false,
+        $unset: { archivedAt: 1, archivedBy: 1 },
+        $push: { archiveLog: { action: 'restored', user: req.user.userId, at: new Date() } }
+      },
+      { new: true }
+    );
+
+    if (!order) {
+      if (existing.status === 'placed') {
+        await releaseStock(existing.products);
+      }
+      return res.status(409).json({ error: 'Order was modified by another request, please retry' });
+    }
+
+    console.log(`Order ${order._id} restored by ${req.user.userId}`);
+    res.json(order);
+  } catch (error) {
+    if (error instanceof StockError) {
+      return res.status(409).json({ error: error.message, shortages: error.shortages });
+    }
+    console.error(`POST /api/orders/${req.params.id}/restore error:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Dashboard/Analytics Routes
-app.get('/api/dashboard/stats', authenticateToken, async (req, res) => {
+app.get('/api/dashboard/stats', authenticateToken, requirePermission('dashboard:read'), async (req, res) => {
   try {
-    const totalOrders = await Order.countDocuments();
+    const activeOrders = { archived: { $ne: true } };
+    const totalOrders = await Order.countDocuments(activeOrders);
     const totalCustomers = await Customer.countDocuments();
     const totalProducts = await Product.countDocuments({ isActive: true });
     
     const ordersByStatus = await Order.aggregate([
+      { $match: activeOrders },
       { $group: { _id: '$status', count: { $sum: 1 } } }
     ]);
     
-    const recentOrders = await Order.find()
+    const recentOrders = await Order.find(activeOrders)
       .populate('customer')
       .sort({ createdAt: -1 })
       .limit(5);
@@ -497,7 +4117,8 @@ app.get('/api/dashboard/stats', authenticateToken, async (req, res) => {
     const monthlyRevenue = await Order.aggregate([
       {
         $match: {
-          status: { $in: ['shipped', 'delivered'] },
+          ...activeOrders,
+          status: { $in: REVENUE_STATUSES },
           createdAt: { $gte: new Date(new Date().getFullYear(), new Date().getMonth() - 5, 1) }
         }
       },
@@ -507,12 +4128,41 @@ app.get('/api/dashboard/stats', authenticateToken, async (req, res) => {
             year: { $year: '$createdAt' },
             month: { $month: '$createdAt' }
           },
-          revenue: { $sum: '$totalAmount' },
+          revenue: { $sum: toBaseCurrency('$totalAmount') },
+          tax: { $sum: toBaseCurrency('$taxTotal') },
           orders: { $sum: 1 }
         }
       },
+      { $addFields: { revenue: fromCents('$revenue'), tax: fromCents('$tax') } },
       { $sort: { '_id.year': 1, '_id.month': 1 } }
     ]);
+
+    // Grouped on the line snapshot so renamed or deleted products keep their history
+    const topProducts = await Order.aggregate([
+      { $match: { ...activeOrders, status: { $in: REVENUE_STATUSES } } },
+      { $sort: { createdAt: 1 } },
+      { $unwind: '$products' },
+      {
+        $group: {
+          _id: '$products.product',
+          name: { $last: '$products.name' },
+          category: { $last: '$products.category' },
+          sku: { $last: '$products.sku' },
+          quantity: { $sum: '$products.quantity' },
+          revenue: {
+            $sum: toBaseCurrency({
+              $subtract: [
+                { $multiply: ['$products.price', '$products.quantity'] },
+                { $ifNull: ['$products.discountAmount', 0] }
+              ]
+            })
+          }
+        }
+      },
+      { $sort: { revenue: -1 } },
+      { $limit: 5 },
+      { $addFields: { revenue: fromCents('$revenue') } }
+    ]);
     
     res.json({
       totalOrders,
@@ -520,7 +4170,9 @@ app.get('/api/dashboard/stats', authenticateToken, async (req, res) => {
       totalProducts,
       ordersByStatus,
       recentOrders,
-      monthlyRevenue
+      monthlyRevenue,
+      topProducts,
+      baseCurrency: BASE_CURRENCY
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -9,11 +9,22 @@ import { useAuth } from './contexts/AuthContext';
 import Layout from './components/Layout';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import Dashboard from './pages/Dashboard';
 import Customers from './pages/Customers';
+import CustomerDetail from './pages/CustomerDetail';
 import Products from './pages/Products';
 import Orders from './pages/Orders';
+import OrderDetail from './pages/OrderDetail';
 import OrderCreation from './pages/NewOrder';
+import Users from './pages/Users';
+import Coupons from './pages/Coupons';
+import TaxRules from './pages/TaxRules';
+import ShippingMethods from './pages/ShippingMethods';
+import Currencies from './pages/Currencies';
+import Security from './pages/Security';
 import './index.css';
 
 // Enhanced QueryClient with better error handling
@@ -60,8 +71,8 @@ const LoadingSpinner = () => (
 );
 
 // Enhanced Protected Route with better error handling
-const ProtectedRoute = ({ children }) => {
-  const { user, loading, error } = useAuth();
+const ProtectedRoute = ({ children, permission }) => {
+  const { user, loading, error, hasPermission } = useAuth();
   
   if (loading) {
     return <LoadingSpinner />;
@@ -76,10 +87,22 @@ const ProtectedRoute = ({ children }) => {
     console.log('No user found, redirecting to login');
     return <Navigate to="/login" replace />;
   }
+
+  if (permission && !hasPermission(permission)) {
+    console.log(`Missing permission ${permission}, redirecting to home`);
+    return <Navigate to="/" replace />;
+  }
   
   return children;
 };
 
+// Sends users to the first page their role can open
+const HomeRedirect = () => {
+  const { hasPermission } = useAuth();
+  const target = hasPermission('dashboard:read') ? '/dashboard' : '/orders';
+  return <Navigate to={target} replace />;
+};
+
 // Enhanced Public Route
 const PublicRoute = ({ children }) => {
   const { user, loading } = useAuth();
@@ -198,6 +221,17 @@ function App() {
                     </PublicRoute>
                   }
                 />
+                <Route
+                  path="/forgot-password"
+                  element={
+                    <PublicRoute>
+                      <ForgotPassword />
+                    </PublicRoute>
+                  }
+                />
+                {/* Emailed links work whether or not someone is signed in */}
+                <Route path="/reset-password" element={<ResetPassword />} />
+                <Route path="/verify-email" element={<VerifyEmail />} />
                 <Route
                   path="/"
                   element={
@@ -206,14 +240,22 @@ function App() {
                     </ProtectedRoute>
                   }
                 >
-                  <Route index element={<Navigate to="/dashboard" replace />} />
-                  <Route path="dashboard" element={<Dashboard />} />
-                  <Route path="customers" element={<Customers />} />
-                  <Route path="products" element={<Products />} />
-                  <Route path="orders" element={<Orders />} />
-                  <Route path="neworders" element={<OrderCreation />} />
+                  <Route index element={<HomeRedirect />} />
+                  <Route path="dashboard" element={<ProtectedRoute permission="dashboard:read"><Dashboard /></ProtectedRoute>} />
+                  <Route path="customers" element={<ProtectedRoute permission="customers:read"><Customers /></ProtectedRoute>} />
+                  <Route path="customers/:id" element={<ProtectedRoute permission="customers:read"><CustomerDetail /></ProtectedRoute>} />
+                  <Route path="products" element={<ProtectedRoute permission="products:read"><Products /></ProtectedRoute>} />
+                  <Route path="orders" element={<ProtectedRoute permission="orders:read"><Orders /></ProtectedRoute>} />
+                  <Route path="orders/:id" element={<ProtectedRoute permission="orders:read"><OrderDetail /></ProtectedRoute>} />
+                  <Route path="neworders" element={<ProtectedRoute permission="orders:create"><OrderCreation /></ProtectedRoute>} />
+                  <Route path="coupons" element={<ProtectedRoute permission="coupons:manage"><Coupons /></ProtectedRoute>} />
+                  <Route path="tax-rules" element={<ProtectedRoute permission="taxes:manage"><TaxRules /></ProtectedRoute>} />
+                  <Route path="shipping-methods" element={<ProtectedRoute permission="shipping:manage"><ShippingMethods /></ProtectedRoute>} />
+                  <Route path="currencies" element={<ProtectedRoute permission="currencies:manage"><Currencies /></ProtectedRoute>} />
+                  <Route path="users" element={<ProtectedRoute permission="users:manage"><Users /></ProtectedRoute>} />
+                  <Route path="security" element={<Security />} />
                 </Route>
-                <Route path="*" element={<Navigate to="/dashboard" replace />} />
+                <Route path="*" element={<Navigate to="/" replace />} />
               </Routes>
               
               {/* Debug components - remove in production */}
@@ -0,0 +1,27 @@
+import React from 'react';
+import { ShoppingCart } from 'lucide-react';
+
+// The logo, heading and card shared by the signed-out account pages
+const AuthCard = ({ title, subtitle, children }) => (
+  <div className="min-h-screen bg-gradient-to-br from-primary-50 via-white to-blue-50 flex items-center justify-center px-4">
+    <div className="max-w-md w-full space-y-8">
+      <div className="text-center">
+        <div className="flex justify-center mb-6">
+          <div className="w-16 h-16 bg-gradient-primary rounded-2xl flex items-center justify-center shadow-lg">
+            <ShoppingCart className="w-8 h-8 text-white" />
+          </div>
+        </div>
+        <h2 className="text-3xl font-bold text-gray-900 mb-2">{title}</h2>
+        {subtitle && <p className="text-gray-600">{subtitle}</p>}
+      </div>
+
+      <div className="card shadow-elegant animate-fade-in">
+        <div className="card-body p-8">
+          {children}
+        </div>
+      </div>
+    </div>
+  </div>
+);
+
+export default AuthCard;
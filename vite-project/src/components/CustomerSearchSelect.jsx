@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { customerAPI } from '../services/api';
+import useDebounce from '../hooks/useDebounce';
+
+// Searchable customer picker backed by GET /api/customers, for use where a
+// plain <select> would have to load the whole customer book
+const CustomerSearchSelect = ({ value, onChange, placeholder = 'Search customers...', className = '', required = false }) => {
+  const [search, setSearch] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const debouncedSearch = useDebounce(search);
+
+  const { data: results = [], isFetching } = useQuery({
+    queryKey: ['customers', { search: debouncedSearch, pageSize: 10, sortBy: 'name', sortOrder: 'asc' }],
+    queryFn: () => customerAPI.getAll({ search: debouncedSearch, pageSize: 10, sortBy: 'name', sortOrder: 'asc' }),
+    select: (data) => data.data?.items || [],
+    enabled: isOpen
+  });
+
+  // Parent cleared the value (e.g. "Clear Filters")
+  const current = value && selected?._id === value ? selected : null;
+
+  const choose = (customer) => {
+    setSelected(customer);
+    setSearch('');
+    setIsOpen(false);
+    onChange(customer?._id || '');
+  };
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        value={isOpen ? search : current ? `${current.name} - ${current.email}` : ''}
+        placeholder={placeholder}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setTimeout(() => setIsOpen(false), 150)}
+        onChange={(e) => setSearch(e.target.value)}
+        className={className}
+        required={required && !value}
+      />
+      {isOpen && (
+        <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg max-h-60 overflow-y-auto">
+          {value && (
+            <li>
+              <button
+                type="button"
+                onMouseDown={() => choose(null)}
+                className="w-full text-left px-3 py-2 text-sm text-gray-500 hover:bg-gray-50"
+              >
+                Clear selection
+              </button>
+            </li>
+          )}
+          {results.map(customer => (
+            <li key={customer._id}>
+              <button
+                type="button"
+                onMouseDown={() => choose(customer)}
+                className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50"
+              >
+                <span className="font-medium text-gray-900">{customer.name}</span>
+                <span className="ml-2 text-gray-500">{customer.email}</span>
+              </button>
+            </li>
+          ))}
+          {!isFetching && results.length === 0 && (
+            <li className="px-3 py-2 text-sm text-gray-500">No customers found</li>
+          )}
+          {isFetching && (
+            <li className="px-3 py-2 text-sm text-gray-500">Searching...</li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default CustomerSearchSelect;
@@ -0,0 +1,27 @@
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { downloadFile } from '../utils/download';
+
+// Button that runs a blob API request and saves the file it returns
+const DownloadButton = ({ request, filename, errorMessage = 'Download failed', className, title, disabled, children }) => {
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  const handleClick = async () => {
+    setIsDownloading(true);
+    try {
+      await downloadFile(request, filename);
+    } catch (error) {
+      toast.error(error.message || errorMessage);
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  return (
+    <button type="button" onClick={handleClick} disabled={disabled || isDownloading} className={className} title={title}>
+      {children}
+    </button>
+  );
+};
+
+export default DownloadButton;
@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+import { Download, ChevronDown } from 'lucide-react';
+import DownloadButton from './DownloadButton';
+
+const FORMATS = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'xlsx', label: 'Excel (XLSX)' }
+];
+
+// Export menu for list pages. request(format) fetches the file as a blob;
+// the server names the file, name is only the fallback.
+const ExportButton = ({ request, name }) => {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className="relative">
+      <button type="button" onClick={() => setOpen(!open)} className="btn-secondary flex items-center gap-2">
+        <Download className="w-4 h-4" />
+        Export
+        <ChevronDown className="w-4 h-4" />
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-44 bg-white border border-gray-200 rounded-lg shadow-lg z-20 py-1">
+          {FORMATS.map(({ format, label }) => (
+            <DownloadButton
+              key={format}
+              request={() => {
+                setOpen(false);
+                return request(format);
+              }}
+              filename={`${name}.${format}`}
+              errorMessage="Export failed"
+              className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+            >
+              {label}
+            </DownloadButton>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportButton;
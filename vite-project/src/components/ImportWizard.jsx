@@ -0,0 +1,185 @@
+import React, { useState } from 'react';
+import { Upload, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const ACTION_BADGES = {
+  create: 'bg-green-100 text-green-600',
+  update: 'bg-blue-100 text-blue-600',
+  unchanged: 'bg-gray-100 text-gray-600',
+  error: 'bg-red-100 text-red-600'
+};
+
+const MAX_ERROR_ROWS = 50;
+
+const ImportSummary = ({ summary }) => (
+  <div className="flex flex-wrap gap-2 text-sm">
+    {['create', 'update', 'unchanged', 'error'].map(action => (
+      <span key={action} className={`badge capitalize ${ACTION_BADGES[action]}`}>
+        {summary[action]} {action === 'error' ? 'with errors' : action}
+      </span>
+    ))}
+  </div>
+);
+
+const ImportErrors = ({ rows, keyLabel }) => {
+  const failed = rows.filter(row => row.action === 'error');
+  if (failed.length === 0) return null;
+
+  return (
+    <div className="border border-red-200 rounded-lg max-h-60 overflow-y-auto">
+      <table className="table text-sm">
+        <thead className="bg-red-50">
+          <tr>
+            <th>Row</th>
+            <th>{keyLabel}</th>
+            <th>Problems</th>
+          </tr>
+        </thead>
+        <tbody>
+          {failed.slice(0, MAX_ERROR_ROWS).map(row => (
+            <tr key={row.row}>
+              <td>{row.row}</td>
+              <td className="font-mono">{row.key || '—'}</td>
+              <td className="text-red-600">{row.errors.join('; ')}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {failed.length > MAX_ERROR_ROWS && (
+        <p className="text-xs text-gray-500 p-2">and {failed.length - MAX_ERROR_ROWS} more rows with errors</p>
+      )}
+    </div>
+  );
+};
+
+// Upload a CSV/XLSX file, map its columns onto fields and check the rows
+// with a dry run, then import. importFile(file, { mapping, dryRun }) is the
+// API call; rows with errors are skipped and reported.
+const ImportWizard = ({ title, keyLabel, importFile, onImported, onClose }) => {
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [result, setResult] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const run = async (options) => {
+    setIsBusy(true);
+    try {
+      const response = await importFile(options.file || file, options);
+      return response.data;
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Import failed');
+      return null;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  // The first check lets the server guess the mapping from the headers
+  const handleFile = async (e) => {
+    const chosen = e.target.files[0];
+    if (!chosen) return;
+    setFile(chosen);
+    const data = await run({ file: chosen, dryRun: true });
+    if (data) {
+      setReport(data);
+      setMapping(data.mapping);
+    }
+  };
+
+  const check = async () => {
+    const data = await run({ mapping, dryRun: true });
+    if (data) setReport(data);
+  };
+
+  const handleImport = async () => {
+    const data = await run({ mapping, dryRun: false });
+    if (data) {
+      setResult(data);
+      onImported();
+    }
+  };
+
+  const updateMapping = (field, column) => {
+    const next = { ...mapping };
+    if (column) next[field] = column;
+    else delete next[field];
+    setMapping(next);
+  };
+
+  // The preview only describes the mapping it was checked with
+  const isStale = report && JSON.stringify(mapping) !== JSON.stringify(report.mapping);
+  const importable = report ? report.summary.create + report.summary.update : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-6 rounded-lg w-full max-w-2xl mx-4 max-h-[90vh] overflow-y-auto space-y-4">
+        <div className="flex justify-between">
+          <h2 className="text-xl font-bold">{title}</h2>
+          <button onClick={onClose}><X /></button>
+        </div>
+
+        {result ? (
+          <>
+            <p className="text-gray-700">
+              Imported {result.summary.create + result.summary.update} of {result.summary.total} rows from {file.name}.
+            </p>
+            <ImportSummary summary={result.summary} />
+            <ImportErrors rows={result.rows} keyLabel={keyLabel} />
+            <button onClick={onClose} className="btn-primary w-full">Done</button>
+          </>
+        ) : !report ? (
+          <label className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-lg p-10 cursor-pointer hover:bg-gray-50">
+            <Upload className="w-10 h-10 text-gray-400 mb-2" />
+            <span className="text-gray-700">{isBusy ? 'Reading file...' : 'Choose a CSV or XLSX file'}</span>
+            <span className="text-xs text-gray-500 mt-1">The first row must hold the column names. Rows are matched on {keyLabel}.</span>
+            <input type="file" accept=".csv,.xlsx" onChange={handleFile} disabled={isBusy} className="hidden" />
+          </label>
+        ) : (
+          <>
+            <p className="text-sm text-gray-600">
+              {file.name}: choose the column that holds each field. Blank cells leave existing values unchanged.
+            </p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              {report.fields.map(field => (
+                <label key={field.key} className="block text-sm text-gray-700">
+                  {field.label}{field.required && <span className="text-red-500"> *</span>}
+                  <select
+                    value={mapping[field.key] || ''}
+                    onChange={(e) => updateMapping(field.key, e.target.value)}
+                    className="form-select w-full mt-1"
+                  >
+                    <option value="">Not imported</option>
+                    {report.headers.map(header => (
+                      <option key={header} value={header}>{header}</option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+
+            {isStale ? (
+              <button onClick={check} disabled={isBusy} className="btn-secondary w-full disabled:opacity-50">
+                {isBusy ? 'Checking...' : 'Check rows with this mapping'}
+              </button>
+            ) : (
+              <>
+                <ImportSummary summary={report.summary} />
+                <ImportErrors rows={report.rows} keyLabel={keyLabel} />
+                <button
+                  onClick={handleImport}
+                  disabled={isBusy || importable === 0}
+                  className="btn-primary w-full"
+                >
+                  {isBusy ? 'Importing...' : `Import ${importable} rows`}
+                </button>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportWizard;
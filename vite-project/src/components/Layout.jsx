@@ -9,22 +9,33 @@ import {
   Menu, 
   X, 
   LogOut,
-  User
+  User,
+  Shield,
+  TicketPercent,
+  Receipt,
+  Truck,
+  Coins,
+  KeyRound
 } from 'lucide-react';
 
 const Layout = () => {
   const [sidebarOpen, setSidebarOpen] = useState(false);
-  const { user, logout } = useAuth();
+  const { user, logout, hasPermission } = useAuth();
   const location = useLocation();
 
   const navigation = [
-    { name: 'Dashboard', href: '/dashboard', icon: LayoutDashboard },
-    { name: 'Customers', href: '/customers', icon: Users },
-    { name: 'Products', href: '/products', icon: Package },
-    { name: 'Orders', href: '/orders', icon: ShoppingCart },
-  ];
+    { name: 'Dashboard', href: '/dashboard', icon: LayoutDashboard, permission: 'dashboard:read' },
+    { name: 'Customers', href: '/customers', icon: Users, permission: 'customers:read' },
+    { name: 'Products', href: '/products', icon: Package, permission: 'products:read' },
+    { name: 'Orders', href: '/orders', icon: ShoppingCart, permission: 'orders:read' },
+    { name: 'Coupons', href: '/coupons', icon: TicketPercent, permission: 'coupons:manage' },
+    { name: 'Tax Rules', href: '/tax-rules', icon: Receipt, permission: 'taxes:manage' },
+    { name: 'Shipping', href: '/shipping-methods', icon: Truck, permission: 'shipping:manage' },
+    { name: 'Currencies', href: '/currencies', icon: Coins, permission: 'currencies:manage' },
+    { name: 'Users', href: '/users', icon: Shield, permission: 'users:manage' },
+  ].filter((item) => hasPermission(item.permission));
 
-  const isActive = (path) => location.pathname === path;
+  const isActive = (path) => location.pathname === path || location.pathname.startsWith(`${path}/`);
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -81,15 +92,25 @@ const Layout = () => {
               <div>
                 <p className="text-sm font-medium text-gray-700">{user?.username}</p>
                 <p className="text-xs text-gray-500">{user?.email}</p>
+                <p className="text-xs text-gray-400 capitalize">{user?.role}</p>
               </div>
             </div>
-            <button
-              onClick={logout}
-              className="p-2 text-gray-400 hover:text-red-500 rounded-lg hover:bg-red-50 transition-colors"
-              title="Logout"
-            >
-              <LogOut className="w-4 h-4" />
-            </button>
+            <div className="flex items-center">
+              <Link
+                to="/security"
+                className="p-2 text-gray-400 hover:text-primary-600 rounded-lg hover:bg-primary-50 transition-colors"
+                title="Account security"
+              >
+                <KeyRound className="w-4 h-4" />
+              </Link>
+              <button
+                onClick={logout}
+                className="p-2 text-gray-400 hover:text-red-500 rounded-lg hover:bg-red-50 transition-colors"
+                title="Logout"
+              >
+                <LogOut className="w-4 h-4" />
+              </button>
+            </div>
           </div>
         </div>
 
@@ -0,0 +1,28 @@
+import React from 'react';
+import {
+  CheckCircleIcon,
+  TruckIcon,
+  XCircleIcon,
+  ClockIcon
+} from '@heroicons/react/24/outline';
+
+const OrderStatusBadge = ({ status }) => {
+  const statusConfig = {
+    placed: { color: 'bg-blue-100 text-blue-800', icon: ClockIcon },
+    shipped: { color: 'bg-yellow-100 text-yellow-800', icon: TruckIcon },
+    delivered: { color: 'bg-green-100 text-green-800', icon: CheckCircleIcon },
+    cancelled: { color: 'bg-red-100 text-red-800', icon: XCircleIcon }
+  };
+  
+  const config = statusConfig[status] || statusConfig.placed;
+  const Icon = config.icon;
+  
+  return (
+    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${config.color}`}>
+      <Icon className="w-3 h-3 mr-1" />
+      {status.charAt(0).toUpperCase() + status.slice(1)}
+    </span>
+  );
+};
+
+export default OrderStatusBadge;
@@ -0,0 +1,36 @@
+import React from 'react';
+import OrderStatusBadge from './OrderStatusBadge';
+
+// Orders created before status history was recorded only know their
+// creation time and current status
+const legacyHistory = (order) => {
+  const events = [{ status: 'placed', at: order.orderDate || order.createdAt }];
+  if (order.status !== 'placed') {
+    events.push({ status: order.status, from: 'placed', at: order.updatedAt });
+  }
+  return events;
+};
+
+const OrderStatusTimeline = ({ order }) => {
+  const history = order.statusHistory?.length ? order.statusHistory : legacyHistory(order);
+
+  return (
+    <ol className="relative border-l border-gray-200 ml-2 space-y-4">
+      {history.map((event, index) => (
+        <li key={event._id || index} className="ml-4">
+          <div className="absolute -left-1.5 w-3 h-3 bg-gray-300 rounded-full border border-white"></div>
+          <OrderStatusBadge status={event.status} />
+          <p className="text-xs text-gray-500 mt-1">
+            {new Date(event.at).toLocaleString()}
+            {event.user?.username && <> by <span className="font-medium">{event.user.username}</span></>}
+          </p>
+          {event.reason && (
+            <p className="text-sm text-gray-700 mt-1">{event.reason}</p>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default OrderStatusTimeline;
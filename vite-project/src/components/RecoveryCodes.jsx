@@ -0,0 +1,49 @@
+import React from 'react';
+import { Copy, Download } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Recovery codes are shown once, right after they are generated
+const RecoveryCodes = ({ codes }) => {
+  const text = codes.join('\n');
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('Recovery codes copied');
+    } catch {
+      toast.error('Could not copy the codes');
+    }
+  };
+
+  const download = () => {
+    const url = URL.createObjectURL(new Blob([`${text}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-600">
+        Keep these somewhere safe. Each code signs you in once if you lose your authenticator, and they won't be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 rounded-lg bg-gray-50 border border-gray-200 p-4 font-mono text-sm text-gray-900">
+        {codes.map(code => <span key={code}>{code}</span>)}
+      </div>
+      <div className="flex gap-2">
+        <button type="button" onClick={copy} className="btn-secondary flex items-center gap-2">
+          <Copy size={16} />
+          Copy
+        </button>
+        <button type="button" onClick={download} className="btn-secondary flex items-center gap-2">
+          <Download size={16} />
+          Download
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RecoveryCodes;
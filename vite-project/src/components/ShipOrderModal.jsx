@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+
+// Today as the local YYYY-MM-DD that <input type="date"> expects
+const today = () => {
+  const date = new Date();
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+};
+
+// Collects carrier, tracking number and ship date before an order is marked shipped
+const ShipOrderModal = ({ order, onSubmit, onClose, isSubmitting }) => {
+  const [shipment, setShipment] = useState({ carrier: '', trackingNumber: '', shippedAt: today() });
+
+  const update = (field, value) => setShipment({ ...shipment, [field]: value });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({
+      carrier: shipment.carrier.trim(),
+      trackingNumber: shipment.trackingNumber.trim(),
+      // Noon local time keeps the chosen day whatever the server's timezone
+      shippedAt: `${shipment.shippedAt}T12:00:00`
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-md mx-4">
+        <h3 className="text-lg font-semibold mb-1">
+          Ship Order {order.orderNumber || `#${order._id.slice(-8)}`}
+        </h3>
+        {order.shipping?.name && (
+          <p className="text-sm text-gray-500 mb-4">Shipping method: {order.shipping.name}</p>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Carrier</label>
+            <input
+              value={shipment.carrier}
+              onChange={(e) => update('carrier', e.target.value)}
+              placeholder="e.g. UPS"
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Tracking Number</label>
+            <input
+              value={shipment.trackingNumber}
+              onChange={(e) => update('trackingNumber', e.target.value)}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 font-mono focus:outline-none focus:ring-2 focus:ring-primary-500"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Ship Date</label>
+            <input
+              type="date"
+              value={shipment.shippedAt}
+              max={today()}
+              onChange={(e) => update('shippedAt', e.target.value)}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
+              required
+            />
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+            >
+              {isSubmitting ? 'Saving...' : 'Mark as Shipped'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ShipOrderModal;
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { authAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import AuthCard from './AuthCard';
+import TwoFactorSetup from './TwoFactorSetup';
+import RecoveryCodes from './RecoveryCodes';
+
+// Second sign-in step once the password has been accepted. mode is 'verify'
+// for accounts with two-factor, or 'setup' when the account's role requires
+// it and the user has to enroll before getting in.
+const TwoFactorLogin = ({ mode, challengeToken, onCancel }) => {
+  const { completeLogin } = useAuth();
+  const [code, setCode] = useState('');
+  const [useRecovery, setUseRecovery] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+  // After enrollment the new recovery codes are shown before signing in
+  const [enrolledSession, setEnrolledSession] = useState(null);
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    try {
+      const response = await authAPI.verifyTwoFactor(
+        challengeToken,
+        useRecovery ? { recoveryCode: code } : { code }
+      );
+      const { recoveryCodesRemaining } = response.data;
+      if (recoveryCodesRemaining !== undefined) {
+        toast(`${recoveryCodesRemaining} recovery codes left. Generate new ones from Account Security.`);
+      }
+      completeLogin(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Verification failed');
+      setCode('');
+      setIsBusy(false);
+    }
+  };
+
+  const enroll = async (enrollmentCode) => {
+    const response = await authAPI.enableTwoFactor(enrollmentCode, challengeToken);
+    setEnrolledSession(response.data);
+  };
+
+  if (enrolledSession) {
+    return (
+      <AuthCard title="Save your recovery codes">
+        <div className="space-y-6">
+          <RecoveryCodes codes={enrolledSession.recoveryCodes} />
+          <button onClick={() => completeLogin(enrolledSession)} className="btn-primary w-full">
+            I've saved them, continue
+          </button>
+        </div>
+      </AuthCard>
+    );
+  }
+
+  if (mode === 'setup') {
+    return (
+      <AuthCard title="Set up two-factor" subtitle="Your role requires an authenticator app to sign in">
+        <div className="space-y-4">
+          <TwoFactorSetup
+            startSetup={() => authAPI.setupTwoFactor(challengeToken)}
+            confirm={enroll}
+            submitLabel="Turn on and sign in"
+          />
+          <button type="button" onClick={onCancel} className="text-sm text-gray-600 hover:text-gray-800 w-full">
+            Back to sign in
+          </button>
+        </div>
+      </AuthCard>
+    );
+  }
+
+  return (
+    <AuthCard
+      title="Two-factor authentication"
+      subtitle={useRecovery ? 'Enter one of your recovery codes' : 'Enter the 6-digit code from your authenticator app'}
+    >
+      <form onSubmit={handleVerify} className="space-y-6">
+        {useRecovery ? (
+          <input
+            type="text"
+            required
+            autoComplete="off"
+            className="form-input w-full text-center font-mono"
+            placeholder="xxxxx-xxxxx"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            disabled={isBusy}
+          />
+        ) : (
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            pattern="\d{6}"
+            maxLength={6}
+            required
+            autoFocus
+            className="form-input w-full text-center tracking-widest font-mono text-lg"
+            placeholder="123456"
+            value={code}
+            onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+            disabled={isBusy}
+          />
+        )}
+
+        <button type="submit" disabled={isBusy || !code} className="w-full btn-primary py-3 text-lg font-semibold disabled:opacity-50">
+          {isBusy ? 'Verifying...' : 'Verify'}
+        </button>
+
+        <div className="flex justify-between text-sm">
+          <button
+            type="button"
+            onClick={() => {
+              setUseRecovery(!useRecovery);
+              setCode('');
+            }}
+            className="text-primary-600 hover:text-primary-700"
+          >
+            {useRecovery ? 'Use authenticator code' : 'Use a recovery code'}
+          </button>
+          <button type="button" onClick={onCancel} className="text-gray-600 hover:text-gray-800">
+            Back to sign in
+          </button>
+        </div>
+      </form>
+    </AuthCard>
+  );
+};
+
+export default TwoFactorLogin;
@@ -0,0 +1,70 @@
+import React, { useEffect, useRef, useState } from 'react';
+import toast from 'react-hot-toast';
+
+// Shows the QR code for a new authenticator secret and confirms it with a
+// first code. startSetup() and confirm(code) are the API calls.
+const TwoFactorSetup = ({ startSetup, confirm, submitLabel = 'Turn on two-factor' }) => {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  // Each setup call replaces the secret, so StrictMode's second run is skipped
+  const started = useRef(false);
+
+  useEffect(() => {
+    if (started.current) return;
+    started.current = true;
+
+    startSetup()
+      .then(response => setSetup(response.data))
+      .catch(error => toast.error(error.response?.data?.error || 'Could not start two-factor setup'));
+  }, [startSetup]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    try {
+      await confirm(code);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Invalid authentication code');
+      setCode('');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  if (!setup) {
+    return <div className="text-center text-gray-600 py-6">Preparing your authenticator code...</div>;
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Scan this code with an authenticator app such as Google Authenticator, 1Password or Authy, then enter the 6-digit code it shows.
+      </p>
+      <div className="flex justify-center">
+        <img src={setup.qrCode} alt="Authenticator QR code" className="w-48 h-48 border border-gray-200 rounded-lg" />
+      </div>
+      <p className="text-xs text-gray-500 text-center">
+        Can't scan it? Enter this key instead: <span className="font-mono text-gray-800 break-all">{setup.secret}</span>
+      </p>
+      <input
+        type="text"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        pattern="\d{6}"
+        maxLength={6}
+        required
+        className="form-input w-full text-center tracking-widest font-mono"
+        placeholder="123456"
+        value={code}
+        onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+        disabled={isBusy}
+      />
+      <button type="submit" disabled={isBusy || code.length !== 6} className="btn-primary w-full disabled:opacity-50">
+        {isBusy ? 'Checking...' : submitLabel}
+      </button>
+    </form>
+  );
+};
+
+export default TwoFactorSetup;
@@ -20,45 +20,89 @@ export const AuthProvider = ({ children }) => {
     const token = localStorage.getItem('token');
     const userData = localStorage.getItem('user');
     
-    if (token && userData) {
-      setUser(JSON.parse(userData));
+    if (!token || !userData) {
+      setLoading(false);
+      return;
     }
-    
-    setLoading(false);
+
+    // Users saved by older versions have no permissions, so they wait for
+    // the server's copy; anyone else is shown straight away
+    const storedUser = JSON.parse(userData);
+    if (storedUser.permissions) {
+      setUser(storedUser);
+      setLoading(false);
+    }
+
+    // The stored copy can be stale, e.g. after a role change
+    authAPI.me()
+      .then((response) => {
+        localStorage.setItem('user', JSON.stringify(response.data));
+        setUser(response.data);
+      })
+      .catch(() => {
+        if (!storedUser.permissions) {
+          localStorage.removeItem('token');
+          localStorage.removeItem('user');
+          setUser(null);
+        }
+      })
+      .finally(() => setLoading(false));
   }, []);
 
+  // The API client refreshes expired access tokens on its own and reports
+  // the result here; a null user means the session is over
+  useEffect(() => {
+    const handleSession = (event) => {
+      setUser(event.detail.user);
+    };
+
+    window.addEventListener('auth:session', handleSession);
+    return () => window.removeEventListener('auth:session', handleSession);
+  }, []);
+
+  // Stores the session a finished sign-in returns
+  const completeLogin = ({ token, user }) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('user', JSON.stringify(user));
+    setUser(user);
+    toast.success('Login successful!');
+  };
+
+  // Accounts with two-factor get a challenge token back instead of a
+  // session; Login then asks for a code (or enrollment) and calls completeLogin
   const login = async (email, password) => {
     try {
       console.log('Attempting to log in with:', { email, password });
       const response = await authAPI.login(email, password);
       console.log('Login response:', response);
-      const { token, user } = response.data;
-      
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(user));
-      setUser(user);
-      
-      toast.success('Login successful!');
+      const { twoFactorRequired, twoFactorSetupRequired, challengeToken } = response.data;
+
+      if (twoFactorRequired || twoFactorSetupRequired) {
+        return { success: false, twoFactor: twoFactorRequired ? 'verify' : 'setup', challengeToken };
+      }
+
+      completeLogin(response.data);
       return { success: true };
     } catch (error) {
       const message = error.response?.data?.error || 'Login failed';
       toast.error(message);
       console.error('Login error:', message);
-      return { success: false, error: message };
+      return {
+        success: false,
+        error: message,
+        code: error.response?.data?.code,
+        retryAfter: error.response?.data?.retryAfter
+      };
     }
   };
 
   const register = async (username, email, password) => {
     try {
+      // The account can sign in once its email address is confirmed
       const response = await authAPI.register(username, email, password);
-      const { token, user } = response.data;
-      
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(user));
-      setUser(user);
       
       toast.success('Registration successful!');
-      return { success: true };
+      return { success: true, email: response.data.email, emailSent: response.data.emailSent };
     } catch (error) {
       const message = error.response?.data?.error || 'Registration failed';
       toast.error(message);
@@ -66,18 +110,35 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
+  const logout = async () => {
+    // Local sign-out goes ahead even if the server cannot be reached
+    try {
+      await authAPI.logout();
+    } catch {
+      // Already logged by the API client
+    }
     localStorage.removeItem('token');
     localStorage.removeItem('user');
     setUser(null);
     toast.success('Logged out successfully');
   };
 
+  // For changes to the signed-in user's own account, e.g. enabling two-factor
+  const updateUser = (updatedUser) => {
+    localStorage.setItem('user', JSON.stringify(updatedUser));
+    setUser(updatedUser);
+  };
+
+  const hasPermission = (permission) => Boolean(user?.permissions?.includes(permission));
+
   const value = {
     user,
     login,
+    completeLogin,
     register,
+    updateUser,
     logout,
+    hasPermission,
     loading
   };
 
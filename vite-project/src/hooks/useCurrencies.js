@@ -0,0 +1,19 @@
+import { useQuery } from '@tanstack/react-query';
+import { currencyAPI } from '../services/api';
+
+// The base currency and every currency with an exchange rate
+const useCurrencies = () => {
+  const { data } = useQuery({
+    queryKey: ['currencies'],
+    queryFn: currencyAPI.getAll,
+    select: (response) => response.data,
+    staleTime: 5 * 60 * 1000
+  });
+
+  return {
+    baseCurrency: data?.baseCurrency || 'USD',
+    currencies: data?.currencies || [data?.baseCurrency || 'USD']
+  };
+};
+
+export default useCurrencies;
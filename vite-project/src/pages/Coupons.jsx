@@ -0,0 +1,287 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useForm } from 'react-hook-form';
+import { Plus, Edit, Trash2, TicketPercent, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { couponAPI } from '../services/api';
+import useCurrencies from '../hooks/useCurrencies';
+import { formatMoney } from '../utils/currency';
+
+const EMPTY_COUPON = {
+  code: '',
+  description: '',
+  discountType: 'percentage',
+  discountValue: '',
+  minSubtotal: '',
+  validFrom: '',
+  validTo: '',
+  usageLimit: '',
+  isActive: true
+};
+
+// <input type="date"> wants a local YYYY-MM-DD
+const toDateInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : null);
+
+// Fixed amounts are in the base currency and converted on foreign-currency orders
+const describeDiscount = (coupon, currency) => (
+  coupon.discountType === 'percentage'
+    ? `${coupon.discountValue}% off`
+    : `${formatMoney(coupon.discountValue, currency)} off`
+);
+
+const describeValidity = (coupon) => {
+  const from = formatDate(coupon.validFrom);
+  const to = formatDate(coupon.validTo);
+  if (from && to) return `${from} – ${to}`;
+  if (from) return `From ${from}`;
+  if (to) return `Until ${to}`;
+  return 'Always';
+};
+
+const isExpired = (coupon) => coupon.validTo && new Date(coupon.validTo) < new Date();
+
+const Coupons = () => {
+  const [showModal, setShowModal] = useState(false);
+  const [editingCoupon, setEditingCoupon] = useState(null);
+
+  const queryClient = useQueryClient();
+  const { baseCurrency } = useCurrencies();
+  const { register, handleSubmit, reset, watch } = useForm({ defaultValues: EMPTY_COUPON });
+
+  const { data: coupons, isLoading, error } = useQuery({
+    queryKey: ['coupons'],
+    queryFn: couponAPI.getAll,
+    select: (data) => data.data || []
+  });
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingCoupon(null);
+    reset(EMPTY_COUPON);
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: (data) => (editingCoupon ? couponAPI.update(editingCoupon._id, data) : couponAPI.create(data)),
+    onSuccess: () => {
+      toast.success(editingCoupon ? 'Coupon updated!' : 'Coupon created!');
+      queryClient.invalidateQueries({ queryKey: ['coupons'] });
+      closeModal();
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error || 'Failed to save coupon');
+    }
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: couponAPI.delete,
+    onSuccess: () => {
+      toast.success('Coupon deleted!');
+      queryClient.invalidateQueries({ queryKey: ['coupons'] });
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error || 'Delete failed');
+    }
+  });
+
+  const openCreate = () => {
+    reset(EMPTY_COUPON);
+    setEditingCoupon(null);
+    setShowModal(true);
+  };
+
+  const openEdit = (coupon) => {
+    reset({
+      ...EMPTY_COUPON,
+      ...coupon,
+      description: coupon.description || '',
+      minSubtotal: coupon.minSubtotal || '',
+      usageLimit: coupon.usageLimit || '',
+      validFrom: toDateInput(coupon.validFrom),
+      validTo: toDateInput(coupon.validTo)
+    });
+    setEditingCoupon(coupon);
+    setShowModal(true);
+  };
+
+  const handleDelete = (coupon) => {
+    if (window.confirm(`Delete coupon ${coupon.code}? Orders that used it keep their discount.`)) {
+      deleteMutation.mutate(coupon._id);
+    }
+  };
+
+  const onSubmit = (data) => {
+    saveMutation.mutate({
+      code: data.code.trim(),
+      description: data.description,
+      discountType: data.discountType,
+      discountValue: parseFloat(data.discountValue),
+      minSubtotal: data.minSubtotal === '' ? 0 : parseFloat(data.minSubtotal),
+      // Valid from the start of the first day through the end of the last
+      validFrom: data.validFrom ? `${data.validFrom}T00:00:00` : '',
+      validTo: data.validTo ? `${data.validTo}T23:59:59.999` : '',
+      usageLimit: data.usageLimit === '' ? '' : parseInt(data.usageLimit, 10),
+      isActive: data.isActive
+    });
+  };
+
+  const discountType = watch('discountType');
+
+  if (isLoading) return <div className="text-center p-8">Loading...</div>;
+  if (error) return <div className="text-red-500 text-center p-8">Error loading coupons</div>;
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Coupons</h1>
+          <p className="text-gray-600 mt-1">Discount codes the sales team can apply to new orders</p>
+        </div>
+        <button onClick={openCreate} className="btn-primary flex items-center gap-2">
+          <Plus size={20} />
+          Add Coupon
+        </button>
+      </div>
+
+      <div className="card">
+        <div className="card-body p-0">
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th>Code</th>
+                  <th>Discount</th>
+                  <th>Minimum Spend</th>
+                  <th>Valid</th>
+                  <th>Used</th>
+                  <th>Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {coupons.length === 0 ? (
+                  <tr>
+                    <td colSpan="7" className="text-center py-12">
+                      <TicketPercent size={48} className="mx-auto text-gray-400 mb-2" />
+                      <p className="text-gray-600">No coupons yet</p>
+                    </td>
+                  </tr>
+                ) : (
+                  coupons.map((coupon) => (
+                    <tr key={coupon._id} className="hover:bg-gray-50">
+                      <td>
+                        <div className="font-mono font-medium text-gray-900">{coupon.code}</div>
+                        {coupon.description && <div className="text-sm text-gray-500">{coupon.description}</div>}
+                      </td>
+                      <td>{describeDiscount(coupon, baseCurrency)}</td>
+                      <td>{coupon.minSubtotal ? formatMoney(coupon.minSubtotal, baseCurrency) : '—'}</td>
+                      <td className="text-gray-500">{describeValidity(coupon)}</td>
+                      <td>{coupon.usedCount}{coupon.usageLimit ? ` / ${coupon.usageLimit}` : ''}</td>
+                      <td>
+                        {!coupon.isActive ? (
+                          <span className="badge bg-gray-100 text-gray-600">Inactive</span>
+                        ) : isExpired(coupon) ? (
+                          <span className="badge bg-red-100 text-red-600">Expired</span>
+                        ) : (
+                          <span className="badge bg-green-100 text-green-600">Active</span>
+                        )}
+                      </td>
+                      <td>
+                        <div className="flex gap-2 justify-end">
+                          <button onClick={() => openEdit(coupon)} title="Edit coupon">
+                            <Edit className="w-5 h-5 text-blue-600" />
+                          </button>
+                          <button onClick={() => handleDelete(coupon)} title="Delete coupon">
+                            <Trash2 className="w-5 h-5 text-red-600" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white p-6 rounded-lg w-full max-w-md mx-4 max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between mb-4">
+              <h2 className="text-xl font-bold">{editingCoupon ? 'Edit' : 'Add'} Coupon</h2>
+              <button onClick={closeModal}><X /></button>
+            </div>
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+              <input
+                {...register('code', { required: true })}
+                placeholder="Code, e.g. SUMMER10"
+                className="form-input w-full uppercase"
+              />
+              <input {...register('description')} placeholder="Description (optional)" className="form-input w-full" />
+              <div className="flex gap-2">
+                <select {...register('discountType')} className="form-select w-40">
+                  <option value="percentage">Percentage</option>
+                  <option value="fixed">Fixed amount</option>
+                </select>
+                <input
+                  {...register('discountValue', { required: true })}
+                  type="number"
+                  min="0"
+                  max={discountType === 'percentage' ? 100 : undefined}
+                  step="0.01"
+                  placeholder={discountType === 'percentage' ? '% off' : `${baseCurrency} off`}
+                  className="form-input flex-1"
+                />
+              </div>
+              <input
+                {...register('minSubtotal')}
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder="Minimum spend (optional)"
+                className="form-input w-full"
+              />
+              <div className="grid grid-cols-2 gap-2">
+                <label className="text-sm text-gray-600">
+                  Valid from
+                  <input {...register('validFrom')} type="date" className="form-input w-full mt-1" />
+                </label>
+                <label className="text-sm text-gray-600">
+                  Valid until
+                  <input {...register('validTo')} type="date" className="form-input w-full mt-1" />
+                </label>
+              </div>
+              <input
+                {...register('usageLimit')}
+                type="number"
+                min="1"
+                step="1"
+                placeholder="Usage limit (blank for unlimited)"
+                className="form-input w-full"
+              />
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input {...register('isActive')} type="checkbox" />
+                Active
+              </label>
+              <button type="submit" disabled={saveMutation.isPending} className="btn-primary w-full disabled:opacity-50">
+                {editingCoupon ? 'Update' : 'Create'}
+              </button>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Coupons;
@@ -0,0 +1,217 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useForm } from 'react-hook-form';
+import { Plus, Edit, Trash2, Coins, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { exchangeRateAPI } from '../services/api';
+import useCurrencies from '../hooks/useCurrencies';
+
+const toDateInput = (value) => {
+  const date = value ? new Date(value) : new Date();
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+};
+
+const emptyRate = () => ({ currency: '', rate: '', effectiveFrom: toDateInput() });
+
+// Rates come sorted newest first per currency, so the first one already in
+// effect is current and anything before it has been superseded
+const describeRates = (rates) => {
+  const now = new Date();
+  const seen = new Set();
+  return rates.map((rate) => {
+    if (new Date(rate.effectiveFrom) > now) return { ...rate, state: 'scheduled' };
+    if (seen.has(rate.currency)) return { ...rate, state: 'superseded' };
+    seen.add(rate.currency);
+    return { ...rate, state: 'current' };
+  });
+};
+
+const STATE_BADGES = {
+  current: 'bg-green-100 text-green-600',
+  scheduled: 'bg-blue-100 text-blue-600',
+  superseded: 'bg-gray-100 text-gray-600'
+};
+
+const Currencies = () => {
+  const [showModal, setShowModal] = useState(false);
+  const [editingRate, setEditingRate] = useState(null);
+
+  const queryClient = useQueryClient();
+  const { baseCurrency } = useCurrencies();
+  const { register, handleSubmit, reset } = useForm({ defaultValues: emptyRate() });
+
+  const { data: rates, isLoading, error } = useQuery({
+    queryKey: ['exchange-rates'],
+    queryFn: exchangeRateAPI.getAll,
+    select: (data) => describeRates(data.data || [])
+  });
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingRate(null);
+    reset(emptyRate());
+  };
+
+  const onSaved = (message) => {
+    toast.success(message);
+    queryClient.invalidateQueries({ queryKey: ['exchange-rates'] });
+    queryClient.invalidateQueries({ queryKey: ['currencies'] });
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: (data) => (editingRate ? exchangeRateAPI.update(editingRate._id, data) : exchangeRateAPI.create(data)),
+    onSuccess: () => {
+      onSaved(editingRate ? 'Exchange rate updated!' : 'Exchange rate added!');
+      closeModal();
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error || 'Failed to save exchange rate');
+    }
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: exchangeRateAPI.delete,
+    onSuccess: () => onSaved('Exchange rate deleted!'),
+    onError: (err) => {
+      toast.error(err.response?.data?.error || 'Delete failed');
+    }
+  });
+
+  const openCreate = () => {
+    reset(emptyRate());
+    setEditingRate(null);
+    setShowModal(true);
+  };
+
+  const openEdit = (rate) => {
+    reset({ currency: rate.currency, rate: rate.rate, effectiveFrom: toDateInput(rate.effectiveFrom) });
+    setEditingRate(rate);
+    setShowModal(true);
+  };
+
+  const handleDelete = (rate) => {
+    if (window.confirm(`Delete the ${rate.currency} rate from ${new Date(rate.effectiveFrom).toLocaleDateString()}? Orders already placed keep their rate.`)) {
+      deleteMutation.mutate(rate._id);
+    }
+  };
+
+  const onSubmit = (data) => {
+    saveMutation.mutate({
+      currency: data.currency.trim().toUpperCase(),
+      rate: parseFloat(data.rate),
+      // Rates take effect from the start of the chosen day
+      effectiveFrom: `${data.effectiveFrom}T00:00:00`
+    });
+  };
+
+  if (isLoading) return <div className="text-center p-8">Loading...</div>;
+  if (error) return <div className="text-red-500 text-center p-8">Error loading exchange rates</div>;
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Currencies</h1>
+          <p className="text-gray-600 mt-1">
+            Exchange rates used to report every order in {baseCurrency}
+          </p>
+        </div>
+        <button onClick={openCreate} className="btn-primary flex items-center gap-2">
+          <Plus size={20} />
+          Add Rate
+        </button>
+      </div>
+
+      <div className="card">
+        <div className="card-body p-0">
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th>Currency</th>
+                  <th>Rate</th>
+                  <th>Effective From</th>
+                  <th>Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {rates.length === 0 ? (
+                  <tr>
+                    <td colSpan="5" className="text-center py-12">
+                      <Coins size={48} className="mx-auto text-gray-400 mb-2" />
+                      <p className="text-gray-600">No exchange rates yet - only {baseCurrency} can be sold</p>
+                    </td>
+                  </tr>
+                ) : (
+                  rates.map((rate) => (
+                    <tr key={rate._id} className="hover:bg-gray-50">
+                      <td className="font-mono font-medium text-gray-900">{rate.currency}</td>
+                      <td>1 {rate.currency} = {rate.rate} {baseCurrency}</td>
+                      <td className="text-gray-500">{new Date(rate.effectiveFrom).toLocaleDateString()}</td>
+                      <td>
+                        <span className={`badge capitalize ${STATE_BADGES[rate.state]}`}>{rate.state}</span>
+                      </td>
+                      <td>
+                        <div className="flex gap-2 justify-end">
+                          <button onClick={() => openEdit(rate)} title="Edit rate">
+                            <Edit className="w-5 h-5 text-blue-600" />
+                          </button>
+                          <button onClick={() => handleDelete(rate)} title="Delete rate">
+                            <Trash2 className="w-5 h-5 text-red-600" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white p-6 rounded-lg w-full max-w-md mx-4">
+            <div className="flex justify-between mb-4">
+              <h2 className="text-xl font-bold">{editingRate ? 'Edit' : 'Add'} Exchange Rate</h2>
+              <button onClick={closeModal}><X /></button>
+            </div>
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+              <input
+                {...register('currency', { required: true, pattern: /^[A-Za-z]{3}$/ })}
+                placeholder="Currency code, e.g. EUR"
+                maxLength={3}
+                className="form-input w-full uppercase"
+              />
+              <label className="block text-sm text-gray-600">
+                Value of one unit in {baseCurrency}
+                <input
+                  {...register('rate', { required: true })}
+                  type="number"
+                  min="0"
+                  step="any"
+                  className="form-input w-full mt-1"
+                />
+              </label>
+              <label className="block text-sm text-gray-600">
+                Effective from
+                <input {...register('effectiveFrom', { required: true })} type="date" className="form-input w-full mt-1" />
+              </label>
+              <button type="submit" disabled={saveMutation.isPending} className="btn-primary w-full disabled:opacity-50">
+                {editingRate ? 'Update' : 'Add'}
+              </button>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Currencies;
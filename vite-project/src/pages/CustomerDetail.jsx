@@ -0,0 +1,211 @@
+import React, { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useQuery, keepPreviousData } from '@tanstack/react-query';
+import {
+  ArrowLeft, Mail, Phone, MapPin, DollarSign, ShoppingCart, TrendingUp, Calendar
+} from 'lucide-react';
+import { customerAPI, orderAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import OrderStatusBadge from '../components/OrderStatusBadge';
+import { formatMoney } from '../utils/currency';
+
+const ORDERS_PAGE_SIZE = 10;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+const CustomerDetail = () => {
+  const { id } = useParams();
+  const { hasPermission } = useAuth();
+  const [page, setPage] = useState(1);
+
+  const { data: summary, isLoading, error } = useQuery({
+    queryKey: ['customer-summary', id],
+    queryFn: () => customerAPI.getSummary(id),
+    select: (data) => data.data
+  });
+
+  const canReadOrders = hasPermission('orders:read');
+
+  const { data: ordersData, isFetching: ordersFetching } = useQuery({
+    queryKey: ['orders', { customer: id, page, pageSize: ORDERS_PAGE_SIZE }],
+    queryFn: () => orderAPI.getAll({ customer: id, page, pageSize: ORDERS_PAGE_SIZE }),
+    select: (data) => data.data,
+    placeholderData: keepPreviousData,
+    enabled: canReadOrders
+  });
+
+  if (isLoading) {
+    return <div className="text-center p-8">Loading...</div>;
+  }
+
+  if (error || !summary) {
+    return (
+      <div className="text-center py-8">
+        <div className="text-red-500 text-lg">
+          {error?.response?.status === 404 ? 'Customer not found' : 'Error loading customer'}
+        </div>
+        <Link to="/customers" className="text-primary-600 hover:text-primary-700 mt-2 inline-block">
+          Back to customers
+        </Link>
+      </div>
+    );
+  }
+
+  const { customer, stats } = summary;
+  const orders = ordersData?.items || [];
+  const totalPages = Math.max(Math.ceil((ordersData?.total || 0) / ORDERS_PAGE_SIZE), 1);
+
+  const statCards = [
+    { title: 'Lifetime Revenue', value: formatMoney(stats.lifetimeRevenue, stats.baseCurrency), icon: DollarSign, color: 'bg-green-500' },
+    { title: 'Average Order Value', value: formatMoney(stats.averageOrderValue, stats.baseCurrency), icon: TrendingUp, color: 'bg-blue-500' },
+    { title: 'Total Orders', value: stats.orderCount, icon: ShoppingCart, color: 'bg-purple-500' },
+    {
+      title: 'First / Last Order',
+      value: `${formatDate(stats.firstOrderDate)} / ${formatDate(stats.lastOrderDate)}`,
+      icon: Calendar,
+      color: 'bg-orange-500'
+    }
+  ];
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      <Link to="/customers" className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900">
+        <ArrowLeft className="w-4 h-4 mr-1" />
+        Back to customers
+      </Link>
+
+      {/* Header */}
+      <div className="flex items-center space-x-4">
+        <div className="w-16 h-16 bg-gradient-to-br from-blue-500 to-purple-600 rounded-full flex items-center justify-center">
+          <span className="text-white font-semibold text-2xl">
+            {customer.name.charAt(0).toUpperCase()}
+          </span>
+        </div>
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">{customer.name}</h1>
+          <div className="flex flex-wrap items-center gap-4 mt-1 text-gray-600">
+            <span className="flex items-center text-sm"><Mail className="w-4 h-4 mr-1" />{customer.email}</span>
+            <span className="flex items-center text-sm"><Phone className="w-4 h-4 mr-1" />{customer.phone}</span>
+            {customer.address?.city && (
+              <span className="flex items-center text-sm">
+                <MapPin className="w-4 h-4 mr-1" />
+                {[customer.address.street, customer.address.city, customer.address.state, customer.address.zipCode, customer.address.country]
+                  .filter(Boolean)
+                  .join(', ')}
+              </span>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Stats */}
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        {statCards.map((stat) => {
+          const Icon = stat.icon;
+          return (
+            <div key={stat.title} className="card">
+              <div className="card-body p-6 flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-600">{stat.title}</p>
+                  <p className="text-xl font-bold text-gray-900 mt-1">{stat.value}</p>
+                </div>
+                <div className={`w-12 h-12 rounded-lg ${stat.color} flex items-center justify-center`}>
+                  <Icon className="w-6 h-6 text-white" />
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Status breakdown */}
+      <div className="card">
+        <div className="card-header">
+          <h3 className="text-lg font-semibold text-gray-900">Orders by Status</h3>
+        </div>
+        <div className="card-body flex flex-wrap gap-6">
+          {stats.statusBreakdown.length === 0 ? (
+            <p className="text-gray-500">No orders yet</p>
+          ) : (
+            stats.statusBreakdown.map((item) => (
+              <div key={item._id} className="flex items-center gap-3">
+                <OrderStatusBadge status={item._id} />
+                <span className="text-sm text-gray-700">
+                  {item.count} orders · {formatMoney(item.amount, stats.baseCurrency)}
+                </span>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+
+      {/* Order history */}
+      {canReadOrders && (
+        <div className="card">
+          <div className="card-header">
+            <h3 className="text-lg font-semibold text-gray-900">Order History</h3>
+          </div>
+          <div className="card-body p-0">
+            <div className="overflow-x-auto">
+              <table className="table">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th>Order #</th>
+                    <th>Date</th>
+                    <th>Items</th>
+                    <th>Status</th>
+                    <th>Total</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {orders.length === 0 ? (
+                    <tr>
+                      <td colSpan="5" className="text-center text-gray-500 py-6">No orders found</td>
+                    </tr>
+                  ) : (
+                    orders.map((order) => (
+                      <tr key={order._id} className="hover:bg-gray-50">
+                        <td className="font-medium text-gray-900">
+                          <Link to={`/orders/${order._id}`} className="hover:text-primary-600">
+                            {order.orderNumber || `#${order._id.slice(-8)}`}
+                          </Link>
+                        </td>
+                        <td className="text-gray-500">{formatDate(order.orderDate || order.createdAt)}</td>
+                        <td>{order.products?.reduce((sum, item) => sum + item.quantity, 0) || 0}</td>
+                        <td><OrderStatusBadge status={order.status} /></td>
+                        <td className="font-medium">{formatMoney(order.totalAmount, order.currency)}</td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+            <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between">
+              <div className="text-sm text-gray-500">
+                Page {page} of {totalPages}
+              </div>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => setPage(page - 1)}
+                  disabled={page <= 1 || ordersFetching}
+                  className="btn-secondary disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <button
+                  onClick={() => setPage(page + 1)}
+                  disabled={!ordersData?.hasNext || ordersFetching}
+                  className="btn-secondary disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CustomerDetail;
@@ -1,22 +1,66 @@
 import React, { useState } from 'react';
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query';
 import { customerAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import useDebounce from '../hooks/useDebounce';
 import { useForm } from 'react-hook-form';
-import { Plus, Search, Edit, Trash2, Mail, Phone, MapPin, User, X } from 'lucide-react';
+import { Plus, Search, Edit, Trash2, Mail, Phone, MapPin, User, X, RotateCcw, Upload } from 'lucide-react';
 import toast from 'react-hot-toast';
+import ExportButton from '../components/ExportButton';
+import ImportWizard from '../components/ImportWizard';
+
+const PAGE_SIZE = 20;
+
+const EMPTY_FILTERS = { country: '', state: '', createdFrom: '', createdTo: '', includeInactive: '' };
+
+// Turns a 409 from DELETE into a prompt explaining which orders block it
+const describeBlockedDelete = (data) => {
+  const numbers = data.orders?.map(order => order.orderNumber).filter(Boolean) || [];
+  const more = data.orderCount > numbers.length ? ` and ${data.orderCount - numbers.length} more` : '';
+  return `${data.error}\n\nReferenced by: ${numbers.join(', ')}${more}\n\nDeactivate this customer so it no longer appears in lists?`;
+};
+
+const SORT_OPTIONS = [
+  { value: 'createdAt:desc', label: 'Newest first' },
+  { value: 'createdAt:asc', label: 'Oldest first' },
+  { value: 'name:asc', label: 'Name (A-Z)' },
+  { value: 'name:desc', label: 'Name (Z-A)' },
+  { value: 'city:asc', label: 'City (A-Z)' },
+  { value: 'country:asc', label: 'Country (A-Z)' }
+];
 
 const Customers = () => {
   const [searchTerm, setSearchTerm] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sort, setSort] = useState('createdAt:desc');
+  const [page, setPage] = useState(1);
   const [showModal, setShowModal] = useState(false);
   const [editingCustomer, setEditingCustomer] = useState(null);
+  const [showImport, setShowImport] = useState(false);
   const queryClient = useQueryClient();
+  const { hasPermission } = useAuth();
 
-    const { data: customers, isLoading, error } = useQuery({
-    queryKey: ['customers'],
-    queryFn: customerAPI.getAll,
+  const debouncedSearch = useDebounce(searchTerm);
+  const [sortBy, sortOrder] = sort.split(':');
+
+  // Only send filters that are set; exports reuse them without paging
+  const filterParams = Object.fromEntries(
+    Object.entries({ search: debouncedSearch, ...filters }).filter(([, value]) => value !== '')
+  );
+  const params = { ...filterParams, sortBy, sortOrder, page, pageSize: PAGE_SIZE };
+
+  const { data: customers, isLoading, isFetching, error } = useQuery({
+    queryKey: ['customers', params],
+    queryFn: () => customerAPI.getAll(params),
+    placeholderData: keepPreviousData,
   });
 
-  console.log("###",customers)
+  const { data: locations } = useQuery({
+    queryKey: ['customer-locations', filters.country],
+    queryFn: () => customerAPI.getLocations(filters.country),
+    select: (data) => data.data
+  });
   const { register, handleSubmit, reset, formState: { errors } } = useForm();
 
   const createMutation = useMutation({
@@ -49,22 +93,38 @@ const Customers = () => {
 
 
   const deleteMutation = useMutation({
-    mutationFn: customerAPI.delete,
-    onSuccess: () => {
+    mutationFn: ({ id, deactivate }) => customerAPI.delete(id, { deactivate }),
+    onSuccess: (response) => {
       queryClient.invalidateQueries({ queryKey: ['customers'] });
-      toast.success('Customer deleted successfully');
+      toast.success(response.data?.message || 'Customer deleted successfully');
     },
-    onError: (error) => {
+    onError: (error, variables) => {
+      if (error.response?.status === 409) {
+        if (window.confirm(describeBlockedDelete(error.response.data))) {
+          deleteMutation.mutate({ id: variables.id, deactivate: true });
+        }
+        return;
+      }
       toast.error(error.response?.data?.error || 'Failed to delete customer');
     }
   });
 
 
-  const filteredCustomers = customers?.data?.filter(customer =>
-    customer.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    customer.email.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    customer.phone.includes(searchTerm)
-  ) || [];
+  const customerList = customers?.data?.items || [];
+  const totalCustomers = customers?.data?.total || 0;
+  const totalPages = Math.max(Math.ceil(totalCustomers / PAGE_SIZE), 1);
+
+  const updateFilter = (field, value) => {
+    // A state list only makes sense within the chosen country
+    setFilters(field === 'country' ? { ...filters, country: value, state: '' } : { ...filters, [field]: value });
+    setPage(1);
+  };
+
+  const clearFilters = () => {
+    setSearchTerm('');
+    setFilters(EMPTY_FILTERS);
+    setPage(1);
+  };
 
   const handleAddCustomer = () => {
     setEditingCustomer(null);
@@ -89,10 +149,14 @@ const Customers = () => {
 
   const handleDeleteCustomer = (id) => {
     if (window.confirm('Are you sure you want to delete this customer?')) {
-      deleteMutation.mutate(id);
+      deleteMutation.mutate({ id });
     }
   };
 
+  const handleReactivateCustomer = (id) => {
+    updateMutation.mutate({ id, isActive: true });
+  };
+
   const onSubmit = (data) => {
     const customerData = {
       name: data.name,
@@ -163,27 +227,105 @@ const Customers = () => {
           <h1 className="text-3xl font-bold text-gray-900">Customers</h1>
           <p className="text-gray-600 mt-1">Manage your customer database</p>
         </div>
-        <button
-          onClick={handleAddCustomer}
-          className="btn-primary flex items-center space-x-2"
-        >
-          <Plus className="w-5 h-5" />
-          <span>Add Customer</span>
-        </button>
+        <div className="flex gap-2">
+          <ExportButton request={(format) => customerAPI.export(filterParams, format)} name="customers" />
+          {hasPermission('customers:write') && (
+            <button onClick={() => setShowImport(true)} className="btn-secondary flex items-center gap-2">
+              <Upload className="w-4 h-4" />
+              Import
+            </button>
+          )}
+          {hasPermission('customers:write') && (
+            <button
+              onClick={handleAddCustomer}
+              className="btn-primary flex items-center space-x-2"
+            >
+              <Plus className="w-5 h-5" />
+              <span>Add Customer</span>
+            </button>
+          )}
+        </div>
       </div>
 
-      {/* Search */}
+      {/* Search and filters */}
       <div className="card">
-        <div className="card-body">
-          <div className="relative max-w-md">
-            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+        <div className="card-body space-y-4">
+          <div className="flex flex-col md:flex-row gap-4 md:items-center md:justify-between">
+            <div className="relative max-w-md flex-1">
+              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+              <input
+                type="text"
+                placeholder="Search by name, email, phone or city..."
+                className="form-input pl-10"
+                value={searchTerm}
+                onChange={(e) => {
+                  setSearchTerm(e.target.value);
+                  setPage(1);
+                }}
+              />
+            </div>
+            <div className="flex items-center gap-4 text-sm text-gray-500">
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={filters.includeInactive === 'true'}
+                  onChange={(e) => updateFilter('includeInactive', e.target.checked ? 'true' : '')}
+                />
+                Show inactive
+              </label>
+              <span>{totalCustomers} customers{isFetching && ' · updating...'}</span>
+            </div>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-6 gap-4">
+            <select
+              className="form-select"
+              value={filters.country}
+              onChange={(e) => updateFilter('country', e.target.value)}
+            >
+              <option value="">All Countries</option>
+              {locations?.countries?.map(country => (
+                <option key={country} value={country}>{country}</option>
+              ))}
+            </select>
+            <select
+              className="form-select"
+              value={filters.state}
+              onChange={(e) => updateFilter('state', e.target.value)}
+            >
+              <option value="">All States</option>
+              {locations?.states?.map(state => (
+                <option key={state} value={state}>{state}</option>
+              ))}
+            </select>
             <input
-              type="text"
-              placeholder="Search customers..."
-              className="form-input pl-10"
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
+              type="date"
+              className="form-input"
+              title="Created from"
+              value={filters.createdFrom}
+              onChange={(e) => updateFilter('createdFrom', e.target.value)}
             />
+            <input
+              type="date"
+              className="form-input"
+              title="Created to"
+              value={filters.createdTo}
+              onChange={(e) => updateFilter('createdTo', e.target.value)}
+            />
+            <select
+              className="form-select"
+              value={sort}
+              onChange={(e) => {
+                setSort(e.target.value);
+                setPage(1);
+              }}
+            >
+              {SORT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <button onClick={clearFilters} className="btn-secondary">
+              Clear Filters
+            </button>
           </div>
         </div>
       </div>
@@ -191,14 +333,14 @@ const Customers = () => {
       {/* Customer List */}
       <div className="card">
         <div className="card-body p-0">
-          {filteredCustomers.length === 0 ? (
+          {customerList.length === 0 ? (
             <div className="text-center py-8">
               <User className="w-12 h-12 text-gray-400 mx-auto mb-4" />
               <p className="text-gray-500">No customers found</p>
             </div>
           ) : (
             <div className="divide-y divide-gray-200">
-              {filteredCustomers.map((customer) => (
+              {customerList.map((customer) => (
                 <div key={customer._id} className="p-6 hover:bg-gray-50 transition-colors">
                   <div className="flex items-center justify-between">
                     <div className="flex items-center space-x-4">
@@ -208,7 +350,16 @@ const Customers = () => {
                         </span>
                       </div>
                       <div>
-                        <h3 className="text-lg font-semibold text-gray-900">{customer.name}</h3>
+                        <h3 className="text-lg font-semibold text-gray-900">
+                          <Link to={`/customers/${customer._id}`} className="hover:text-primary-600">
+                            {customer.name}
+                          </Link>
+                          {customer.isActive === false && (
+                            <span className="ml-2 align-middle inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-600">
+                              Inactive
+                            </span>
+                          )}
+                        </h3>
                         <div className="flex items-center space-x-4 mt-1">
                           <div className="flex items-center text-gray-600">
                             <Mail className="w-4 h-4 mr-1" />
@@ -230,20 +381,33 @@ const Customers = () => {
                       </div>
                     </div>
                     <div className="flex space-x-2">
-                      <button
-                        onClick={() => handleEditCustomer(customer)}
-                        className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
-                        title="Edit customer"
-                      >
-                        <Edit className="w-4 h-4" />
-                      </button>
-                      <button
-                        onClick={() => handleDeleteCustomer(customer._id)}
-                        className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
-                        title="Delete customer"
-                      >
-                        <Trash2 className="w-4 h-4" />
-                      </button>
+                      {hasPermission('customers:write') && (
+                        <button
+                          onClick={() => handleEditCustomer(customer)}
+                          className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                          title="Edit customer"
+                        >
+                          <Edit className="w-4 h-4" />
+                        </button>
+                      )}
+                      {hasPermission('customers:delete') && customer.isActive !== false && (
+                        <button
+                          onClick={() => handleDeleteCustomer(customer._id)}
+                          className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                          title="Delete customer"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      )}
+                      {hasPermission('customers:write') && customer.isActive === false && (
+                        <button
+                          onClick={() => handleReactivateCustomer(customer._id)}
+                          className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition-colors"
+                          title="Reactivate customer"
+                        >
+                          <RotateCcw className="w-4 h-4" />
+                        </button>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -251,9 +415,40 @@ const Customers = () => {
             </div>
           )}
         </div>
+        <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between">
+          <div className="text-sm text-gray-500">
+            Page {page} of {totalPages}
+          </div>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1 || isFetching}
+              className="btn-secondary disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={!customers?.data?.hasNext || isFetching}
+              className="btn-secondary disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
       </div>
 
       {/* Customer Modal */}
+      {showImport && (
+        <ImportWizard
+          title="Import Customers"
+          keyLabel="Email"
+          importFile={customerAPI.import}
+          onImported={() => queryClient.invalidateQueries({ queryKey: ['customers'] })}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+
       {showModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
           <div className="bg-white rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto">
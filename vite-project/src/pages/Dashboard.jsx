@@ -2,6 +2,7 @@ import React from 'react';
 import { useQuery } from '@tanstack/react-query';
 import { Link } from 'react-router-dom';
 import { dashboardAPI } from '../services/api';
+import { formatMoney } from '../utils/currency';
 import { 
   ShoppingCart, 
   Users, 
@@ -56,7 +57,9 @@ const { data: stats, isLoading, error } = useQuery({
     totalProducts, 
     ordersByStatus, 
     recentOrders, 
-    monthlyRevenue 
+    monthlyRevenue,
+    topProducts,
+    baseCurrency
   } = stats?.data || {};
 
   // Status colors and icons
@@ -84,6 +87,7 @@ const { data: stats, isLoading, error } = useQuery({
   const revenueData = monthlyRevenue?.map(item => ({
     month: `${item._id.month}/${item._id.year}`,
     revenue: item.revenue,
+    tax: item.tax || 0,
     orders: item.orders
   })) || [];
 
@@ -118,8 +122,8 @@ const { data: stats, isLoading, error } = useQuery({
       link: '/products'
     },
     {
-      title: 'Monthly Revenue',
-      value: `$${revenueData[revenueData.length - 1]?.revenue?.toFixed(2) || '0.00'}`,
+      title: `Monthly Revenue (${baseCurrency})`,
+      value: formatMoney(revenueData[revenueData.length - 1]?.revenue, baseCurrency),
       icon: DollarSign,
       color: 'bg-orange-500',
       link: '/orders'
@@ -171,7 +175,7 @@ const { data: stats, isLoading, error } = useQuery({
         {/* Revenue Chart */}
         <div className="card">
           <div className="card-header">
-            <h3 className="text-lg font-semibold text-gray-900">Monthly Revenue</h3>
+            <h3 className="text-lg font-semibold text-gray-900">Monthly Revenue ({baseCurrency})</h3>
           </div>
           <div className="card-body">
             <ResponsiveContainer width="100%" height={300}>
@@ -179,7 +183,7 @@ const { data: stats, isLoading, error } = useQuery({
                 <CartesianGrid strokeDasharray="3 3" />
                 <XAxis dataKey="month" />
                 <YAxis />
-                <Tooltip formatter={(value) => [`$${value}`, 'Revenue']} />
+                <Tooltip formatter={(value, name) => [formatMoney(value, baseCurrency), name === 'tax' ? 'Tax collected' : 'Revenue']} />
                 <Line 
                   type="monotone" 
                   dataKey="revenue" 
@@ -187,6 +191,13 @@ const { data: stats, isLoading, error } = useQuery({
                   strokeWidth={3}
                   dot={{ fill: '#3b82f6', strokeWidth: 2, r: 4 }}
                 />
+                <Line
+                  type="monotone"
+                  dataKey="tax"
+                  stroke="#f97316"
+                  strokeWidth={2}
+                  dot={{ fill: '#f97316', strokeWidth: 2, r: 3 }}
+                />
               </LineChart>
             </ResponsiveContainer>
           </div>
@@ -220,6 +231,45 @@ const { data: stats, isLoading, error } = useQuery({
         </div>
       </div>
 
+      {/* Top Products - names come from the order line snapshots */}
+      <div className="card">
+        <div className="card-header">
+          <h3 className="text-lg font-semibold text-gray-900">Top Products</h3>
+        </div>
+        <div className="card-body p-0">
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th>Product</th>
+                  <th>SKU</th>
+                  <th>Category</th>
+                  <th>Units Sold</th>
+                  <th>Revenue</th>
+                </tr>
+              </thead>
+              <tbody>
+                {topProducts?.length ? (
+                  topProducts.map((product) => (
+                    <tr key={product._id} className="hover:bg-gray-50">
+                      <td className="font-medium text-gray-900">{product.name || 'Unknown Product'}</td>
+                      <td className="text-gray-500">{product.sku || '—'}</td>
+                      <td className="text-gray-500">{product.category || 'N/A'}</td>
+                      <td>{product.quantity}</td>
+                      <td className="font-medium">{formatMoney(product.revenue, baseCurrency)}</td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan="5" className="text-center text-gray-500 py-6">No sales yet</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
       {/* Recent Orders */}
       <div className="card">
         <div className="card-header flex items-center justify-between">
@@ -246,7 +296,11 @@ const { data: stats, isLoading, error } = useQuery({
               <tbody>
                 {recentOrders?.map((order) => (
                   <tr key={order._id} className="hover:bg-gray-50">
-                    <td className="font-medium text-gray-900">{order.orderNumber}</td>
+                    <td className="font-medium text-gray-900">
+                      <Link to={`/orders/${order._id}`} className="hover:text-primary-600">
+                        {order.orderNumber}
+                      </Link>
+                    </td>
                     <td>
                       <div>
                         <div className="font-medium text-gray-900">{order.customer?.name}</div>
@@ -259,7 +313,7 @@ const { data: stats, isLoading, error } = useQuery({
                         <span className="ml-1 capitalize">{order.status}</span>
                       </span>
                     </td>
-                    <td className="font-medium">${order.totalAmount?.toFixed(2)}</td>
+                    <td className="font-medium">{formatMoney(order.totalAmount, order.currency)}</td>
                     <td className="text-gray-500">
                       {new Date(order.createdAt).toLocaleDateString()}
                     </td>
@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Mail } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { authAPI } from '../services/api';
+import AuthCard from '../components/AuthCard';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sentMessage, setSentMessage] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await authAPI.forgotPassword(email);
+      setSentMessage(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not send the reset link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <AuthCard title="Forgot your password?" subtitle="We'll email you a link to choose a new one">
+      {sentMessage ? (
+        <div className="space-y-6 text-center">
+          <p className="text-gray-700">{sentMessage}</p>
+          <p className="text-sm text-gray-500">The link can be used once. Check your spam folder if it doesn't arrive.</p>
+          <Link to="/login" className="text-primary-600 hover:text-primary-700 font-medium">
+            Back to sign in
+          </Link>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div>
+            <label className="form-label">Email address</label>
+            <div className="relative">
+              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                <Mail className="h-5 w-5 text-gray-400" />
+              </div>
+              <input
+                type="email"
+                required
+                className="form-input pl-10"
+                placeholder="Enter your email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                disabled={loading}
+              />
+            </div>
+          </div>
+
+          <button type="submit" disabled={loading} className="w-full btn-primary py-3 text-lg font-semibold disabled:opacity-50">
+            {loading ? 'Sending...' : 'Send reset link'}
+          </button>
+
+          <div className="text-center">
+            <Link to="/login" className="text-sm text-primary-600 hover:text-primary-700 font-medium">
+              Back to sign in
+            </Link>
+          </div>
+        </form>
+      )}
+    </AuthCard>
+  );
+};
+
+export default ForgotPassword;
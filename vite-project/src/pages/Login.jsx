@@ -1,26 +1,80 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { Eye, EyeOff, Mail, Lock, ShoppingCart } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { authAPI } from '../services/api';
+import TwoFactorLogin from '../components/TwoFactorLogin';
 
 const Login = () => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [needsVerification, setNeedsVerification] = useState(false);
+  // Set while the server refuses sign-ins after too many failures
+  const [lockedUntil, setLockedUntil] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+  // { mode, challengeToken } once the password is accepted for a two-factor account
+  const [twoFactor, setTwoFactor] = useState(null);
   const { login } = useAuth();
 
+  useEffect(() => {
+    if (!lockedUntil) return undefined;
+
+    const tick = () => {
+      const remaining = Math.ceil((lockedUntil - Date.now()) / 1000);
+      if (remaining <= 0) {
+        setLockedUntil(null);
+        setSecondsLeft(0);
+      } else {
+        setSecondsLeft(remaining);
+      }
+    };
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [lockedUntil]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     
     const result = await login(email, password);
     
-    if (!result.success) {
+    if (result.twoFactor) {
+      setTwoFactor({ mode: result.twoFactor, challengeToken: result.challengeToken });
+      setPassword('');
+      setLoading(false);
+    } else if (!result.success) {
+      setNeedsVerification(result.code === 'EMAIL_NOT_VERIFIED');
+      if (result.code === 'LOGIN_LOCKED') {
+        setLockedUntil(Date.now() + result.retryAfter * 1000);
+      }
       setLoading(false);
     }
   };
 
+  const resendVerification = async () => {
+    try {
+      const response = await authAPI.resendVerification(email);
+      toast.success(response.data.message);
+      setNeedsVerification(false);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not send a new link');
+    }
+  };
+
+  if (twoFactor) {
+    return (
+      <TwoFactorLogin
+        mode={twoFactor.mode}
+        challengeToken={twoFactor.challengeToken}
+        onCancel={() => setTwoFactor(null)}
+      />
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-primary-50 via-white to-blue-50 flex items-center justify-center px-4">
       <div className="max-w-md w-full space-y-8">
@@ -55,8 +109,32 @@ const Login = () => {
                 </div>
               </div>
 
+              {lockedUntil && (
+                <div className="rounded-lg bg-red-50 border border-red-200 p-3 text-sm text-red-700">
+                  Sign-in is locked after too many failed attempts. You can try again in{' '}
+                  <span className="font-medium">
+                    {secondsLeft >= 60 ? `${Math.floor(secondsLeft / 60)}:${String(secondsLeft % 60).padStart(2, '0')} minutes` : `${secondsLeft} seconds`}
+                  </span>
+                  , or <Link to="/forgot-password" className="font-medium underline">reset your password</Link>.
+                </div>
+              )}
+
+              {needsVerification && (
+                <div className="rounded-lg bg-yellow-50 border border-yellow-200 p-3 text-sm text-yellow-800">
+                  Your email address isn't confirmed yet. Use the link we emailed you, or{' '}
+                  <button type="button" onClick={resendVerification} className="font-medium underline">
+                    send a new link
+                  </button>.
+                </div>
+              )}
+
               <div>
-                <label className="form-label">Password</label>
+                <div className="flex justify-between items-center">
+                  <label className="form-label">Password</label>
+                  <Link to="/forgot-password" className="text-sm text-primary-600 hover:text-primary-700">
+                    Forgot password?
+                  </Link>
+                </div>
                 <div className="relative">
                   <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
                     <Lock className="h-5 w-5 text-gray-400" />
@@ -87,7 +165,7 @@ const Login = () => {
               <div>
                 <button
                   type="submit"
-                  disabled={loading}
+                  disabled={loading || Boolean(lockedUntil)}
                   className="w-full btn-primary py-3 text-lg font-semibold shadow-lg hover:shadow-xl transform hover:scale-105 transition-all duration-200"
                 >
                   {loading ? (
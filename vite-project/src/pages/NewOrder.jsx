@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useQuery, useInfiniteQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query';
 import { toast } from 'react-hot-toast';
 import { 
   Plus, 
@@ -12,35 +12,77 @@ import {
   X,
   Search,
   Users,
-  Box
+  Box,
+  TicketPercent,
+  Truck,
+  Download
 } from 'lucide-react';
 
 // Import your real API - adjust path as needed
-import { orderAPI, customerAPI, productAPI } from '../services/api';
+import { orderAPI, customerAPI, productAPI, shippingMethodAPI } from '../services/api';
+import useDebounce from '../hooks/useDebounce';
+import useCurrencies from '../hooks/useCurrencies';
+import { formatMoney, currencySymbol } from '../utils/currency';
+import DownloadButton from '../components/DownloadButton';
+import { useAuth } from '../contexts/AuthContext';
+
+const CUSTOMER_PAGE_SIZE = 10;
+
+// Inclusive tax is already part of the prices, so it is shown but not added
+const describeTax = (tax) => `${tax.name} (${tax.rate}%${tax.inclusive ? ', included' : ''})`;
+
+// The shape POST /api/orders and /api/orders/quote expect for each line
+const toOrderLine = (item) => ({
+  productId: item.productId,
+  quantity: item.quantity,
+  discountType: item.discountType || undefined,
+  discountValue: item.discountType ? Number(item.discountValue) || 0 : undefined
+});
 
 const OrderCreationDemo = ({ onOrderCreated }) => {
   const [selectedCustomer, setSelectedCustomer] = useState('');
   const [selectedProducts, setSelectedProducts] = useState([]);
   const [notes, setNotes] = useState('');
   const [searchTerm, setSearchTerm] = useState('');
+  const [customerSearch, setCustomerSearch] = useState('');
   const [orderCreated, setOrderCreated] = useState(false);
   const [createdOrder, setCreatedOrder] = useState(null);
+  const [couponInput, setCouponInput] = useState('');
+  const [appliedCoupon, setAppliedCoupon] = useState('');
+  const [shippingMethod, setShippingMethod] = useState('');
 
   const queryClient = useQueryClient();
+  const { hasPermission } = useAuth();
+  const { baseCurrency } = useCurrencies();
 
-  // Fetch customers
-  const { data: customersData } = useQuery({
-    queryKey: ['customers'],
-    queryFn: customerAPI.getAll,
-    select: (data) => data.data || []
+  const debouncedCustomerSearch = useDebounce(customerSearch);
+
+  // Fetch customers a page at a time, filtered on the server
+  const {
+    data: customersData,
+    fetchNextPage: fetchMoreCustomers,
+    hasNextPage: hasMoreCustomers,
+    isFetching: customersFetching
+  } = useInfiniteQuery({
+    queryKey: ['customers', 'picker', debouncedCustomerSearch],
+    queryFn: ({ pageParam }) => customerAPI.getAll({
+      search: debouncedCustomerSearch || undefined,
+      sortBy: 'name',
+      sortOrder: 'asc',
+      page: pageParam,
+      pageSize: CUSTOMER_PAGE_SIZE
+    }),
+    initialPageParam: 1,
+    getNextPageParam: (lastPage) => (lastPage.data.hasNext ? lastPage.data.page + 1 : undefined)
   });
 
-  const customers = customersData || [];
+  const customers = customersData?.pages.flatMap(page => page.data.items) || [];
 
-  // Fetch products
+  // Fetch products - polled so available stock stays current while the order is built
   const { data: productsData } = useQuery({
     queryKey: ['products'],
     queryFn: productAPI.getAll,
+    refetchInterval: 30 * 1000,
     select: (data) => {
       if (Array.isArray(data.data)) {
         return data.data;
@@ -53,12 +95,42 @@ const OrderCreationDemo = ({ onOrderCreated }) => {
 
   const products = productsData || [];
 
+  // An order is in one currency, set by the first product added
+  const orderCurrency = selectedProducts[0]?.product.currency || baseCurrency;
+
+  const { data: shippingMethods = [] } = useQuery({
+    queryKey: ['shipping-methods'],
+    queryFn: shippingMethodAPI.getAll,
+    select: (data) => (data.data || []).filter(method => method.isActive)
+  });
+
+  // Totals come from the server so discounts and tax are worked out exactly
+  // as they will be when the order is placed
+  const quoteRequest = useDebounce(JSON.stringify({
+    products: selectedProducts.map(toOrderLine),
+    couponCode: appliedCoupon || undefined,
+    customer: selectedCustomer || undefined,
+    shippingMethod: shippingMethod || undefined
+  }));
+
+  const { data: quote, isFetching: quoteFetching } = useQuery({
+    queryKey: ['order-quote', quoteRequest],
+    queryFn: () => orderAPI.quote(JSON.parse(quoteRequest)),
+    select: (data) => data.data,
+    enabled: selectedProducts.length > 0,
+    placeholderData: keepPreviousData,
+    staleTime: 0
+  });
+
+  const couponError = appliedCoupon && quote?.couponError;
+
   // Create order mutation
   const createOrderMutation = useMutation({
     mutationFn: orderAPI.create,
     onSuccess: (response) => {
-      // Invalidate and refetch orders
+      // Invalidate and refetch orders and the stock they consumed
       queryClient.invalidateQueries(['orders']);
+      queryClient.invalidateQueries({ queryKey: ['products'] });
       
       // Show success message
       toast.success('Order created successfully!');
@@ -77,19 +149,41 @@ const OrderCreationDemo = ({ onOrderCreated }) => {
       setSelectedProducts([]);
       setNotes('');
       setSearchTerm('');
+      setCouponInput('');
+      setAppliedCoupon('');
+      setShippingMethod('');
     },
     onError: (error) => {
       console.error('Create order error:', error);
-      toast.error(error.response?.data?.error || 'Failed to create order');
+      const shortage = error.response?.data?.shortages?.[0];
+      if (shortage) {
+        toast.error(`Only ${shortage.available} of ${shortage.name || 'this product'} left in stock`);
+        queryClient.invalidateQueries({ queryKey: ['products'] });
+      } else {
+        toast.error(error.response?.data?.error || 'Failed to create order');
+      }
     }
   });
 
+  const getAvailable = (productId) => products.find(p => p._id === productId)?.stock ?? 0;
+
+  const getSelectedQuantity = (productId) =>
+    selectedProducts.find(p => p.productId === productId)?.quantity || 0;
+
   const filteredProducts = products.filter(product =>
     product.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
     product.category.toLowerCase().includes(searchTerm.toLowerCase())
   );
 
   const addProduct = (product) => {
+    if (selectedProducts.length > 0 && (product.currency || baseCurrency) !== orderCurrency) {
+      toast.error(`${product.name} is priced in ${product.currency}; this order is in ${orderCurrency}`);
+      return;
+    }
+    if (getSelectedQuantity(product._id) >= getAvailable(product._id)) {
+      toast.error(`No more ${product.name} available`);
+      return;
+    }
     const existingProduct = selectedProducts.find(p => p.productId === product._id);
     if (existingProduct) {
       setSelectedProducts(selectedProducts.map(p =>
@@ -101,12 +195,18 @@ const OrderCreationDemo = ({ onOrderCreated }) => {
       setSelectedProducts([...selectedProducts, {
         productId: product._id,
         product: product,
-        quantity: 1
+        quantity: 1,
+        discountType: '',
+        discountValue: ''
       }]);
     }
   };
 
   const updateQuantity = (productId, quantity) => {
+    if (quantity > getAvailable(productId)) {
+      toast.error(`Only ${getAvailable(productId)} available`);
+      return;
+    }
     if (quantity === 0) {
       setSelectedProducts(selectedProducts.filter(p => p.productId !== productId));
     } else {
@@ -116,29 +216,61 @@ const OrderCreationDemo = ({ onOrderCreated }) => {
     }
   };
 
+  const updateDiscount = (productId, field, value) => {
+    setSelectedProducts(selectedProducts.map(p =>
+      p.productId === productId ? { ...p, [field]: value } : p
+    ));
+  };
+
   const removeProduct = (productId) => {
     setSelectedProducts(selectedProducts.filter(p => p.productId !== productId));
   };
 
+  const applyCoupon = () => {
+    setAppliedCoupon(couponInput.trim().toUpperCase());
+  };
+
+  const removeCoupon = () => {
+    setAppliedCoupon('');
+    setCouponInput('');
+  };
+
   const calculateTotal = () => {
     return selectedProducts.reduce((total, item) => {
       return total + (item.product.price * item.quantity);
     }, 0);
   };
 
+  const getLineDiscount = (productId) =>
+    quote?.lines?.find(line => line.product === productId)?.discountAmount || 0;
+
+  const couponDiscount = quote?.coupon?.discountAmount || 0;
+  const lineDiscountTotal = (quote?.discountTotal || 0) - couponDiscount;
+
+  const hasShortage = selectedProducts.some(item => item.quantity > getAvailable(item.productId));
+
   const handleCreateOrder = async () => {
     if (!selectedCustomer || selectedProducts.length === 0) {
       toast.error('Please select a customer and at least one product');
       return;
     }
 
+    if (hasShortage) {
+      toast.error('Some quantities exceed the available stock');
+      return;
+    }
+
+    if (couponError) {
+      toast.error('Remove the coupon that cannot be applied');
+      return;
+    }
+
     // Prepare order data in the format expected by your API
     const orderData = {
       customer: selectedCustomer,
-      products: selectedProducts.map(item => ({
-        productId: item.productId,
-        quantity: item.quantity
-      })),
+      products: selectedProducts.map(toOrderLine),
+      couponCode: appliedCoupon || undefined,
+      shippingMethod: shippingMethod || undefined,
       notes: notes || undefined
     };
 
@@ -160,7 +292,7 @@ const OrderCreationDemo = ({ onOrderCreated }) => {
             </div>
           </div>
           <h2 className="text-2xl font-bold text-green-800 mb-2">Order Created Successfully!</h2>
-          <p className="text-green-600 mb-4">Order #{createdOrder._id?.slice(-8)} has been created</p>
+          <p className="text-green-600 mb-4">Order {createdOrder.orderNumber || `#${createdOrder._id?.slice(-8)}`} has been created</p>
           
           <div className="bg-white rounded-lg p-4 mb-4 text-left">
             <h3 className="font-semibold mb-2">Order Details:</h3>
@@ -169,26 +301,67 @@ const OrderCreationDemo = ({ onOrderCreated }) => {
             <p><strong>Products:</strong></p>
             <ul className="ml-4 mt-2">
               {createdOrder.products?.map(item => (
-                <li key={item.productId} className="flex justify-between">
-                  <span>{item.product?.name} x{item.quantity}</span>
-                  <span>${(item.product?.price * item.quantity).toFixed(2)}</span>
+                <li key={item._id} className="flex justify-between">
+                  <span>{item.name} x{item.quantity}</span>
+                  <span>{formatMoney(item.price * item.quantity - (item.discountAmount || 0), createdOrder.currency)}</span>
                 </li>
               ))}
             </ul>
-            <div className="border-t pt-2 mt-2">
-              <p><strong>Total Amount: ${createdOrder.totalAmount?.toFixed(2)}</strong></p>
+            <div className="border-t pt-2 mt-2 space-y-1">
+              {createdOrder.discountTotal > 0 && (
+                <>
+                  <p className="flex justify-between"><span>Subtotal:</span><span>{formatMoney(createdOrder.subtotal, createdOrder.currency)}</span></p>
+                  <p className="flex justify-between text-green-700">
+                    <span>Discount{createdOrder.coupon?.code ? ` (incl. coupon ${createdOrder.coupon.code})` : ''}:</span>
+                    <span>-{formatMoney(createdOrder.discountTotal, createdOrder.currency)}</span>
+                  </p>
+                </>
+              )}
+              {createdOrder.shipping?.name && (
+                <p className="flex justify-between">
+                  <span>Shipping - {createdOrder.shipping.name}:</span>
+                  <span>{createdOrder.shippingCost > 0 ? formatMoney(createdOrder.shippingCost, createdOrder.currency) : 'Free'}</span>
+                </p>
+              )}
+              {createdOrder.tax?.name && (
+                <p className="flex justify-between">
+                  <span>Tax - {describeTax(createdOrder.tax)}:</span>
+                  <span>{formatMoney(createdOrder.taxTotal, createdOrder.currency)}</span>
+                </p>
+              )}
+              <p><strong>Total Amount: {formatMoney(createdOrder.totalAmount, createdOrder.currency)}</strong></p>
             </div>
             {createdOrder.notes && (
               <p className="mt-2"><strong>Notes:</strong> {createdOrder.notes}</p>
             )}
           </div>
           
-          <button
-            onClick={resetForm}
-            className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors"
-          >
-            Create Another Order
-          </button>
+          {/* Issuing draws the next invoice number, so it is left to fulfilment */}
+          {!hasPermission('orders:fulfil') && (
+            <p className="text-sm text-gray-500 text-center mb-4">
+              The invoice can be downloaded from the Orders page once it has been issued at fulfilment.
+            </p>
+          )}
+
+          <div className="flex justify-center gap-3">
+            {hasPermission('orders:fulfil') && (
+              <DownloadButton
+                request={() => orderAPI.issueInvoice(createdOrder._id)}
+                filename={`invoice-${createdOrder.orderNumber}.pdf`}
+                errorMessage="Failed to issue invoice"
+                className="flex items-center gap-2 border border-blue-600 text-blue-600 px-6 py-2 rounded-lg hover:bg-blue-50 transition-colors disabled:opacity-50"
+              >
+                <Download className="w-4 h-4" />
+                Issue Invoice
+              </DownloadButton>
+            )}
+            <button
+              onClick={resetForm}
+              className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              Create Another Order
+            </button>
+          </div>
         </div>
       </div>
     );
@@ -214,7 +387,17 @@ const OrderCreationDemo = ({ onOrderCreated }) => {
                   <User className="w-5 h-5" />
                   Select Customer
                 </h2>
-                <div className="space-y-3">
+                <div className="relative mb-4">
+                  <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+                  <input
+                    type="text"
+                    placeholder="Search customers by name, email, phone or city..."
+                    value={customerSearch}
+                    onChange={(e) => setCustomerSearch(e.target.value)}
+                    className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div className="space-y-3 max-h-96 overflow-y-auto">
                   {customers.map(customer => (
                     <div
                       key={customer._id}
@@ -238,6 +421,18 @@ const OrderCreationDemo = ({ onOrderCreated }) => {
                       </div>
                     </div>
                   ))}
+                  {!customersFetching && customers.length === 0 && (
+                    <p className="text-sm text-gray-500 text-center py-4">No customers found</p>
+                  )}
+                  {hasMoreCustomers && (
+                    <button
+                      onClick={() => fetchMoreCustomers()}
+                      disabled={customersFetching}
+                      className="w-full py-2 text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                    >
+                      {customersFetching ? 'Loading...' : 'Load more customers'}
+                    </button>
+                  )}
                 </div>
               </div>
 
@@ -285,11 +480,15 @@ const OrderCreationDemo = ({ onOrderCreated }) => {
                         <div>
                           <h3 className="font-medium">{product.name}</h3>
                           <p className="text-sm text-gray-600">{product.category}</p>
-                          <p className="text-lg font-bold text-green-600">${product.price}</p>
+                          <p className="text-lg font-bold text-green-600">{formatMoney(product.price, product.currency)}</p>
+                          <p className={`text-xs ${product.stock > 0 ? 'text-gray-500' : 'text-red-600'}`}>
+                            {product.stock > 0 ? `${product.stock} available` : 'Out of stock'}
+                          </p>
                         </div>
                         <button
                           onClick={() => addProduct(product)}
-                          className="bg-blue-600 text-white px-3 py-1 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-1"
+                          disabled={getSelectedQuantity(product._id) >= product.stock}
+                          className="bg-blue-600 text-white px-3 py-1 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-1 disabled:opacity-50 disabled:cursor-not-allowed"
                         >
                           <Plus className="w-4 h-4" />
                           Add
@@ -314,7 +513,32 @@ const OrderCreationDemo = ({ onOrderCreated }) => {
                   <div key={item.productId} className="flex items-center justify-between bg-white p-4 rounded-lg">
                     <div>
                       <h3 className="font-medium">{item.product.name}</h3>
-                      <p className="text-sm text-gray-600">${item.product.price} each</p>
+                      <p className="text-sm text-gray-600">{formatMoney(item.product.price, orderCurrency)} each</p>
+                      <p className={`text-xs ${item.quantity > getAvailable(item.productId) ? 'text-red-600' : 'text-gray-500'}`}>
+                        {getAvailable(item.productId)} available
+                      </p>
+                      <div className="flex items-center gap-2 mt-2">
+                        <select
+                          value={item.discountType}
+                          onChange={(e) => updateDiscount(item.productId, 'discountType', e.target.value)}
+                          className="text-sm border border-gray-300 rounded-lg px-2 py-1"
+                        >
+                          <option value="">No discount</option>
+                          <option value="percentage">% off</option>
+                          <option value="fixed">{currencySymbol(orderCurrency)} off</option>
+                        </select>
+                        {item.discountType && (
+                          <input
+                            type="number"
+                            min="0"
+                            max={item.discountType === 'percentage' ? 100 : undefined}
+                            step="0.01"
+                            value={item.discountValue}
+                            onChange={(e) => updateDiscount(item.productId, 'discountValue', e.target.value)}
+                            className="w-24 text-sm border border-gray-300 rounded-lg px-2 py-1"
+                          />
+                        )}
+                      </div>
                     </div>
                     <div className="flex items-center gap-3">
                       <div className="flex items-center gap-2">
@@ -327,13 +551,17 @@ const OrderCreationDemo = ({ onOrderCreated }) => {
                         <span className="w-8 text-center font-medium">{item.quantity}</span>
                         <button
                           onClick={() => updateQuantity(item.productId, item.quantity + 1)}
-                          className="w-8 h-8 bg-gray-200 rounded-full flex items-center justify-center hover:bg-gray-300 transition-colors"
+                          disabled={item.quantity >= getAvailable(item.productId)}
+                          className="w-8 h-8 bg-gray-200 rounded-full flex items-center justify-center hover:bg-gray-300 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
                         >
                           <Plus className="w-4 h-4" />
                         </button>
                       </div>
                       <div className="text-right">
-                        <p className="font-bold">${(item.product.price * item.quantity).toFixed(2)}</p>
+                        <p className="font-bold">{formatMoney(item.product.price * item.quantity - getLineDiscount(item.productId), orderCurrency)}</p>
+                        {getLineDiscount(item.productId) > 0 && (
+                          <p className="text-xs text-gray-500 line-through">{formatMoney(item.product.price * item.quantity, orderCurrency)}</p>
+                        )}
                       </div>
                       <button
                         onClick={() => removeProduct(item.productId)}
@@ -346,11 +574,88 @@ const OrderCreationDemo = ({ onOrderCreated }) => {
                 ))}
               </div>
               
-              {/* Order Total */}
-              <div className="mt-4 p-4 bg-blue-50 rounded-lg">
-                <div className="flex justify-between items-center text-xl font-bold text-blue-800">
+              {/* Coupon */}
+              <div className="mt-4 bg-white p-4 rounded-lg">
+                <div className="flex items-center gap-2">
+                  <TicketPercent className="w-5 h-5 text-gray-500" />
+                  {appliedCoupon ? (
+                    <>
+                      <span className="font-mono font-medium">{appliedCoupon}</span>
+                      <button onClick={removeCoupon} className="text-sm text-red-600 hover:text-red-800">
+                        Remove
+                      </button>
+                    </>
+                  ) : (
+                    <>
+                      <input
+                        type="text"
+                        value={couponInput}
+                        onChange={(e) => setCouponInput(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Enter' && couponInput.trim() && applyCoupon()}
+                        placeholder="Coupon code"
+                        className="flex-1 px-3 py-1 border border-gray-300 rounded-lg uppercase"
+                      />
+                      <button
+                        onClick={applyCoupon}
+                        disabled={!couponInput.trim()}
+                        className="px-3 py-1 text-sm bg-gray-200 rounded-lg hover:bg-gray-300 disabled:opacity-50"
+                      >
+                        Apply
+                      </button>
+                    </>
+                  )}
+                </div>
+                {couponError && <p className="text-sm text-red-600 mt-2">{couponError}</p>}
+              </div>
+
+              {/* Shipping */}
+              <div className="mt-4 bg-white p-4 rounded-lg flex items-center gap-2">
+                <Truck className="w-5 h-5 text-gray-500" />
+                <select
+                  value={shippingMethod}
+                  onChange={(e) => setShippingMethod(e.target.value)}
+                  className="flex-1 px-3 py-1 border border-gray-300 rounded-lg"
+                >
+                  <option value="">No shipping charge</option>
+                  {shippingMethods.map(method => (
+                    <option key={method._id} value={method._id}>{method.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              {/* Order Summary */}
+              <div className={`mt-4 p-4 bg-blue-50 rounded-lg space-y-1 ${quoteFetching ? 'opacity-70' : ''}`}>
+                <div className="flex justify-between text-gray-700">
+                  <span>Subtotal</span>
+                  <span>{formatMoney(quote?.subtotal ?? calculateTotal(), orderCurrency)}</span>
+                </div>
+                {lineDiscountTotal > 0 && (
+                  <div className="flex justify-between text-green-700">
+                    <span>Line discounts</span>
+                    <span>-{formatMoney(lineDiscountTotal, orderCurrency)}</span>
+                  </div>
+                )}
+                {couponDiscount > 0 && (
+                  <div className="flex justify-between text-green-700">
+                    <span>Coupon {quote.coupon.code}</span>
+                    <span>-{formatMoney(couponDiscount, orderCurrency)}</span>
+                  </div>
+                )}
+                {quote?.tax && (
+                  <div className="flex justify-between text-gray-700">
+                    <span>Tax - {describeTax(quote.tax)}</span>
+                    <span>{formatMoney(quote.taxTotal, orderCurrency)}</span>
+                  </div>
+                )}
+                {quote?.shipping && (
+                  <div className="flex justify-between text-gray-700">
+                    <span>Shipping - {quote.shipping.name}</span>
+                    <span>{quote.shippingCost > 0 ? formatMoney(quote.shippingCost, orderCurrency) : 'Free'}</span>
+                  </div>
+                )}
+                <div className="flex justify-between items-center text-xl font-bold text-blue-800 pt-1">
                   <span>Order Total:</span>
-                  <span>${calculateTotal().toFixed(2)}</span>
+                  <span>{formatMoney(quote?.totalAmount ?? calculateTotal(), orderCurrency)}</span>
                 </div>
               </div>
             </div>
@@ -360,9 +665,9 @@ const OrderCreationDemo = ({ onOrderCreated }) => {
           <div className="mt-8 flex justify-center">
             <button
               onClick={handleCreateOrder}
-              disabled={!selectedCustomer || selectedProducts.length === 0 || createOrderMutation.isPending}
+              disabled={!selectedCustomer || selectedProducts.length === 0 || hasShortage || createOrderMutation.isPending}
               className={`px-8 py-3 rounded-lg font-medium transition-all ${
-                selectedCustomer && selectedProducts.length > 0 && !createOrderMutation.isPending
+                selectedCustomer && selectedProducts.length > 0 && !hasShortage && !createOrderMutation.isPending
                   ? 'bg-green-600 text-white hover:bg-green-700'
                   : 'bg-gray-300 text-gray-500 cursor-not-allowed'
               }`}
@@ -0,0 +1,439 @@
+import React, { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import {
+  ArrowLeftIcon,
+  CheckCircleIcon,
+  TruckIcon,
+  XCircleIcon,
+  ArchiveBoxIcon,
+  ArrowUturnLeftIcon,
+  UserIcon,
+  MapPinIcon,
+  DocumentTextIcon
+} from '@heroicons/react/24/outline';
+
+import { orderAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import OrderStatusBadge from '../components/OrderStatusBadge';
+import OrderStatusTimeline from '../components/OrderStatusTimeline';
+import ShipOrderModal from '../components/ShipOrderModal';
+import useCurrencies from '../hooks/useCurrencies';
+import { formatMoney } from '../utils/currency';
+
+const formatAddress = (address) => [
+  address?.street,
+  [address?.city, address?.state, address?.zipCode].filter(Boolean).join(', '),
+  address?.country
+].filter(Boolean);
+
+const OrderDetail = () => {
+  const { id } = useParams();
+  const { hasPermission } = useAuth();
+  const queryClient = useQueryClient();
+  const [showShipModal, setShowShipModal] = useState(false);
+  const { baseCurrency } = useCurrencies();
+
+  const { data: order, isLoading, error } = useQuery({
+    queryKey: ['order', id],
+    queryFn: () => orderAPI.getById(id),
+    select: (data) => data.data
+  });
+
+  const updateStatusMutation = useMutation({
+    mutationFn: ({ status, reason, shipment }) => orderAPI.updateStatus(id, status, reason, shipment),
+    onSuccess: () => {
+      setShowShipModal(false);
+      queryClient.invalidateQueries({ queryKey: ['order', id] });
+      queryClient.invalidateQueries({ queryKey: ['orders'] });
+      queryClient.invalidateQueries({ queryKey: ['products'] });
+      toast.success('Order status updated successfully!');
+    },
+    onError: (error) => {
+      console.error('Update status error:', error);
+      toast.error(error.response?.data?.error || 'Failed to update order status');
+    }
+  });
+
+  const archiveMutation = useMutation({
+    mutationFn: () => (order.archived ? orderAPI.restore(id) : orderAPI.delete(id)),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['order', id] });
+      queryClient.invalidateQueries({ queryKey: ['orders'] });
+      queryClient.invalidateQueries({ queryKey: ['products'] });
+      toast.success(order.archived ? 'Order restored successfully!' : 'Order archived successfully!');
+    },
+    onError: (error) => {
+      console.error('Archive order error:', error);
+      toast.error(error.response?.data?.error || 'Failed to update order');
+    }
+  });
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (error || !order) {
+    return (
+      <div className="text-center py-8">
+        <div className="text-red-500 text-lg">
+          {error?.response?.status === 404 ? 'Order not found' : 'Error loading order'}
+        </div>
+        <Link to="/orders" className="text-primary-600 hover:text-primary-700 mt-2 inline-block">
+          Back to orders
+        </Link>
+      </div>
+    );
+  }
+
+  // Orders placed before discounts existed have no stored subtotal
+  const subtotal = order.subtotal ?? order.products.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const couponDiscount = order.coupon?.discountAmount || 0;
+  const lineDiscountTotal = (order.discountTotal || 0) - couponDiscount;
+  const hasTax = Boolean(order.tax?.name);
+  const currency = order.currency || baseCurrency;
+  const addressLines = formatAddress(order.customer?.address);
+  const isUpdating = updateStatusMutation.isPending || archiveMutation.isPending;
+  const canChangeStatus = !order.archived;
+
+  return (
+    <div className="p-6 space-y-6">
+      <div>
+        <Link to="/orders" className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900">
+          <ArrowLeftIcon className="w-4 h-4 mr-1" />
+          Back to orders
+        </Link>
+      </div>
+
+      <div className="sm:flex sm:items-center sm:justify-between">
+        <div>
+          <h1 className="text-2xl font-semibold text-gray-900 flex items-center gap-3">
+            Order {order.orderNumber || `#${order._id.slice(-8)}`}
+            <OrderStatusBadge status={order.status} />
+          </h1>
+          <p className="mt-2 text-sm text-gray-700">
+            Placed on {new Date(order.orderDate || order.createdAt).toLocaleString()}
+          </p>
+        </div>
+        <div className="mt-4 sm:mt-0 flex items-center gap-2">
+          {canChangeStatus && order.status === 'placed' && hasPermission('orders:fulfil') && (
+            <button
+              onClick={() => setShowShipModal(true)}
+              disabled={isUpdating}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-lg text-sm font-medium text-blue-700 hover:bg-blue-50 disabled:opacity-50"
+            >
+              <TruckIcon className="w-4 h-4 mr-2" />
+              Mark as Shipped
+            </button>
+          )}
+          {canChangeStatus && order.status === 'shipped' && hasPermission('orders:fulfil') && (
+            <button
+              onClick={() => updateStatusMutation.mutate({ status: 'delivered' })}
+              disabled={isUpdating}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-lg text-sm font-medium text-green-700 hover:bg-green-50 disabled:opacity-50"
+            >
+              <CheckCircleIcon className="w-4 h-4 mr-2" />
+              Mark as Delivered
+            </button>
+          )}
+          {canChangeStatus && order.status !== 'cancelled' && order.status !== 'delivered' && hasPermission('orders:cancel') && (
+            <button
+              onClick={() => {
+                const reason = window.prompt('Reason for cancelling this order (optional):');
+                if (reason !== null) {
+                  updateStatusMutation.mutate({ status: 'cancelled', reason });
+                }
+              }}
+              disabled={isUpdating}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-lg text-sm font-medium text-red-700 hover:bg-red-50 disabled:opacity-50"
+            >
+              <XCircleIcon className="w-4 h-4 mr-2" />
+              Cancel Order
+            </button>
+          )}
+          {!order.archived && ['placed', 'cancelled'].includes(order.status) && hasPermission('orders:delete') && (
+            <button
+              onClick={() => {
+                if (window.confirm('Archive this order? It can be restored later.')) {
+                  archiveMutation.mutate();
+                }
+              }}
+              disabled={isUpdating}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              <ArchiveBoxIcon className="w-4 h-4 mr-2" />
+              Archive
+            </button>
+          )}
+          {order.archived && hasPermission('orders:delete') && (
+            <button
+              onClick={() => archiveMutation.mutate()}
+              disabled={isUpdating}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              <ArrowUturnLeftIcon className="w-4 h-4 mr-2" />
+              Restore
+            </button>
+          )}
+        </div>
+      </div>
+
+      {order.archived && (
+        <div className="bg-gray-100 border border-gray-200 rounded-lg px-4 py-3 text-sm text-gray-700">
+          Archived by <span className="font-medium">{order.archivedBy?.username || 'unknown user'}</span> on{' '}
+          {new Date(order.archivedAt).toLocaleString()}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Line items */}
+        <div className="lg:col-span-2 bg-white shadow rounded-lg">
+          <div className="px-4 py-3 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">Line Items</h2>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">SKU</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Category</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Unit Price</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Quantity</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Discount</th>
+                  {hasTax && <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Tax</th>}
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Line Total</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {order.products.map((item) => (
+                  <tr key={item._id}>
+                    <td className="px-6 py-4 text-sm text-gray-900">{item.name || item.product?.name || 'Unknown Product'}</td>
+                    <td className="px-6 py-4 text-sm text-gray-500">{item.sku || '—'}</td>
+                    <td className="px-6 py-4 text-sm text-gray-500">{item.category || item.product?.category || 'N/A'}</td>
+                    <td className="px-6 py-4 text-sm text-gray-900 text-right">{formatMoney(item.price, currency)}</td>
+                    <td className="px-6 py-4 text-sm text-gray-900 text-right">{item.quantity}</td>
+                    <td className="px-6 py-4 text-sm text-green-700 text-right">
+                      {item.discountAmount > 0 ? (
+                        <>
+                          -{formatMoney(item.discountAmount, currency)}
+                          {item.discountType === 'percentage' && (
+                            <span className="block text-xs text-gray-500">{item.discountValue}% off</span>
+                          )}
+                        </>
+                      ) : '—'}
+                    </td>
+                    {hasTax && (
+                      <td className="px-6 py-4 text-sm text-gray-500 text-right">
+                        {item.taxRate ? (
+                          <>
+                            {formatMoney(item.taxAmount, currency)}
+                            <span className="block text-xs">{item.taxRate}%</span>
+                          </>
+                        ) : 'Exempt'}
+                      </td>
+                    )}
+                    <td className="px-6 py-4 text-sm font-medium text-gray-900 text-right">
+                      {formatMoney(item.price * item.quantity - (item.discountAmount || 0), currency)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="px-6 py-4 border-t border-gray-200 space-y-1 text-sm">
+            <div className="flex justify-between text-gray-600">
+              <span>Subtotal</span>
+              <span>{formatMoney(subtotal, currency)}</span>
+            </div>
+            {lineDiscountTotal > 0 && (
+              <div className="flex justify-between text-green-700">
+                <span>Line discounts</span>
+                <span>-{formatMoney(lineDiscountTotal, currency)}</span>
+              </div>
+            )}
+            {couponDiscount > 0 && (
+              <div className="flex justify-between text-green-700">
+                <span>
+                  Coupon <span className="font-mono">{order.coupon.code}</span>
+                  {order.coupon.discountType === 'percentage' && ` (${order.coupon.discountValue}% off)`}
+                </span>
+                <span>-{formatMoney(couponDiscount, currency)}</span>
+              </div>
+            )}
+            {hasTax && (
+              <div className="flex justify-between text-gray-600">
+                <span>
+                  {order.tax.name} ({order.tax.rate}%{order.tax.inclusive ? ', included in prices' : ''})
+                </span>
+                <span>{formatMoney(order.taxTotal, currency)}</span>
+              </div>
+            )}
+            {order.shipping?.name && (
+              <div className="flex justify-between text-gray-600">
+                <span>Shipping ({order.shipping.name})</span>
+                <span>{order.shippingCost > 0 ? formatMoney(order.shippingCost, currency) : 'Free'}</span>
+              </div>
+            )}
+            <div className="flex justify-between text-base font-semibold text-gray-900">
+              <span>Total</span>
+              <span>{formatMoney(order.totalAmount, currency)}</span>
+            </div>
+            {order.exchangeRate && order.exchangeRate !== 1 && (
+              <div className="text-right text-xs text-gray-500">
+                1 {currency} = {order.exchangeRate} {baseCurrency} when placed
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="space-y-6">
+          {/* Customer */}
+          <div className="bg-white shadow rounded-lg p-4">
+            <h2 className="text-lg font-semibold text-gray-900 mb-3 flex items-center gap-2">
+              <UserIcon className="w-5 h-5" />
+              Customer
+            </h2>
+            <p className="font-medium text-gray-900">
+              {order.customer ? (
+                <Link to={`/customers/${order.customer._id}`} className="hover:text-primary-600">
+                  {order.customer.name}
+                </Link>
+              ) : 'Unknown Customer'}
+            </p>
+            <p className="text-sm text-gray-600">{order.customer?.email}</p>
+            <p className="text-sm text-gray-600">{order.customer?.phone}</p>
+            {addressLines.length > 0 && (
+              <div className="mt-3 flex items-start gap-2 text-sm text-gray-600">
+                <MapPinIcon className="w-4 h-4 mt-0.5" />
+                <div>
+                  {addressLines.map((line) => (
+                    <div key={line}>{line}</div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+
+          {/* Shipment */}
+          {(order.shipment?.shippedAt || order.shipping?.name) && (
+            <div className="bg-white shadow rounded-lg p-4">
+              <h2 className="text-lg font-semibold text-gray-900 mb-3 flex items-center gap-2">
+                <TruckIcon className="w-5 h-5" />
+                Shipment
+              </h2>
+              <dl className="text-sm space-y-1">
+                {order.shipping?.name && (
+                  <div className="flex justify-between">
+                    <dt className="text-gray-500">Method</dt>
+                    <dd className="text-gray-900">{order.shipping.name}</dd>
+                  </div>
+                )}
+                {order.shipment?.carrier && (
+                  <div className="flex justify-between">
+                    <dt className="text-gray-500">Carrier</dt>
+                    <dd className="text-gray-900">{order.shipment.carrier}</dd>
+                  </div>
+                )}
+                {order.shipment?.trackingNumber && (
+                  <div className="flex justify-between">
+                    <dt className="text-gray-500">Tracking</dt>
+                    <dd className="text-gray-900 font-mono">{order.shipment.trackingNumber}</dd>
+                  </div>
+                )}
+                {order.shipment?.shippedAt && (
+                  <div className="flex justify-between">
+                    <dt className="text-gray-500">Shipped</dt>
+                    <dd className="text-gray-900">{new Date(order.shipment.shippedAt).toLocaleDateString()}</dd>
+                  </div>
+                )}
+                {order.shipment?.deliveredAt && (
+                  <div className="flex justify-between">
+                    <dt className="text-gray-500">Delivered</dt>
+                    <dd className="text-gray-900">{new Date(order.shipment.deliveredAt).toLocaleDateString()}</dd>
+                  </div>
+                )}
+              </dl>
+            </div>
+          )}
+
+          {/* Timeline */}
+          <div className="bg-white shadow rounded-lg p-4">
+            <h2 className="text-lg font-semibold text-gray-900 mb-3">Timeline</h2>
+            <OrderStatusTimeline order={order} />
+          </div>
+
+          {/* Edits made while the order was placed */}
+          {order.editLog?.length > 0 && (
+            <div className="bg-white shadow rounded-lg p-4">
+              <h2 className="text-lg font-semibold text-gray-900 mb-3">Edit History</h2>
+              <ul className="space-y-3 text-sm text-gray-700">
+                {order.editLog.map((entry) => (
+                  <li key={entry._id}>
+                    <div>
+                      Edited by <span className="font-medium">{entry.user?.username || 'unknown user'}</span>
+                    </div>
+                    <ul className="list-disc list-inside text-gray-600">
+                      {entry.changes.map((change) => (
+                        <li key={change}>{change}</li>
+                      ))}
+                    </ul>
+                    {entry.previousTotal !== entry.totalAmount && (
+                      <div className="text-gray-600">
+                        Total {formatMoney(entry.previousTotal, currency)} → {formatMoney(entry.totalAmount, currency)}
+                      </div>
+                    )}
+                    <div className="text-xs text-gray-500">{new Date(entry.at).toLocaleString()}</div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* Archive audit trail */}
+          {order.archiveLog?.length > 0 && (
+            <div className="bg-white shadow rounded-lg p-4">
+              <h2 className="text-lg font-semibold text-gray-900 mb-3">Archive History</h2>
+              <ul className="space-y-2 text-sm text-gray-700">
+                {order.archiveLog.map((entry) => (
+                  <li key={entry._id}>
+                    <span className="capitalize font-medium">{entry.action}</span> by{' '}
+                    {entry.user?.username || 'unknown user'}
+                    <div className="text-xs text-gray-500">{new Date(entry.at).toLocaleString()}</div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* Notes */}
+          {order.notes && (
+            <div className="bg-white shadow rounded-lg p-4">
+              <h2 className="text-lg font-semibold text-gray-900 mb-3 flex items-center gap-2">
+                <DocumentTextIcon className="w-5 h-5" />
+                Notes
+              </h2>
+              <p className="text-sm text-gray-700 whitespace-pre-line">{order.notes}</p>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {showShipModal && (
+        <ShipOrderModal
+          order={order}
+          onSubmit={(shipment) => updateStatusMutation.mutate({ status: 'shipped', shipment })}
+          onClose={() => setShowShipModal(false)}
+          isSubmitting={updateStatusMutation.isPending}
+        />
+      )}
+    </div>
+  );
+};
+
+export default OrderDetail;
@@ -1,5 +1,6 @@
-import React, { useState, useMemo } from 'react';
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query';
 import { toast } from 'react-hot-toast';
 import { 
   PlusIcon, 
@@ -7,57 +8,121 @@ import {
   MagnifyingGlassIcon,
   EyeIcon,
   PencilIcon,
-  TrashIcon,
+  ArchiveBoxIcon,
+  ArrowUturnLeftIcon,
   CheckCircleIcon,
   TruckIcon,
   XCircleIcon,
-  ClockIcon
+  ClockIcon,
+  DocumentArrowDownIcon,
+  DocumentPlusIcon,
+  DocumentTextIcon,
+  ClipboardDocumentListIcon,
+  ChevronUpIcon,
+  ChevronDownIcon
 } from '@heroicons/react/24/outline';
 
 // Import your real API instead of mock
-import { orderAPI, customerAPI, productAPI } from '../services/api'; // Adjust path as needed
+import { orderAPI, productAPI, shippingMethodAPI } from '../services/api'; // Adjust path as needed
+import { useAuth } from '../contexts/AuthContext';
+import OrderStatusBadge from '../components/OrderStatusBadge';
+import OrderStatusTimeline from '../components/OrderStatusTimeline';
+import useDebounce from '../hooks/useDebounce';
+import CustomerSearchSelect from '../components/CustomerSearchSelect';
+import { formatMoney, currencySymbol } from '../utils/currency';
+import ShipOrderModal from '../components/ShipOrderModal';
+import DownloadButton from '../components/DownloadButton';
+import ExportButton from '../components/ExportButton';
+
+const PAGE_SIZE = 10;
+
+const SortableHeader = ({ label, field, sort, onSort }) => {
+  const isActive = sort.sortBy === field;
+  const Icon = isActive && sort.sortOrder === 'asc' ? ChevronUpIcon : ChevronDownIcon;
 
-const OrderStatusBadge = ({ status }) => {
-  const statusConfig = {
-    placed: { color: 'bg-blue-100 text-blue-800', icon: ClockIcon },
-    shipped: { color: 'bg-yellow-100 text-yellow-800', icon: TruckIcon },
-    delivered: { color: 'bg-green-100 text-green-800', icon: CheckCircleIcon },
-    cancelled: { color: 'bg-red-100 text-red-800', icon: XCircleIcon }
-  };
-  
-  const config = statusConfig[status] || statusConfig.placed;
-  const Icon = config.icon;
-  
   return (
-    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${config.color}`}>
-      <Icon className="w-3 h-3 mr-1" />
-      {status.charAt(0).toUpperCase() + status.slice(1)}
-    </span>
+    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+      <button
+        type="button"
+        onClick={() => onSort(field)}
+        className={`inline-flex items-center uppercase tracking-wider ${isActive ? 'text-gray-900' : ''}`}
+      >
+        {label}
+        <Icon className={`w-3 h-3 ml-1 ${isActive ? '' : 'opacity-30'}`} />
+      </button>
+    </th>
   );
 };
 
-const CreateOrderModal = ({ isOpen, onClose, customers, products }) => {
-  const [formData, setFormData] = useState({
-    customer: '',
-    products: [{ productId: '', quantity: 1 }],
-    notes: ''
-  });
+const emptyOrderForm = () => ({
+  customer: '',
+  products: [{ productId: '', quantity: 1, discountType: '', discountValue: '' }],
+  shippingMethod: '',
+  notes: ''
+});
+
+const lineProductId = (line) => line.product?._id || line.product;
+
+// Form state for editing an existing order
+const orderToForm = (order) => ({
+  customer: order.customer?._id || order.customer || '',
+  products: order.products.map(line => ({
+    productId: lineProductId(line),
+    quantity: line.quantity,
+    discountType: line.discountType || '',
+    discountValue: line.discountValue ?? ''
+  })),
+  shippingMethod: order.shipping?.method || '',
+  notes: order.notes || '',
+  keepPrices: true
+});
+
+// Creates a new order, or edits a placed one when `order` is passed
+const OrderFormModal = ({ isOpen, onClose, products, shippingMethods, order }) => {
+  const isEditing = Boolean(order);
+  const [formData, setFormData] = useState(() => (order ? orderToForm(order) : emptyOrderForm()));
   
   const queryClient = useQueryClient();
   
-  const createOrderMutation = useMutation({
-    mutationFn: orderAPI.create,
+  const saveOrderMutation = useMutation({
+    mutationFn: (data) => (isEditing ? orderAPI.update(order._id, data) : orderAPI.create(data)),
     onSuccess: () => {
       queryClient.invalidateQueries(['orders']);
-      toast.success('Order created successfully!');
+      queryClient.invalidateQueries({ queryKey: ['products'] });
+      if (isEditing) {
+        queryClient.invalidateQueries({ queryKey: ['order', order._id] });
+      }
+      toast.success(isEditing ? 'Order updated successfully!' : 'Order created successfully!');
       onClose();
-      setFormData({ customer: '', products: [{ productId: '', quantity: 1 }], notes: '' });
+      setFormData(emptyOrderForm());
     },
     onError: (error) => {
-      console.error('Create order error:', error);
-      toast.error(error.response?.data?.error || 'Failed to create order');
+      console.error('Save order error:', error);
+      toast.error(error.response?.data?.error || (isEditing ? 'Failed to update order' : 'Failed to create order'));
     }
   });
+
+  // Units this order already holds count as available when editing it
+  const getAvailable = (productId) => {
+    const stock = products?.find(prod => prod._id === productId)?.stock || 0;
+    const held = order?.products
+      .filter(line => lineProductId(line) === productId)
+      .reduce((sum, line) => sum + line.quantity, 0) || 0;
+    return stock + held;
+  };
+
+  // Fixed discounts are in the line's own currency
+  const getCurrency = (productId) => products?.find(prod => prod._id === productId)?.currency || order?.currency;
+
+  // A method that has since been switched off still shows on the order it is on
+  const retiredShipping = order?.shipping?.name && !shippingMethods?.some(method => method._id === order.shipping.method)
+    ? order.shipping
+    : null;
+
+  // Lines whose product is no longer on sale still need an option to show
+  const retiredLines = order?.products.filter(
+    line => !products?.some(prod => prod._id === lineProductId(line))
+  ) || [];
   
   const handleSubmit = (e) => {
     e.preventDefault();
@@ -66,13 +131,13 @@ const CreateOrderModal = ({ isOpen, onClose, customers, products }) => {
       return;
     }
     
-    createOrderMutation.mutate(formData);
+    saveOrderMutation.mutate(formData);
   };
   
   const addProduct = () => {
     setFormData({
       ...formData,
-      products: [...formData.products, { productId: '', quantity: 1 }]
+      products: [...formData.products, { productId: '', quantity: 1, discountType: '', discountValue: '' }]
     });
   };
   
@@ -94,26 +159,22 @@ const CreateOrderModal = ({ isOpen, onClose, customers, products }) => {
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
       <div className="bg-white rounded-lg p-6 w-full max-w-md mx-4 max-h-[90vh] overflow-y-auto">
-        <h3 className="text-lg font-semibold mb-4">Create New Order</h3>
+        <h3 className="text-lg font-semibold mb-4">
+          {isEditing ? `Edit Order ${order.orderNumber || `#${order._id.slice(-8)}`}` : 'Create New Order'}
+        </h3>
         
         <form onSubmit={handleSubmit} className="space-y-4">
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
               Customer
             </label>
-            <select
+            <CustomerSearchSelect
               value={formData.customer}
-              onChange={(e) => setFormData({ ...formData, customer: e.target.value })}
+              onChange={(customer) => setFormData({ ...formData, customer })}
+              placeholder="Search customer by name, email or phone"
               className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
               required
-            >
-              <option value="">Select Customer</option>
-              {customers?.map(customer => (
-                <option key={customer._id} value={customer._id}>
-                  {customer.name} - {customer.email}
-                </option>
-              ))}
-            </select>
+            />
           </div>
           
           <div>
@@ -121,38 +182,69 @@ const CreateOrderModal = ({ isOpen, onClose, customers, products }) => {
               Products
             </label>
             {formData.products.map((product, index) => (
-              <div key={index} className="flex space-x-2 mb-2">
-                <select
-                  value={product.productId}
-                  onChange={(e) => updateProduct(index, 'productId', e.target.value)}
-                  className="flex-1 border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
-                  required
-                >
-                  <option value="">Select Product</option>
-                  {products?.map(prod => (
-                    <option key={prod._id} value={prod._id}>
-                      {prod.name} - ${prod.price}
-                    </option>
-                  ))}
-                </select>
-                <input
-                  type="number"
-                  min="1"
-                  value={product.quantity}
-                  onChange={(e) => updateProduct(index, 'quantity', parseInt(e.target.value))}
-                  className="w-20 border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
-                  placeholder="Qty"
-                  required
-                />
-                {formData.products.length > 1 && (
-                  <button
-                    type="button"
-                    onClick={() => removeProduct(index)}
-                    className="px-2 py-1 text-red-600 hover:text-red-800"
+              <div key={index} className="mb-3">
+                <div className="flex space-x-2">
+                  <select
+                    value={product.productId}
+                    onChange={(e) => updateProduct(index, 'productId', e.target.value)}
+                    className="flex-1 border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
+                    required
                   >
-                    ×
-                  </button>
-                )}
+                    <option value="">Select Product</option>
+                    {products?.map(prod => (
+                      <option key={prod._id} value={prod._id} disabled={getAvailable(prod._id) < 1}>
+                        {prod.name} - {formatMoney(prod.price, prod.currency)} ({getAvailable(prod._id)} available)
+                      </option>
+                    ))}
+                    {retiredLines.map(line => (
+                      <option key={line._id} value={lineProductId(line)}>
+                        {line.name || 'Unknown Product'} (no longer sold)
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    min="1"
+                    max={getAvailable(product.productId)}
+                    value={product.quantity}
+                    onChange={(e) => updateProduct(index, 'quantity', parseInt(e.target.value))}
+                    className="w-20 border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
+                    placeholder="Qty"
+                    required
+                  />
+                  {formData.products.length > 1 && (
+                    <button
+                      type="button"
+                      onClick={() => removeProduct(index)}
+                      className="px-2 py-1 text-red-600 hover:text-red-800"
+                    >
+                      ×
+                    </button>
+                  )}
+                </div>
+                <div className="flex space-x-2 mt-1">
+                  <select
+                    value={product.discountType}
+                    onChange={(e) => updateProduct(index, 'discountType', e.target.value)}
+                    className="text-sm border border-gray-300 rounded-lg px-2 py-1"
+                  >
+                    <option value="">No discount</option>
+                    <option value="percentage">% off</option>
+                    <option value="fixed">{currencySymbol(getCurrency(product.productId))} off</option>
+                  </select>
+                  {product.discountType && (
+                    <input
+                      type="number"
+                      min="0"
+                      max={product.discountType === 'percentage' ? 100 : undefined}
+                      step="0.01"
+                      value={product.discountValue}
+                      onChange={(e) => updateProduct(index, 'discountValue', e.target.value)}
+                      className="w-24 text-sm border border-gray-300 rounded-lg px-2 py-1"
+                      required
+                    />
+                  )}
+                </div>
               </div>
             ))}
             <button
@@ -164,6 +256,25 @@ const CreateOrderModal = ({ isOpen, onClose, customers, products }) => {
             </button>
           </div>
           
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Shipping
+            </label>
+            <select
+              value={formData.shippingMethod}
+              onChange={(e) => setFormData({ ...formData, shippingMethod: e.target.value })}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
+            >
+              <option value="">No shipping charge</option>
+              {shippingMethods?.map(method => (
+                <option key={method._id} value={method._id}>{method.name}</option>
+              ))}
+              {retiredShipping && (
+                <option value={retiredShipping.method}>{retiredShipping.name} (no longer offered)</option>
+              )}
+            </select>
+          </div>
+          
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
               Notes (Optional)
@@ -175,6 +286,23 @@ const CreateOrderModal = ({ isOpen, onClose, customers, products }) => {
               className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
             />
           </div>
+
+          {isEditing && (
+            <label className="flex items-start gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={formData.keepPrices}
+                onChange={(e) => setFormData({ ...formData, keepPrices: e.target.checked })}
+                className="mt-0.5"
+              />
+              <span>
+                Keep original prices
+                <span className="block text-xs text-gray-500">
+                  Untick to reprice existing lines at today&apos;s prices. New lines always use current prices.
+                </span>
+              </span>
+            </label>
+          )}
           
           <div className="flex justify-end space-x-3 pt-4">
             <button
@@ -186,10 +314,12 @@ const CreateOrderModal = ({ isOpen, onClose, customers, products }) => {
             </button>
             <button
               type="submit"
-              disabled={createOrderMutation.isPending}
+              disabled={saveOrderMutation.isPending}
               className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
             >
-              {createOrderMutation.isPending ? 'Creating...' : 'Create Order'}
+              {isEditing
+                ? (saveOrderMutation.isPending ? 'Saving...' : 'Save Changes')
+                : (saveOrderMutation.isPending ? 'Creating...' : 'Create Order')}
             </button>
           </div>
         </form>
@@ -198,13 +328,35 @@ const CreateOrderModal = ({ isOpen, onClose, customers, products }) => {
   );
 };
 
-const OrderRow = ({ order, onStatusUpdate, onDelete }) => {
+const OrderRow = ({ order, onStatusUpdate, onShip, onEdit, onDelete, onRestore, selectable, selected, onToggleSelect }) => {
   const [isUpdating, setIsUpdating] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const { hasPermission } = useAuth();
+  const queryClient = useQueryClient();
+
+  // Issuing assigns the invoice number, so the list is refetched to show it
+  const issueInvoice = async () => {
+    const response = await orderAPI.issueInvoice(order._id);
+    queryClient.invalidateQueries({ queryKey: ['orders'] });
+    return response;
+  };
   
   const handleStatusChange = async (newStatus) => {
+    // Shipping details are collected in a modal owned by the page
+    if (newStatus === 'shipped') {
+      onShip(order);
+      return;
+    }
+
+    let reason;
+    if (newStatus === 'cancelled') {
+      reason = window.prompt('Reason for cancelling this order (optional):');
+      if (reason === null) return;
+    }
+
     setIsUpdating(true);
     try {
-      await onStatusUpdate(order._id, newStatus);
+      await onStatusUpdate(order._id, newStatus, reason);
     } finally {
       setIsUpdating(false);
     }
@@ -215,123 +367,217 @@ const OrderRow = ({ order, onStatusUpdate, onDelete }) => {
   const productCount = order.products?.length || 0;
   
   return (
-    <tr className="hover:bg-gray-50">
-      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-        #{order._id?.slice(-8) || 'N/A'}
-      </td>
-      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-        {order.customer?.name || 'Unknown Customer'}
-      </td>
-      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-        {displayProduct.product?.name || 'Unknown Product'}
-        {productCount > 1 && (
-          <span className="ml-2 text-xs text-gray-500">
-            (+{productCount - 1} more)
-          </span>
+    <>
+      <tr className={selected ? 'bg-primary-50' : 'hover:bg-gray-50'}>
+        {selectable && (
+          <td className="pl-6 py-4">
+            <input
+              type="checkbox"
+              checked={selected}
+              onChange={() => onToggleSelect(order._id)}
+              aria-label={`Select order ${order.orderNumber || order._id}`}
+            />
+          </td>
         )}
-      </td>
-      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-        {displayProduct.product?.category || 'N/A'}
-      </td>
-      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-        {displayProduct.quantity || 0}
-      </td>
-      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-        ${order.totalAmount?.toFixed(2) || '0.00'}
-      </td>
-      <td className="px-6 py-4 whitespace-nowrap">
-        <OrderStatusBadge status={order.status} />
-      </td>
-      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-        {new Date(order.createdAt).toLocaleDateString()}
-      </td>
-      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-        <div className="flex items-center space-x-2">
-          {order.status === 'placed' && (
-            <button
-              onClick={() => handleStatusChange('shipped')}
-              disabled={isUpdating}
-              className="text-blue-600 hover:text-blue-900 disabled:opacity-50"
-              title="Mark as Shipped"
-            >
-              <TruckIcon className="w-4 h-4" />
-            </button>
+        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+          {order.orderNumber || `#${order._id?.slice(-8) || 'N/A'}`}
+        </td>
+        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+          {order.customer?.name || 'Unknown Customer'}
+        </td>
+        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+          {displayProduct.name || displayProduct.product?.name || 'Unknown Product'}
+          {productCount > 1 && (
+            <span className="ml-2 text-xs text-gray-500">
+              (+{productCount - 1} more)
+            </span>
           )}
-          {order.status === 'shipped' && (
-            <button
-              onClick={() => handleStatusChange('delivered')}
-              disabled={isUpdating}
-              className="text-green-600 hover:text-green-900 disabled:opacity-50"
-              title="Mark as Delivered"
-            >
-              <CheckCircleIcon className="w-4 h-4" />
-            </button>
+        </td>
+        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+          {displayProduct.category || displayProduct.product?.category || 'N/A'}
+        </td>
+        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+          {displayProduct.quantity || 0}
+        </td>
+        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+          {formatMoney(order.totalAmount, order.currency)}
+        </td>
+        <td className="px-6 py-4 whitespace-nowrap">
+          <OrderStatusBadge status={order.status} />
+          {order.archived && (
+            <span className="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+              Archived
+            </span>
           )}
-          {order.status !== 'cancelled' && order.status !== 'delivered' && (
+        </td>
+        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+          {new Date(order.createdAt).toLocaleDateString()}
+        </td>
+        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+          <div className="flex items-center space-x-2">
+            <Link
+              to={`/orders/${order._id}`}
+              className="text-gray-600 hover:text-gray-900"
+              title="View Order"
+            >
+              <EyeIcon className="w-4 h-4" />
+            </Link>
             <button
-              onClick={() => handleStatusChange('cancelled')}
-              disabled={isUpdating}
-              className="text-red-600 hover:text-red-900 disabled:opacity-50"
-              title="Cancel Order"
+              onClick={() => setShowHistory(!showHistory)}
+              className="text-gray-600 hover:text-gray-900"
+              title={showHistory ? 'Hide History' : 'Show History'}
             >
-              <XCircleIcon className="w-4 h-4" />
+              <ClockIcon className="w-4 h-4" />
             </button>
-          )}
-          <button
-            onClick={() => onDelete(order._id)}
-            className="text-red-600 hover:text-red-900"
-            title="Delete Order"
-          >
-            <TrashIcon className="w-4 h-4" />
-          </button>
-        </div>
-      </td>
-    </tr>
+            {order.invoiceNumber ? (
+              <DownloadButton
+                request={() => orderAPI.downloadInvoice(order._id)}
+                filename={`${order.invoiceNumber}.pdf`}
+                errorMessage="Failed to download invoice"
+                className="text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                title={`Download Invoice ${order.invoiceNumber}`}
+              >
+                <DocumentArrowDownIcon className="w-4 h-4" />
+              </DownloadButton>
+            ) : order.status !== 'cancelled' && hasPermission('orders:fulfil') && (
+              <DownloadButton
+                request={issueInvoice}
+                filename={`invoice-${order.orderNumber}.pdf`}
+                errorMessage="Failed to issue invoice"
+                className="text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                title="Issue Invoice"
+              >
+                <DocumentPlusIcon className="w-4 h-4" />
+              </DownloadButton>
+            )}
+            {!order.archived && ['placed', 'shipped'].includes(order.status) && hasPermission('orders:fulfil') && (
+              <DownloadButton
+                request={() => orderAPI.downloadPackingSlip(order._id)}
+                filename={`packing-slip-${order.orderNumber}.pdf`}
+                errorMessage="Failed to download packing slip"
+                className="text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                title="Packing Slip"
+              >
+                <DocumentTextIcon className="w-4 h-4" />
+              </DownloadButton>
+            )}
+            {!order.archived && order.status === 'placed' && hasPermission('orders:create') && (
+              <button
+                onClick={() => onEdit(order)}
+                className="text-indigo-600 hover:text-indigo-900"
+                title="Edit Order"
+              >
+                <PencilIcon className="w-4 h-4" />
+              </button>
+            )}
+            {!order.archived && order.status === 'placed' && hasPermission('orders:fulfil') && (
+              <button
+                onClick={() => handleStatusChange('shipped')}
+                disabled={isUpdating}
+                className="text-blue-600 hover:text-blue-900 disabled:opacity-50"
+                title="Mark as Shipped"
+              >
+                <TruckIcon className="w-4 h-4" />
+              </button>
+            )}
+            {!order.archived && order.status === 'shipped' && hasPermission('orders:fulfil') && (
+              <button
+                onClick={() => handleStatusChange('delivered')}
+                disabled={isUpdating}
+                className="text-green-600 hover:text-green-900 disabled:opacity-50"
+                title="Mark as Delivered"
+              >
+                <CheckCircleIcon className="w-4 h-4" />
+              </button>
+            )}
+            {!order.archived && order.status !== 'cancelled' && order.status !== 'delivered' && hasPermission('orders:cancel') && (
+              <button
+                onClick={() => handleStatusChange('cancelled')}
+                disabled={isUpdating}
+                className="text-red-600 hover:text-red-900 disabled:opacity-50"
+                title="Cancel Order"
+              >
+                <XCircleIcon className="w-4 h-4" />
+              </button>
+            )}
+            {!order.archived && ['placed', 'cancelled'].includes(order.status) && hasPermission('orders:delete') && (
+              <button
+                onClick={() => onDelete(order._id)}
+                className="text-red-600 hover:text-red-900"
+                title="Archive Order"
+              >
+                <ArchiveBoxIcon className="w-4 h-4" />
+              </button>
+            )}
+            {order.archived && hasPermission('orders:delete') && (
+              <button
+                onClick={() => onRestore(order._id)}
+                className="text-gray-600 hover:text-gray-900"
+                title={`Restore Order (archived by ${order.archivedBy?.username || 'unknown'} on ${new Date(order.archivedAt).toLocaleDateString()})`}
+              >
+                <ArrowUturnLeftIcon className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+        </td>
+      </tr>
+      {showHistory && (
+        <tr className="bg-gray-50">
+          <td colSpan={selectable ? 10 : 9} className="px-10 py-4">
+            <OrderStatusTimeline order={order} />
+          </td>
+        </tr>
+      )}
+    </>
   );
 };
 
 const Orders = () => {
   const [showCreateModal, setShowCreateModal] = useState(false);
+  const [editingOrder, setEditingOrder] = useState(null);
+  const [shippingOrder, setShippingOrder] = useState(null);
   const [filters, setFilters] = useState({
     search: '',
     status: '',
     customer: '',
-    category: ''
+    category: '',
+    archived: '',
+    dateFrom: '',
+    dateTo: ''
   });
   const [showFilters, setShowFilters] = useState(false);
+  const [page, setPage] = useState(1);
+  const [sort, setSort] = useState({ sortBy: 'date', sortOrder: 'desc' });
+  // Selected order ids for the warehouse bulk actions; kept across pages
+  const [selectedIds, setSelectedIds] = useState([]);
   
   const queryClient = useQueryClient();
+  const { hasPermission } = useAuth();
+  const canFulfil = hasPermission('orders:fulfil');
+  const debouncedSearch = useDebounce(filters.search);
+
+  // Only send filters that are set; exports reuse them without paging
+  const filterParams = Object.fromEntries(
+    Object.entries({ ...filters, search: debouncedSearch }).filter(([, value]) => value !== '')
+  );
+  const params = { ...filterParams, ...sort, page, pageSize: PAGE_SIZE };
   
   // Fetch orders with proper error handling
-  const { data: ordersData, isLoading: ordersLoading, error: ordersError } = useQuery({
-    queryKey: ['orders', filters],
-    queryFn: () => orderAPI.getAll(filters),
+  const { data: ordersData, isLoading: ordersLoading, isFetching: ordersFetching, error: ordersError } = useQuery({
+    queryKey: ['orders', params],
+    queryFn: () => orderAPI.getAll(params),
     staleTime: 5 * 60 * 1000,
-    select: (data) => {
-      // Handle both array and object responses
-      if (Array.isArray(data.data)) {
-        return data.data;
-      } else if (data.data?.orders) {
-        return data.data.orders;
-      }
-      return [];
-    },
+    placeholderData: keepPreviousData,
+    select: (data) => data.data,
     onError: (error) => {
       console.error('Orders fetch error:', error);
       toast.error('Failed to fetch orders');
     }
   });
   
-  const orders = ordersData || [];
-  
-  // Fetch customers for dropdown
-  const { data: customersData } = useQuery({
-    queryKey: ['customers'],
-    queryFn: customerAPI.getAll,
-    select: (data) => data.data || []
-  });
-  
-  const customers = customersData || [];
+  const orders = ordersData?.items || [];
+  const totalOrders = ordersData?.total || 0;
+  const totalPages = Math.max(Math.ceil(totalOrders / PAGE_SIZE), 1);
   
   // Fetch products for dropdown
   const { data: productsData } = useQuery({
@@ -348,12 +594,21 @@ const Orders = () => {
   });
   
   const products = productsData || [];
+
+  const { data: shippingMethods = [] } = useQuery({
+    queryKey: ['shipping-methods'],
+    queryFn: shippingMethodAPI.getAll,
+    select: (data) => (data.data || []).filter(method => method.isActive)
+  });
   
   // Update order status mutation
   const updateStatusMutation = useMutation({
-    mutationFn: ({ orderId, status }) => orderAPI.updateStatus(orderId, status),
+    mutationFn: ({ orderId, status, reason, shipment }) => orderAPI.updateStatus(orderId, status, reason, shipment),
     onSuccess: () => {
+      setShippingOrder(null);
       queryClient.invalidateQueries(['orders']);
+      // Cancelling puts stock back
+      queryClient.invalidateQueries({ queryKey: ['products'] });
       toast.success('Order status updated successfully!');
     },
     onError: (error) => {
@@ -362,56 +617,84 @@ const Orders = () => {
     }
   });
   
-  // Delete order mutation
+  // Archive order mutation - DELETE archives rather than removing the order
   const deleteOrderMutation = useMutation({
     mutationFn: orderAPI.delete,
     onSuccess: () => {
       queryClient.invalidateQueries(['orders']);
-      toast.success('Order deleted successfully!');
+      toast.success('Order archived successfully!');
+    },
+    onError: (error) => {
+      console.error('Archive order error:', error);
+      toast.error(error.response?.data?.error || 'Failed to archive order');
+    }
+  });
+
+  // Restore order mutation
+  const restoreOrderMutation = useMutation({
+    mutationFn: orderAPI.restore,
+    onSuccess: () => {
+      queryClient.invalidateQueries(['orders']);
+      toast.success('Order restored successfully!');
     },
     onError: (error) => {
-      console.error('Delete order error:', error);
-      toast.error(error.response?.data?.error || 'Failed to delete order');
+      console.error('Restore order error:', error);
+      toast.error(error.response?.data?.error || 'Failed to restore order');
     }
   });
   
-  // Filter orders
-  const filteredOrders = useMemo(() => {
-    return orders.filter(order => {
-      const matchesSearch = !filters.search || 
-        order.customer?.name?.toLowerCase().includes(filters.search.toLowerCase()) ||
-        order.products?.some(p => p.product?.name?.toLowerCase().includes(filters.search.toLowerCase())) ||
-        order._id?.includes(filters.search);
-      
-      const matchesStatus = !filters.status || order.status === filters.status;
-      const matchesCustomer = !filters.customer || order.customer?._id === filters.customer;
-      const matchesCategory = !filters.category || 
-        order.products?.some(p => p.product?.category === filters.category);
-      
-      return matchesSearch && matchesStatus && matchesCustomer && matchesCategory;
+  // Categories for filter
+  const { data: categories = [] } = useQuery({
+    queryKey: ['product-categories'],
+    queryFn: productAPI.getCategories,
+    select: (data) => data.data || []
+  });
+
+  const updateFilter = (field, value) => {
+    setFilters({ ...filters, [field]: value });
+    setPage(1);
+  };
+
+  const handleSort = (field) => {
+    setSort({
+      sortBy: field,
+      sortOrder: sort.sortBy === field && sort.sortOrder === 'desc' ? 'asc' : 'desc'
     });
-  }, [orders, filters]);
-  
-  // Get unique categories for filter
-  const categories = useMemo(() => {
-    const cats = orders.flatMap(order => 
-      order.products?.map(p => p.product?.category).filter(Boolean) || []
-    );
-    return [...new Set(cats)];
-  }, [orders]);
+    setPage(1);
+  };
   
-  const handleStatusUpdate = async (orderId, status) => {
-    updateStatusMutation.mutate({ orderId, status });
+  const handleStatusUpdate = async (orderId, status, reason) => {
+    updateStatusMutation.mutate({ orderId, status, reason });
   };
   
   const handleDelete = async (orderId) => {
-    if (window.confirm('Are you sure you want to delete this order?')) {
+    if (window.confirm('Archive this order? It can be restored later from the archived filter.')) {
       deleteOrderMutation.mutate(orderId);
     }
   };
+
+  const handleRestore = async (orderId) => {
+    restoreOrderMutation.mutate(orderId);
+  };
+  
+  const toggleSelected = (orderId) => {
+    setSelectedIds(selectedIds.includes(orderId)
+      ? selectedIds.filter(id => id !== orderId)
+      : [...selectedIds, orderId]);
+  };
+
+  const pageIds = orders.map(order => order._id);
+  const allPageSelected = pageIds.length > 0 && pageIds.every(id => selectedIds.includes(id));
+
+  const togglePageSelected = () => {
+    setSelectedIds(allPageSelected
+      ? selectedIds.filter(id => !pageIds.includes(id))
+      : [...new Set([...selectedIds, ...pageIds])]);
+  };
   
   const clearFilters = () => {
-    setFilters({ search: '', status: '', customer: '', category: '' });
+    setFilters({ search: '', status: '', customer: '', category: '', archived: '', dateFrom: '', dateTo: '' });
+    setPage(1);
   };
   
   if (ordersLoading) {
@@ -450,14 +733,29 @@ const Orders = () => {
             Manage all customer orders and track their status
           </p>
         </div>
-        <div className="mt-4 sm:mt-0 sm:ml-16 sm:flex-none">
-          <button
-            onClick={() => setShowCreateModal(true)}
-            className="inline-flex items-center justify-center rounded-md border border-transparent bg-primary-600 px-4 py-2 text-sm font-medium text-white shadow-sm hover:bg-primary-700"
-          >
-            <PlusIcon className="w-4 h-4 mr-2" />
-            Create Order
-          </button>
+        <div className="mt-4 sm:mt-0 sm:ml-16 sm:flex-none flex gap-2">
+          <ExportButton request={(format) => orderAPI.export(filterParams, format)} name="orders" />
+          {canFulfil && (
+            <DownloadButton
+              request={() => orderAPI.downloadPickList()}
+              filename="pick-list.pdf"
+              errorMessage="Failed to download pick list"
+              className="inline-flex items-center justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 shadow-sm hover:bg-gray-50 disabled:opacity-50"
+              title="Pick list for every placed order"
+            >
+              <ClipboardDocumentListIcon className="w-4 h-4 mr-2" />
+              Pick List
+            </DownloadButton>
+          )}
+          {hasPermission('orders:create') && (
+            <button
+              onClick={() => setShowCreateModal(true)}
+              className="inline-flex items-center justify-center rounded-md border border-transparent bg-primary-600 px-4 py-2 text-sm font-medium text-white shadow-sm hover:bg-primary-700"
+            >
+              <PlusIcon className="w-4 h-4 mr-2" />
+              Create Order
+            </button>
+          )}
         </div>
       </div>
       
@@ -470,9 +768,9 @@ const Orders = () => {
                 <MagnifyingGlassIcon className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
                 <input
                   type="text"
-                  placeholder="Search orders..."
+                  placeholder="Search by order number, customer or product..."
                   value={filters.search}
-                  onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+                  onChange={(e) => updateFilter('search', e.target.value)}
                   className="pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
                 />
               </div>
@@ -485,15 +783,15 @@ const Orders = () => {
               </button>
             </div>
             <div className="text-sm text-gray-500">
-              {filteredOrders.length} of {orders.length} orders
+              {totalOrders} orders{ordersFetching && ' · updating...'}
             </div>
           </div>
           
           {showFilters && (
-            <div className="mt-4 grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div className="mt-4 grid grid-cols-1 md:grid-cols-5 gap-4">
               <select
                 value={filters.status}
-                onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+                onChange={(e) => updateFilter('status', e.target.value)}
                 className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
               >
                 <option value="">All Status</option>
@@ -503,22 +801,16 @@ const Orders = () => {
                 <option value="cancelled">Cancelled</option>
               </select>
               
-              <select
+              <CustomerSearchSelect
                 value={filters.customer}
-                onChange={(e) => setFilters({ ...filters, customer: e.target.value })}
-                className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
-              >
-                <option value="">All Customers</option>
-                {customers.map(customer => (
-                  <option key={customer._id} value={customer._id}>
-                    {customer.name}
-                  </option>
-                ))}
-              </select>
+                onChange={(customer) => updateFilter('customer', customer)}
+                placeholder="All Customers"
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+              />
               
               <select
                 value={filters.category}
-                onChange={(e) => setFilters({ ...filters, category: e.target.value })}
+                onChange={(e) => updateFilter('category', e.target.value)}
                 className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
               >
                 <option value="">All Categories</option>
@@ -528,6 +820,36 @@ const Orders = () => {
                   </option>
                 ))}
               </select>
+
+              <select
+                value={filters.archived}
+                onChange={(e) => updateFilter('archived', e.target.value)}
+                className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+              >
+                <option value="">Active Orders</option>
+                <option value="true">Archived Orders</option>
+                <option value="all">All Orders</option>
+              </select>
+
+              <div className="flex items-center gap-2 md:col-span-2">
+                <input
+                  type="date"
+                  value={filters.dateFrom}
+                  max={filters.dateTo || undefined}
+                  onChange={(e) => updateFilter('dateFrom', e.target.value)}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+                  aria-label="Orders from"
+                />
+                <span className="text-sm text-gray-500">to</span>
+                <input
+                  type="date"
+                  value={filters.dateTo}
+                  min={filters.dateFrom || undefined}
+                  onChange={(e) => updateFilter('dateTo', e.target.value)}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+                  aria-label="Orders to"
+                />
+              </div>
               
               <button
                 onClick={clearFilters}
@@ -539,17 +861,54 @@ const Orders = () => {
           )}
         </div>
         
+        {/* Bulk actions for the selected orders */}
+        {canFulfil && selectedIds.length > 0 && (
+          <div className="px-4 py-3 border-b border-gray-200 bg-primary-50 flex items-center gap-4 text-sm">
+            <span className="font-medium text-gray-900">{selectedIds.length} selected</span>
+            <DownloadButton
+              request={() => orderAPI.downloadPackingSlips(selectedIds)}
+              filename="packing-slips.pdf"
+              errorMessage="Failed to download packing slips"
+              className="inline-flex items-center text-primary-700 hover:text-primary-900 disabled:opacity-50"
+            >
+              <DocumentTextIcon className="w-4 h-4 mr-1" />
+              Packing Slips
+            </DownloadButton>
+            <DownloadButton
+              request={() => orderAPI.downloadPickList(selectedIds)}
+              filename="pick-list.pdf"
+              errorMessage="Failed to download pick list"
+              className="inline-flex items-center text-primary-700 hover:text-primary-900 disabled:opacity-50"
+              title="Placed orders in the selection are picked; others are skipped"
+            >
+              <ClipboardDocumentListIcon className="w-4 h-4 mr-1" />
+              Pick List
+            </DownloadButton>
+            <button onClick={() => setSelectedIds([])} className="ml-auto text-gray-600 hover:text-gray-900">
+              Clear selection
+            </button>
+          </div>
+        )}
+        
         {/* Orders Table */}
         <div className="overflow-x-auto">
           <table className="min-w-full divide-y divide-gray-200">
             <thead className="bg-gray-50">
               <tr>
+                {canFulfil && (
+                  <th className="pl-6 py-3">
+                    <input
+                      type="checkbox"
+                      checked={allPageSelected}
+                      onChange={togglePageSelected}
+                      aria-label="Select all orders on this page"
+                    />
+                  </th>
+                )}
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Order ID
                 </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Customer
-                </th>
+                <SortableHeader label="Customer" field="customer" sort={sort} onSort={handleSort} />
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Product
                 </th>
@@ -559,49 +918,86 @@ const Orders = () => {
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Quantity
                 </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Total
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Status
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Date
-                </th>
+                <SortableHeader label="Total" field="amount" sort={sort} onSort={handleSort} />
+                <SortableHeader label="Status" field="status" sort={sort} onSort={handleSort} />
+                <SortableHeader label="Date" field="date" sort={sort} onSort={handleSort} />
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Actions
                 </th>
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
-              {filteredOrders.length === 0 ? (
+              {orders.length === 0 ? (
                 <tr>
-                  <td colSpan="9" className="px-6 py-8 text-center text-gray-500">
+                  <td colSpan={canFulfil ? 10 : 9} className="px-6 py-8 text-center text-gray-500">
                     No orders found
                   </td>
                 </tr>
               ) : (
-                filteredOrders.map(order => (
+                orders.map(order => (
                   <OrderRow
                     key={order._id}
                     order={order}
                     onStatusUpdate={handleStatusUpdate}
+                    onShip={setShippingOrder}
+                    onEdit={setEditingOrder}
                     onDelete={handleDelete}
+                    onRestore={handleRestore}
+                    selectable={canFulfil}
+                    selected={selectedIds.includes(order._id)}
+                    onToggleSelect={toggleSelected}
                   />
                 ))
               )}
             </tbody>
           </table>
         </div>
+
+        {/* Pagination */}
+        <div className="px-4 py-3 border-t border-gray-200 flex items-center justify-between">
+          <div className="text-sm text-gray-500">
+            Page {ordersData?.page || page} of {totalPages}
+          </div>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1 || ordersFetching}
+              className="px-3 py-1 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={!ordersData?.hasNext || ordersFetching}
+              className="px-3 py-1 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
       </div>
       
-      {/* Create Order Modal */}
-      <CreateOrderModal
-        isOpen={showCreateModal}
-        onClose={() => setShowCreateModal(false)}
-        customers={customers}
+      {/* Create / Edit Order Modal - keyed so each order opens with fresh form state */}
+      <OrderFormModal
+        key={editingOrder?._id || 'new'}
+        isOpen={showCreateModal || Boolean(editingOrder)}
+        onClose={() => {
+          setShowCreateModal(false);
+          setEditingOrder(null);
+        }}
         products={products}
+        shippingMethods={shippingMethods}
+        order={editingOrder}
       />
+
+      {shippingOrder && (
+        <ShipOrderModal
+          order={shippingOrder}
+          onSubmit={(shipment) => updateStatusMutation.mutate({ orderId: shippingOrder._id, status: 'shipped', shipment })}
+          onClose={() => setShippingOrder(null)}
+          isSubmitting={updateStatusMutation.isPending}
+        />
+      )}
     </div>
   );
 };
@@ -7,19 +7,35 @@ import {
 import { useForm } from 'react-hook-form';
 import {
   Plus, Search, Edit, Trash2,
-  Package, Tag, DollarSign, X
+  Package, Tag, X, RotateCcw, Upload
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { productAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import useCurrencies from '../hooks/useCurrencies';
+import ExportButton from '../components/ExportButton';
+import ImportWizard from '../components/ImportWizard';
+import { formatMoney } from '../utils/currency';
+
+// Turns a 409 from DELETE into a prompt explaining which orders block it
+const describeBlockedDelete = (data) => {
+  const numbers = data.orders?.map(order => order.orderNumber).filter(Boolean) || [];
+  const more = data.orderCount > numbers.length ? ` and ${data.orderCount - numbers.length} more` : '';
+  return `${data.error}\n\nReferenced by: ${numbers.join(', ')}${more}\n\nDeactivate this product so it can no longer be ordered?`;
+};
 
 const Products = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [categoryFilter, setCategoryFilter] = useState('');
+  const [showInactive, setShowInactive] = useState(false);
   const [showModal, setShowModal] = useState(false);
   const [editingProduct, setEditingProduct] = useState(null);
+  const [showImport, setShowImport] = useState(false);
   const [imagePreview, setImagePreview] = useState('');
 
   const queryClient = useQueryClient();
+  const { hasPermission } = useAuth();
+  const { baseCurrency, currencies } = useCurrencies();
   const {
     register,
     handleSubmit,
@@ -29,8 +45,8 @@ const Products = () => {
 
   // Fetch all products
   const { data: productsData, isLoading, error } = useQuery({
-    queryKey: ['products'],
-    queryFn: productAPI.getAll,
+    queryKey: ['products', { includeInactive: showInactive }],
+    queryFn: () => productAPI.getAll(showInactive ? { includeInactive: 'true' } : {}),
   });
 
   // Create product mutation
@@ -61,12 +77,18 @@ const Products = () => {
 
   // Delete product mutation
   const deleteMutation = useMutation({
-    mutationFn: productAPI.delete,
-    onSuccess: () => {
-      toast.success('Product deleted!');
+    mutationFn: ({ id, deactivate }) => productAPI.delete(id, { deactivate }),
+    onSuccess: (response) => {
+      toast.success(response.data?.deactivated ? 'Product deactivated!' : 'Product deleted!');
       queryClient.invalidateQueries({ queryKey: ['products'] });
     },
-    onError: (err) => {
+    onError: (err, variables) => {
+      if (err.response?.status === 409) {
+        if (window.confirm(describeBlockedDelete(err.response.data))) {
+          deleteMutation.mutate({ id: variables.id, deactivate: true });
+        }
+        return;
+      }
       toast.error(err.response?.data?.error || 'Delete failed');
     }
   });
@@ -81,9 +103,12 @@ const Products = () => {
   const onSubmit = (data) => {
     const payload = {
       name: data.name,
+      sku: data.sku?.trim() || '',
       category: data.category,
       description: data.description,
       price: parseFloat(data.price),
+      currency: data.currency || baseCurrency,
+      weight: data.weight === '' || data.weight == null ? null : parseFloat(data.weight),
       imageUrl: data.imageUrl
     };
 
@@ -96,11 +121,18 @@ const Products = () => {
 
   const filteredProducts = productsData?.data?.filter((product) => {
     const matchSearch = product.name.toLowerCase().includes(searchTerm.toLowerCase())
+      || product.sku?.toLowerCase().includes(searchTerm.toLowerCase())
       || product.description.toLowerCase().includes(searchTerm.toLowerCase());
     const matchCategory = !categoryFilter || product.category === categoryFilter;
     return matchSearch && matchCategory;
   }) || [];
 
+  // The list is filtered here, so exports send the same filters to the server
+  const exportParams = Object.fromEntries(
+    Object.entries({ search: searchTerm, category: categoryFilter, includeInactive: showInactive ? 'true' : '' })
+      .filter(([, value]) => value !== '')
+  );
+
   const categories = [...new Set(productsData?.data?.map(p => p.category) || [])];
 
   const handleEdit = (product) => {
@@ -112,9 +144,13 @@ const Products = () => {
 
   const handleDelete = (id) => {
     if (window.confirm('Are you sure?')) {
-      deleteMutation.mutate(id);
+      deleteMutation.mutate({ id });
     }
   };
+
+  const handleReactivate = (id) => {
+    updateMutation.mutate({ id, isActive: true });
+  };
   console.log('Products data:', filteredProducts);
   if (isLoading) return <div className="text-center p-8">Loading...</div>;
   if (error) return <div className="text-red-500 text-center p-8">Error loading products</div>;
@@ -126,10 +162,21 @@ const Products = () => {
           <h1 className="text-3xl font-bold">Products</h1>
           <p className="text-gray-600">Manage your product catalog</p>
         </div>
-        <button onClick={() => setShowModal(true)} className="btn-primary flex items-center gap-2">
-          <Plus size={20} />
-          Add Product
-        </button>
+        <div className="flex gap-2">
+          <ExportButton request={(format) => productAPI.export(exportParams, format)} name="products" />
+          {hasPermission('products:write') && (
+            <button onClick={() => setShowImport(true)} className="btn-secondary flex items-center gap-2">
+              <Upload size={16} />
+              Import
+            </button>
+          )}
+          {hasPermission('products:write') && (
+            <button onClick={() => setShowModal(true)} className="btn-primary flex items-center gap-2">
+              <Plus size={20} />
+              Add Product
+            </button>
+          )}
+        </div>
       </div>
 
       <div className="card p-4 flex gap-4">
@@ -152,6 +199,14 @@ const Products = () => {
             <option key={cat}>{cat}</option>
           ))}
         </select>
+        <label className="flex items-center gap-2 text-sm text-gray-600 whitespace-nowrap">
+          <input
+            type="checkbox"
+            checked={showInactive}
+            onChange={(e) => setShowInactive(e.target.checked)}
+          />
+          Show inactive
+        </label>
       </div>
 
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
@@ -170,22 +225,39 @@ const Products = () => {
                 className="w-full h-48 object-cover rounded-t"
               /> */}
               <div className="p-4 space-y-2">
-                <h3 className="font-semibold text-lg">{product.name}</h3>
+                <h3 className="font-semibold text-lg">
+                  {product.name}
+                  {!product.isActive && (
+                    <span className="ml-2 align-middle inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-600">
+                      Inactive
+                    </span>
+                  )}
+                </h3>
                 <div className="text-sm flex items-center gap-2 text-gray-500">
                   <Tag size={16} /> {product.category}
+                  {product.sku && <span className="font-mono text-xs">· {product.sku}</span>}
                 </div>
                 <p className="text-gray-600 text-sm">{product.description}</p>
                 <div className="flex justify-between items-center">
-                  <div className="text-green-600 font-bold flex items-center gap-1">
-                    <DollarSign size={18} /> {product.price}
+                  <div className="text-green-600 font-bold">
+                    {formatMoney(product.price, product.currency)}
                   </div>
                   <div className="flex gap-2">
-                    <button onClick={() => handleEdit(product)}>
-                      <Edit className="text-blue-600" />
-                    </button>
-                    <button onClick={() => handleDelete(product._id)}>
-                      <Trash2 className="text-red-600" />
-                    </button>
+                    {hasPermission('products:write') && (
+                      <button onClick={() => handleEdit(product)}>
+                        <Edit className="text-blue-600" />
+                      </button>
+                    )}
+                    {hasPermission('products:delete') && product.isActive && (
+                      <button onClick={() => handleDelete(product._id)}>
+                        <Trash2 className="text-red-600" />
+                      </button>
+                    )}
+                    {hasPermission('products:write') && !product.isActive && (
+                      <button onClick={() => handleReactivate(product._id)} title="Reactivate product">
+                        <RotateCcw className="text-green-600" />
+                      </button>
+                    )}
                   </div>
                 </div>
               </div>
@@ -194,6 +266,19 @@ const Products = () => {
         )}
       </div>
 
+      {showImport && (
+        <ImportWizard
+          title="Import Products"
+          keyLabel="SKU"
+          importFile={productAPI.import}
+          onImported={() => {
+            queryClient.invalidateQueries({ queryKey: ['products'] });
+            queryClient.invalidateQueries({ queryKey: ['product-categories'] });
+          }}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+
       {showModal && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40">
           <div className="bg-white p-6 rounded-lg max-w-md w-full">
@@ -203,9 +288,18 @@ const Products = () => {
             </div>
             <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
               <input {...register('name', { required: true })} placeholder="Product Name" className="form-input w-full" />
+              <input {...register('sku')} placeholder="SKU (optional)" className="form-input w-full" />
               <input {...register('category', { required: true })} placeholder="Category" className="form-input w-full" />
               <textarea {...register('description', { required: true })} placeholder="Description" className="form-textarea w-full" />
-              <input {...register('price', { required: true })} type="number" placeholder="Price" className="form-input w-full" />
+              <div className="flex gap-2">
+                <input {...register('price', { required: true })} type="number" placeholder="Price" className="form-input flex-1" />
+                <select {...register('currency')} className="form-select w-28">
+                  {currencies.map(currency => (
+                    <option key={currency} value={currency}>{currency}</option>
+                  ))}
+                </select>
+              </div>
+              <input {...register('weight')} type="number" min="0" step="0.001" placeholder="Weight in kg (optional)" className="form-input w-full" />
               <input
                 {...register('imageUrl')}
                 placeholder="Image URL"
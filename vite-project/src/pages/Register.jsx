@@ -14,6 +14,8 @@ const Register = () => {
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
+  const [registeredEmail, setRegisteredEmail] = useState('');
+  const [emailSent, setEmailSent] = useState(true);
   const { register } = useAuth();
 
   const handleChange = (e) => {
@@ -70,9 +72,11 @@ const Register = () => {
     
     const result = await register(formData.username, formData.email, formData.password);
     
-    if (!result.success) {
-      setLoading(false);
+    if (result.success) {
+      setRegisteredEmail(result.email);
+      setEmailSent(result.emailSent);
     }
+    setLoading(false);
   };
 
   return (
@@ -90,135 +94,154 @@ const Register = () => {
 
         <div className="card shadow-elegant animate-fade-in">
           <div className="card-body p-8">
-            <form onSubmit={handleSubmit} className="space-y-6">
-              <div>
-                <label className="form-label">Username</label>
-                <div className="relative">
-                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                    <User className="h-5 w-5 text-gray-400" />
+            {registeredEmail ? (
+              <div className="space-y-6 text-center">
+                {emailSent ? (
+                  <p className="text-gray-700">
+                    We sent a confirmation link to <span className="font-medium">{registeredEmail}</span>.
+                    Open it to activate your account, then sign in.
+                  </p>
+                ) : (
+                  <p className="text-gray-700">
+                    Your account was created, but we couldn't send the confirmation email to{' '}
+                    <span className="font-medium">{registeredEmail}</span>. Try signing in to request a new link.
+                  </p>
+                )}
+                <Link to="/login" className="btn-primary inline-block px-6 py-2">
+                  Go to sign in
+                </Link>
+              </div>
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-6">
+                <div>
+                  <label className="form-label">Username</label>
+                  <div className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <User className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      type="text"
+                      name="username"
+                      required
+                      className={`form-input pl-10 ${errors.username ? 'border-red-500' : ''}`}
+                      placeholder="Enter your username"
+                      value={formData.username}
+                      onChange={handleChange}
+                      disabled={loading}
+                    />
                   </div>
-                  <input
-                    type="text"
-                    name="username"
-                    required
-                    className={`form-input pl-10 ${errors.username ? 'border-red-500' : ''}`}
-                    placeholder="Enter your username"
-                    value={formData.username}
-                    onChange={handleChange}
-                    disabled={loading}
-                  />
+                  {errors.username && <p className="mt-1 text-sm text-red-600">{errors.username}</p>}
                 </div>
-                {errors.username && <p className="mt-1 text-sm text-red-600">{errors.username}</p>}
-              </div>
 
-              <div>
-                <label className="form-label">Email address</label>
-                <div className="relative">
-                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                    <Mail className="h-5 w-5 text-gray-400" />
+                <div>
+                  <label className="form-label">Email address</label>
+                  <div className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Mail className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      type="email"
+                      name="email"
+                      required
+                      className={`form-input pl-10 ${errors.email ? 'border-red-500' : ''}`}
+                      placeholder="Enter your email"
+                      value={formData.email}
+                      onChange={handleChange}
+                      disabled={loading}
+                    />
                   </div>
-                  <input
-                    type="email"
-                    name="email"
-                    required
-                    className={`form-input pl-10 ${errors.email ? 'border-red-500' : ''}`}
-                    placeholder="Enter your email"
-                    value={formData.email}
-                    onChange={handleChange}
-                    disabled={loading}
-                  />
+                  {errors.email && <p className="mt-1 text-sm text-red-600">{errors.email}</p>}
                 </div>
-                {errors.email && <p className="mt-1 text-sm text-red-600">{errors.email}</p>}
-              </div>
 
-              <div>
-                <label className="form-label">Password</label>
-                <div className="relative">
-                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                    <Lock className="h-5 w-5 text-gray-400" />
+                <div>
+                  <label className="form-label">Password</label>
+                  <div className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Lock className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      type={showPassword ? 'text' : 'password'}
+                      name="password"
+                      required
+                      className={`form-input pl-10 pr-10 ${errors.password ? 'border-red-500' : ''}`}
+                      placeholder="Enter your password"
+                      value={formData.password}
+                      onChange={handleChange}
+                      disabled={loading}
+                    />
+                    <button
+                      type="button"
+                      className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                      onClick={() => setShowPassword(!showPassword)}
+                    >
+                      {showPassword ? (
+                        <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-600 cursor-pointer" />
+                      ) : (
+                        <Eye className="h-5 w-5 text-gray-400 hover:text-gray-600 cursor-pointer" />
+                      )}
+                    </button>
                   </div>
-                  <input
-                    type={showPassword ? 'text' : 'password'}
-                    name="password"
-                    required
-                    className={`form-input pl-10 pr-10 ${errors.password ? 'border-red-500' : ''}`}
-                    placeholder="Enter your password"
-                    value={formData.password}
-                    onChange={handleChange}
-                    disabled={loading}
-                  />
-                  <button
-                    type="button"
-                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                    onClick={() => setShowPassword(!showPassword)}
-                  >
-                    {showPassword ? (
-                      <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-600 cursor-pointer" />
-                    ) : (
-                      <Eye className="h-5 w-5 text-gray-400 hover:text-gray-600 cursor-pointer" />
-                    )}
-                  </button>
+                  {errors.password && <p className="mt-1 text-sm text-red-600">{errors.password}</p>}
                 </div>
-                {errors.password && <p className="mt-1 text-sm text-red-600">{errors.password}</p>}
-              </div>
 
-              <div>
-                <label className="form-label">Confirm Password</label>
-                <div className="relative">
-                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                    <Lock className="h-5 w-5 text-gray-400" />
+                <div>
+                  <label className="form-label">Confirm Password</label>
+                  <div className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Lock className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      type={showConfirmPassword ? 'text' : 'password'}
+                      name="confirmPassword"
+                      required
+                      className={`form-input pl-10 pr-10 ${errors.confirmPassword ? 'border-red-500' : ''}`}
+                      placeholder="Confirm your password"
+                      value={formData.confirmPassword}
+                      onChange={handleChange}
+                      disabled={loading}
+                    />
+                    <button
+                      type="button"
+                      className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                      onClick={() => setShowConfirmPassword(!showConfirmPassword)}
+                    >
+                      {showConfirmPassword ? (
+                        <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-600 cursor-pointer" />
+                      ) : (
+                        <Eye className="h-5 w-5 text-gray-400 hover:text-gray-600 cursor-pointer" />
+                      )}
+                    </button>
                   </div>
-                  <input
-                    type={showConfirmPassword ? 'text' : 'password'}
-                    name="confirmPassword"
-                    required
-                    className={`form-input pl-10 pr-10 ${errors.confirmPassword ? 'border-red-500' : ''}`}
-                    placeholder="Confirm your password"
-                    value={formData.confirmPassword}
-                    onChange={handleChange}
-                    disabled={loading}
-                  />
+                  {errors.confirmPassword && <p className="mt-1 text-sm text-red-600">{errors.confirmPassword}</p>}
+                </div>
+
+                <div>
                   <button
-                    type="button"
-                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                    onClick={() => setShowConfirmPassword(!showConfirmPassword)}
+                    type="submit"
+                    disabled={loading}
+                    className="w-full btn-primary py-3 text-lg font-semibold shadow-lg hover:shadow-xl transform hover:scale-105 transition-all duration-200"
                   >
-                    {showConfirmPassword ? (
-                      <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-600 cursor-pointer" />
+                    {loading ? (
+                      <div className="flex items-center justify-center">
+                        <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
+                        Creating account...
+                      </div>
                     ) : (
-                      <Eye className="h-5 w-5 text-gray-400 hover:text-gray-600 cursor-pointer" />
+                      'Create account'
                     )}
                   </button>
                 </div>
-                {errors.confirmPassword && <p className="mt-1 text-sm text-red-600">{errors.confirmPassword}</p>}
-              </div>
-
-              <div>
-                <button
-                  type="submit"
-                  disabled={loading}
-                  className="w-full btn-primary py-3 text-lg font-semibold shadow-lg hover:shadow-xl transform hover:scale-105 transition-all duration-200"
-                >
-                  {loading ? (
-                    <div className="flex items-center justify-center">
-                      <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
-                      Creating account...
-                    </div>
-                  ) : (
-                    'Create account'
-                  )}
-                </button>
-              </div>
 
-              <div className="text-center">
-                <p className="text-sm text-gray-600">
-                  Already have an account?{' '}
-                  <Link to="/login" className="text-primary-600 hover:text-primary-700 font-medium">
-                    Sign in
-                  </Link>
-                </p>
-              </div>
-            </form>
+                <div className="text-center">
+                  <p className="text-sm text-gray-600">
+                    Already have an account?{' '}
+                    <Link to="/login" className="text-primary-600 hover:text-primary-700 font-medium">
+                      Sign in
+                    </Link>
+                  </p>
+                </div>
+              </form>
+            )}
           </div>
         </div>
       </div>
@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Eye, EyeOff, Lock } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { authAPI } from '../services/api';
+import AuthCard from '../components/AuthCard';
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// Opened from the emailed link, which carries the reset token
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [isDone, setIsDone] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setError('');
+    setLoading(true);
+    try {
+      await authAPI.resetPassword(token, password);
+      setIsDone(true);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Password reset failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <AuthCard title="Reset your password">
+        <div className="space-y-6 text-center">
+          <p className="text-gray-700">This reset link is incomplete. Open the link from your email again, or ask for a new one.</p>
+          <Link to="/forgot-password" className="text-primary-600 hover:text-primary-700 font-medium">
+            Request a new link
+          </Link>
+        </div>
+      </AuthCard>
+    );
+  }
+
+  return (
+    <AuthCard title="Reset your password" subtitle={isDone ? null : 'Choose a new password for your account'}>
+      {isDone ? (
+        <div className="space-y-6 text-center">
+          <p className="text-gray-700">Your password has been changed and you have been signed out on every device.</p>
+          <Link to="/login" className="btn-primary inline-block px-6 py-2">
+            Sign in
+          </Link>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div>
+            <label className="form-label">New password</label>
+            <div className="relative">
+              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                <Lock className="h-5 w-5 text-gray-400" />
+              </div>
+              <input
+                type={showPassword ? 'text' : 'password'}
+                required
+                className="form-input pl-10 pr-10"
+                placeholder="Enter a new password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                disabled={loading}
+              />
+              <button
+                type="button"
+                className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                onClick={() => setShowPassword(!showPassword)}
+              >
+                {showPassword ? (
+                  <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-600 cursor-pointer" />
+                ) : (
+                  <Eye className="h-5 w-5 text-gray-400 hover:text-gray-600 cursor-pointer" />
+                )}
+              </button>
+            </div>
+          </div>
+
+          <div>
+            <label className="form-label">Confirm new password</label>
+            <div className="relative">
+              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                <Lock className="h-5 w-5 text-gray-400" />
+              </div>
+              <input
+                type={showPassword ? 'text' : 'password'}
+                required
+                className="form-input pl-10"
+                placeholder="Confirm your new password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                disabled={loading}
+              />
+            </div>
+            {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+          </div>
+
+          <button type="submit" disabled={loading} className="w-full btn-primary py-3 text-lg font-semibold disabled:opacity-50">
+            {loading ? 'Saving...' : 'Set new password'}
+          </button>
+        </form>
+      )}
+    </AuthCard>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import { ShieldCheck, ShieldOff } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { authAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import TwoFactorSetup from '../components/TwoFactorSetup';
+import RecoveryCodes from '../components/RecoveryCodes';
+
+const CodeInput = ({ value, onChange, disabled }) => (
+  <input
+    type="text"
+    inputMode="numeric"
+    autoComplete="one-time-code"
+    pattern="\d{6}"
+    maxLength={6}
+    required
+    className="form-input w-full font-mono tracking-widest"
+    placeholder="Authenticator code"
+    value={value}
+    onChange={(e) => onChange(e.target.value.replace(/\D/g, ''))}
+    disabled={disabled}
+  />
+);
+
+// The signed-in user's own two-factor settings
+const Security = () => {
+  const { user, updateUser } = useAuth();
+  const [isEnrolling, setIsEnrolling] = useState(false);
+  // New recovery codes, shown until the user moves on
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [regenerateCode, setRegenerateCode] = useState('');
+  const [disableForm, setDisableForm] = useState({ password: '', code: '' });
+  const [isBusy, setIsBusy] = useState(false);
+
+  const enable = async (code) => {
+    const response = await authAPI.enableTwoFactor(code);
+    updateUser(response.data.user);
+    setRecoveryCodes(response.data.recoveryCodes);
+    setIsEnrolling(false);
+    toast.success('Two-factor authentication is on');
+  };
+
+  const regenerate = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    try {
+      const response = await authAPI.regenerateRecoveryCodes(regenerateCode);
+      setRecoveryCodes(response.data.recoveryCodes);
+      toast.success('New recovery codes generated; the old ones no longer work');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to generate recovery codes');
+    } finally {
+      setRegenerateCode('');
+      setIsBusy(false);
+    }
+  };
+
+  const disable = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    try {
+      const response = await authAPI.disableTwoFactor(disableForm.password, disableForm.code);
+      updateUser(response.data);
+      setRecoveryCodes(null);
+      toast.success('Two-factor authentication is off');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to turn off two-factor authentication');
+    } finally {
+      setDisableForm({ password: '', code: '' });
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6 animate-fade-in max-w-2xl">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Account Security</h1>
+        <p className="text-gray-600 mt-1">Protect your sign-in with an authenticator app</p>
+      </div>
+
+      <div className="card">
+        <div className="card-body space-y-4">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-3">
+              {user?.twoFactorEnabled ? (
+                <ShieldCheck className="w-8 h-8 text-green-600" />
+              ) : (
+                <ShieldOff className="w-8 h-8 text-gray-400" />
+              )}
+              <div>
+                <h2 className="font-semibold text-gray-900">Two-factor authentication</h2>
+                <p className="text-sm text-gray-600">
+                  {user?.twoFactorEnabled
+                    ? 'A code from your authenticator app is needed each time you sign in.'
+                    : 'Only your password is needed to sign in.'}
+                </p>
+              </div>
+            </div>
+            {user?.twoFactorEnabled ? (
+              <span className="badge bg-green-100 text-green-600">On</span>
+            ) : (
+              <span className="badge bg-gray-100 text-gray-600">Off</span>
+            )}
+          </div>
+
+          {recoveryCodes && (
+            <div className="border-t border-gray-200 pt-4 space-y-3">
+              <RecoveryCodes codes={recoveryCodes} />
+              <button onClick={() => setRecoveryCodes(null)} className="btn-primary">
+                Done
+              </button>
+            </div>
+          )}
+
+          {!user?.twoFactorEnabled && (
+            <div className="border-t border-gray-200 pt-4">
+              {isEnrolling ? (
+                <div className="max-w-sm space-y-3">
+                  <TwoFactorSetup startSetup={() => authAPI.setupTwoFactor()} confirm={enable} />
+                  <button onClick={() => setIsEnrolling(false)} className="btn-secondary w-full">
+                    Cancel
+                  </button>
+                </div>
+              ) : (
+                <button onClick={() => setIsEnrolling(true)} className="btn-primary">
+                  Set up two-factor
+                </button>
+              )}
+            </div>
+          )}
+
+          {user?.twoFactorEnabled && !recoveryCodes && (
+            <div className="border-t border-gray-200 pt-4 grid grid-cols-1 md:grid-cols-2 gap-6">
+              <form onSubmit={regenerate} className="space-y-3">
+                <h3 className="font-medium text-gray-900">Recovery codes</h3>
+                <p className="text-sm text-gray-600">Replace your recovery codes if they were lost or mostly used.</p>
+                <CodeInput value={regenerateCode} onChange={setRegenerateCode} disabled={isBusy} />
+                <button type="submit" disabled={isBusy || regenerateCode.length !== 6} className="btn-secondary w-full disabled:opacity-50">
+                  Generate new codes
+                </button>
+              </form>
+
+              <form onSubmit={disable} className="space-y-3">
+                <h3 className="font-medium text-gray-900">Turn off</h3>
+                <p className="text-sm text-gray-600">Not available if your role requires two-factor.</p>
+                <input
+                  type="password"
+                  required
+                  autoComplete="current-password"
+                  className="form-input w-full"
+                  placeholder="Password"
+                  value={disableForm.password}
+                  onChange={(e) => setDisableForm({ ...disableForm, password: e.target.value })}
+                  disabled={isBusy}
+                />
+                <CodeInput
+                  value={disableForm.code}
+                  onChange={(code) => setDisableForm({ ...disableForm, code })}
+                  disabled={isBusy}
+                />
+                <button type="submit" disabled={isBusy || disableForm.code.length !== 6} className="btn-outline w-full text-red-600 disabled:opacity-50">
+                  Turn off two-factor
+                </button>
+              </form>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Security;
@@ -0,0 +1,248 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useForm } from 'react-hook-form';
+import { Plus, Edit, Trash2, Truck, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { shippingMethodAPI } from '../services/api';
+import useCurrencies from '../hooks/useCurrencies';
+import { formatMoney } from '../utils/currency';
+
+const EMPTY_METHOD = {
+  name: '',
+  type: 'flat',
+  baseCost: '',
+  perKg: '',
+  freeOver: '',
+  isActive: true
+};
+
+// Charges are in the base currency and converted on foreign-currency orders
+const describeCharge = (method, currency) => {
+  const base = formatMoney(method.baseCost, currency);
+  switch (method.type) {
+    case 'weight':
+      return `${base} + ${formatMoney(method.perKg, currency)}/kg`;
+    case 'free_over':
+      return `${base}, free over ${formatMoney(method.freeOver, currency)}`;
+    default:
+      return base;
+  }
+};
+
+const TYPE_LABELS = {
+  flat: 'Flat rate',
+  weight: 'By weight',
+  free_over: 'Free over threshold'
+};
+
+const ShippingMethods = () => {
+  const [showModal, setShowModal] = useState(false);
+  const [editingMethod, setEditingMethod] = useState(null);
+
+  const queryClient = useQueryClient();
+  const { baseCurrency } = useCurrencies();
+  const { register, handleSubmit, reset, watch } = useForm({ defaultValues: EMPTY_METHOD });
+
+  const { data: methods, isLoading, error } = useQuery({
+    queryKey: ['shipping-methods'],
+    queryFn: shippingMethodAPI.getAll,
+    select: (data) => data.data || []
+  });
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingMethod(null);
+    reset(EMPTY_METHOD);
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: (data) => (editingMethod ? shippingMethodAPI.update(editingMethod._id, data) : shippingMethodAPI.create(data)),
+    onSuccess: () => {
+      toast.success(editingMethod ? 'Shipping method updated!' : 'Shipping method created!');
+      queryClient.invalidateQueries({ queryKey: ['shipping-methods'] });
+      closeModal();
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error || 'Failed to save shipping method');
+    }
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: shippingMethodAPI.delete,
+    onSuccess: () => {
+      toast.success('Shipping method deleted!');
+      queryClient.invalidateQueries({ queryKey: ['shipping-methods'] });
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error || 'Delete failed');
+    }
+  });
+
+  const openCreate = () => {
+    reset(EMPTY_METHOD);
+    setEditingMethod(null);
+    setShowModal(true);
+  };
+
+  const openEdit = (method) => {
+    reset({
+      ...EMPTY_METHOD,
+      ...method,
+      baseCost: method.baseCost ?? '',
+      perKg: method.perKg || '',
+      freeOver: method.freeOver ?? ''
+    });
+    setEditingMethod(method);
+    setShowModal(true);
+  };
+
+  const handleDelete = (method) => {
+    if (window.confirm(`Delete shipping method ${method.name}? Orders that used it keep their shipping charge.`)) {
+      deleteMutation.mutate(method._id);
+    }
+  };
+
+  const onSubmit = (data) => {
+    saveMutation.mutate({
+      name: data.name.trim(),
+      type: data.type,
+      baseCost: data.baseCost === '' ? 0 : parseFloat(data.baseCost),
+      perKg: data.type === 'weight' && data.perKg !== '' ? parseFloat(data.perKg) : 0,
+      freeOver: data.type === 'free_over' && data.freeOver !== '' ? parseFloat(data.freeOver) : '',
+      isActive: data.isActive
+    });
+  };
+
+  const type = watch('type');
+
+  if (isLoading) return <div className="text-center p-8">Loading...</div>;
+  if (error) return <div className="text-red-500 text-center p-8">Error loading shipping methods</div>;
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Shipping Methods</h1>
+          <p className="text-gray-600 mt-1">Delivery options and what they charge on new orders</p>
+        </div>
+        <button onClick={openCreate} className="btn-primary flex items-center gap-2">
+          <Plus size={20} />
+          Add Method
+        </button>
+      </div>
+
+      <div className="card">
+        <div className="card-body p-0">
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th>Name</th>
+                  <th>Type</th>
+                  <th>Charge</th>
+                  <th>Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {methods.length === 0 ? (
+                  <tr>
+                    <td colSpan="5" className="text-center py-12">
+                      <Truck size={48} className="mx-auto text-gray-400 mb-2" />
+                      <p className="text-gray-600">No shipping methods yet</p>
+                    </td>
+                  </tr>
+                ) : (
+                  methods.map((method) => (
+                    <tr key={method._id} className="hover:bg-gray-50">
+                      <td className="font-medium text-gray-900">{method.name}</td>
+                      <td className="text-gray-500">{TYPE_LABELS[method.type]}</td>
+                      <td>{describeCharge(method, baseCurrency)}</td>
+                      <td>
+                        {method.isActive ? (
+                          <span className="badge bg-green-100 text-green-600">Active</span>
+                        ) : (
+                          <span className="badge bg-gray-100 text-gray-600">Inactive</span>
+                        )}
+                      </td>
+                      <td>
+                        <div className="flex gap-2 justify-end">
+                          <button onClick={() => openEdit(method)} title="Edit shipping method">
+                            <Edit className="w-5 h-5 text-blue-600" />
+                          </button>
+                          <button onClick={() => handleDelete(method)} title="Delete shipping method">
+                            <Trash2 className="w-5 h-5 text-red-600" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white p-6 rounded-lg w-full max-w-md mx-4 max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between mb-4">
+              <h2 className="text-xl font-bold">{editingMethod ? 'Edit' : 'Add'} Shipping Method</h2>
+              <button onClick={closeModal}><X /></button>
+            </div>
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+              <input
+                {...register('name', { required: true })}
+                placeholder="Name, e.g. Standard Delivery"
+                className="form-input w-full"
+              />
+              <select {...register('type')} className="form-select w-full">
+                {Object.entries(TYPE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <input
+                {...register('baseCost')}
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder={type === 'weight' ? 'Base fee' : 'Shipping fee'}
+                className="form-input w-full"
+              />
+              {type === 'weight' && (
+                <input
+                  {...register('perKg', { required: true })}
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  placeholder="Cost per kg"
+                  className="form-input w-full"
+                />
+              )}
+              {type === 'free_over' && (
+                <input
+                  {...register('freeOver', { required: true })}
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  placeholder="Free when the order reaches"
+                  className="form-input w-full"
+                />
+              )}
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input {...register('isActive')} type="checkbox" />
+                Active
+              </label>
+              <button type="submit" disabled={saveMutation.isPending} className="btn-primary w-full disabled:opacity-50">
+                {editingMethod ? 'Update' : 'Create'}
+              </button>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShippingMethods;
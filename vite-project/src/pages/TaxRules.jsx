@@ -0,0 +1,223 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useForm } from 'react-hook-form';
+import { Plus, Edit, Trash2, Receipt, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { taxRuleAPI } from '../services/api';
+
+const EMPTY_RULE = {
+  name: '',
+  country: '',
+  state: '',
+  rate: '',
+  inclusive: false,
+  exemptCategories: '',
+  isActive: true
+};
+
+// Categories are edited as one comma-separated field
+const parseCategories = (value) => value.split(',').map(category => category.trim()).filter(Boolean);
+
+const describeRegion = (rule) => (rule.state ? `${rule.state}, ${rule.country}` : `${rule.country} (all states)`);
+
+const TaxRules = () => {
+  const [showModal, setShowModal] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+
+  const queryClient = useQueryClient();
+  const { register, handleSubmit, reset } = useForm({ defaultValues: EMPTY_RULE });
+
+  const { data: rules, isLoading, error } = useQuery({
+    queryKey: ['tax-rules'],
+    queryFn: taxRuleAPI.getAll,
+    select: (data) => data.data || []
+  });
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingRule(null);
+    reset(EMPTY_RULE);
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: (data) => (editingRule ? taxRuleAPI.update(editingRule._id, data) : taxRuleAPI.create(data)),
+    onSuccess: () => {
+      toast.success(editingRule ? 'Tax rule updated!' : 'Tax rule created!');
+      queryClient.invalidateQueries({ queryKey: ['tax-rules'] });
+      closeModal();
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error || 'Failed to save tax rule');
+    }
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: taxRuleAPI.delete,
+    onSuccess: () => {
+      toast.success('Tax rule deleted!');
+      queryClient.invalidateQueries({ queryKey: ['tax-rules'] });
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.error || 'Delete failed');
+    }
+  });
+
+  const openCreate = () => {
+    reset(EMPTY_RULE);
+    setEditingRule(null);
+    setShowModal(true);
+  };
+
+  const openEdit = (rule) => {
+    reset({
+      ...EMPTY_RULE,
+      ...rule,
+      state: rule.state || '',
+      exemptCategories: (rule.exemptCategories || []).join(', ')
+    });
+    setEditingRule(rule);
+    setShowModal(true);
+  };
+
+  const handleDelete = (rule) => {
+    if (window.confirm(`Delete tax rule ${rule.name}? Orders already priced with it keep their tax.`)) {
+      deleteMutation.mutate(rule._id);
+    }
+  };
+
+  const onSubmit = (data) => {
+    saveMutation.mutate({
+      name: data.name.trim(),
+      country: data.country.trim(),
+      state: data.state.trim(),
+      rate: parseFloat(data.rate),
+      inclusive: data.inclusive,
+      exemptCategories: parseCategories(data.exemptCategories),
+      isActive: data.isActive
+    });
+  };
+
+  if (isLoading) return <div className="text-center p-8">Loading...</div>;
+  if (error) return <div className="text-red-500 text-center p-8">Error loading tax rules</div>;
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Tax Rules</h1>
+          <p className="text-gray-600 mt-1">Rates applied to orders by the customer's country and state</p>
+        </div>
+        <button onClick={openCreate} className="btn-primary flex items-center gap-2">
+          <Plus size={20} />
+          Add Tax Rule
+        </button>
+      </div>
+
+      <div className="card">
+        <div className="card-body p-0">
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th>Name</th>
+                  <th>Region</th>
+                  <th>Rate</th>
+                  <th>Pricing</th>
+                  <th>Exempt Categories</th>
+                  <th>Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {rules.length === 0 ? (
+                  <tr>
+                    <td colSpan="7" className="text-center py-12">
+                      <Receipt size={48} className="mx-auto text-gray-400 mb-2" />
+                      <p className="text-gray-600">No tax rules yet - orders are not taxed</p>
+                    </td>
+                  </tr>
+                ) : (
+                  rules.map((rule) => (
+                    <tr key={rule._id} className="hover:bg-gray-50">
+                      <td className="font-medium text-gray-900">{rule.name}</td>
+                      <td>{describeRegion(rule)}</td>
+                      <td>{rule.rate}%</td>
+                      <td className="text-gray-500">{rule.inclusive ? 'Tax inclusive' : 'Tax added'}</td>
+                      <td className="text-gray-500">{rule.exemptCategories?.length ? rule.exemptCategories.join(', ') : '—'}</td>
+                      <td>
+                        {rule.isActive ? (
+                          <span className="badge bg-green-100 text-green-600">Active</span>
+                        ) : (
+                          <span className="badge bg-gray-100 text-gray-600">Inactive</span>
+                        )}
+                      </td>
+                      <td>
+                        <div className="flex gap-2 justify-end">
+                          <button onClick={() => openEdit(rule)} title="Edit tax rule">
+                            <Edit className="w-5 h-5 text-blue-600" />
+                          </button>
+                          <button onClick={() => handleDelete(rule)} title="Delete tax rule">
+                            <Trash2 className="w-5 h-5 text-red-600" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white p-6 rounded-lg w-full max-w-md mx-4 max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between mb-4">
+              <h2 className="text-xl font-bold">{editingRule ? 'Edit' : 'Add'} Tax Rule</h2>
+              <button onClick={closeModal}><X /></button>
+            </div>
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+              <input
+                {...register('name', { required: true })}
+                placeholder="Name, e.g. California Sales Tax"
+                className="form-input w-full"
+              />
+              <div className="grid grid-cols-2 gap-2">
+                <input {...register('country', { required: true })} placeholder="Country" className="form-input w-full" />
+                <input {...register('state')} placeholder="State (blank for all)" className="form-input w-full" />
+              </div>
+              <input
+                {...register('rate', { required: true })}
+                type="number"
+                min="0"
+                max="100"
+                step="0.001"
+                placeholder="Rate %"
+                className="form-input w-full"
+              />
+              <input
+                {...register('exemptCategories')}
+                placeholder="Exempt categories, comma separated"
+                className="form-input w-full"
+              />
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input {...register('inclusive')} type="checkbox" />
+                Prices already include this tax
+              </label>
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input {...register('isActive')} type="checkbox" />
+                Active
+              </label>
+              <button type="submit" disabled={saveMutation.isPending} className="btn-primary w-full disabled:opacity-50">
+                {editingRule ? 'Update' : 'Create'}
+              </button>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TaxRules;
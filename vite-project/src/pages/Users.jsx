@@ -0,0 +1,165 @@
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Shield, Mail, Lock, ShieldCheck } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { userAPI, settingsAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+
+const ROLE_OPTIONS = [
+  { value: 'admin', label: 'Admin' },
+  { value: 'manager', label: 'Manager' },
+  { value: 'sales', label: 'Sales' },
+  { value: 'warehouse', label: 'Warehouse' },
+  { value: 'readonly', label: 'Read-only' }
+];
+
+const Users = () => {
+  const { user: currentUser } = useAuth();
+  const queryClient = useQueryClient();
+
+  const { data: users, isLoading, error } = useQuery({
+    queryKey: ['users'],
+    queryFn: userAPI.getAll,
+    select: (data) => data.data || []
+  });
+
+  const { data: securitySettings } = useQuery({
+    queryKey: ['security-settings'],
+    queryFn: settingsAPI.getSecurity,
+    select: (data) => data.data
+  });
+
+  const updateSecurityMutation = useMutation({
+    mutationFn: settingsAPI.updateSecurity,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['security-settings'] });
+      toast.success('Two-factor requirement updated');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to update two-factor requirement');
+    }
+  });
+
+  const toggleTwoFactorRole = (role) => {
+    const roles = securitySettings?.twoFactorRoles || [];
+    updateSecurityMutation.mutate({
+      twoFactorRoles: roles.includes(role) ? roles.filter(r => r !== role) : [...roles, role]
+    });
+  };
+
+  const updateRoleMutation = useMutation({
+    mutationFn: ({ id, role }) => userAPI.updateRole(id, role),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['users'] });
+      toast.success('Role updated successfully');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to update role');
+    }
+  });
+
+  const unlockMutation = useMutation({
+    mutationFn: userAPI.unlock,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['users'] });
+      toast.success('Account unlocked');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to unlock account');
+    }
+  });
+
+  if (isLoading) return <div className="text-center p-8">Loading...</div>;
+  if (error) return <div className="text-red-500 text-center p-8">Error loading users</div>;
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Users</h1>
+        <p className="text-gray-600 mt-1">Manage staff accounts and their roles</p>
+      </div>
+
+      <div className="card">
+        <div className="card-body space-y-3">
+          <div>
+            <h2 className="font-semibold text-gray-900">Require two-factor authentication</h2>
+            <p className="text-sm text-gray-600">
+              Users in these roles must set up an authenticator app the next time they sign in.
+            </p>
+          </div>
+          <div className="flex flex-wrap gap-4">
+            {ROLE_OPTIONS.map((option) => (
+              <label key={option.value} className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={Boolean(securitySettings?.twoFactorRoles.includes(option.value))}
+                  disabled={!securitySettings || updateSecurityMutation.isPending}
+                  onChange={() => toggleTwoFactorRole(option.value)}
+                />
+                {option.label}
+              </label>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-body p-0">
+          <div className="divide-y divide-gray-200">
+            {users.map((user) => (
+              <div key={user.id} className="p-6 flex items-center justify-between">
+                <div className="flex items-center space-x-4">
+                  <div className="w-10 h-10 bg-primary-100 rounded-full flex items-center justify-center">
+                    <Shield className="w-5 h-5 text-primary-600" />
+                  </div>
+                  <div>
+                    <h3 className="font-semibold text-gray-900">{user.username}</h3>
+                    <div className="flex items-center text-gray-600">
+                      <Mail className="w-4 h-4 mr-1" />
+                      <span className="text-sm">{user.email}</span>
+                    </div>
+                  </div>
+                </div>
+                <div className="flex items-center gap-3">
+                  {user.twoFactorEnabled && (
+                    <span className="badge bg-green-100 text-green-600 flex items-center gap-1" title="Signs in with two-factor">
+                      <ShieldCheck className="w-3 h-3" />
+                      2FA
+                    </span>
+                  )}
+                  {user.lockedUntil && (
+                    <>
+                      <span className="badge bg-red-100 text-red-600 flex items-center gap-1">
+                        <Lock className="w-3 h-3" />
+                        Locked until {new Date(user.lockedUntil).toLocaleTimeString()}
+                      </span>
+                      <button
+                        onClick={() => unlockMutation.mutate(user.id)}
+                        disabled={unlockMutation.isPending}
+                        className="btn-outline text-sm disabled:opacity-50"
+                      >
+                        Unlock
+                      </button>
+                    </>
+                  )}
+                  <select
+                    className="form-select min-w-[160px]"
+                    value={user.role}
+                    disabled={user.id === currentUser?.id || updateRoleMutation.isPending}
+                    onChange={(e) => updateRoleMutation.mutate({ id: user.id, role: e.target.value })}
+                  >
+                    {ROLE_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Users;
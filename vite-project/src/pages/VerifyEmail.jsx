@@ -0,0 +1,54 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import AuthCard from '../components/AuthCard';
+
+// Opened from the link emailed at registration
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'failed');
+  const [message, setMessage] = useState(token ? '' : 'This confirmation link is incomplete.');
+  // Tokens are single-use, so a second request (StrictMode) would fail
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    authAPI.verifyEmail(token)
+      .then((response) => {
+        setStatus('verified');
+        setMessage(response.data.message);
+      })
+      .catch((error) => {
+        setStatus('failed');
+        setMessage(error.response?.data?.error || 'Could not confirm your email address');
+      });
+  }, [token]);
+
+  return (
+    <AuthCard title="Confirm your email">
+      <div className="space-y-6 text-center">
+        {status === 'verifying' ? (
+          <div className="flex items-center justify-center text-gray-600">
+            <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-primary-600 mr-2"></div>
+            Confirming your email address...
+          </div>
+        ) : (
+          <>
+            <p className={status === 'verified' ? 'text-gray-700' : 'text-red-600'}>{message}</p>
+            {status === 'failed' && (
+              <p className="text-sm text-gray-500">You can ask for a new link from the sign in page.</p>
+            )}
+            <Link to="/login" className="btn-primary inline-block px-6 py-2">
+              Go to sign in
+            </Link>
+          </>
+        )}
+      </div>
+    </AuthCard>
+  );
+};
+
+export default VerifyEmail;
@@ -14,8 +14,38 @@ const api = axios.create({
     'Content-Type': 'application/json',
   },
   timeout: 10000, // 10 second timeout
+  withCredentials: true, // Sends the refresh token cookie
 });
 
+// Tells AuthContext the session changed: a refreshed user, or null once the
+// session has ended and the app should return to the login page
+const announceSession = (user) => {
+  window.dispatchEvent(new CustomEvent('auth:session', { detail: { user } }));
+};
+
+// A 401 from these means bad credentials or an ended session, not an expired token
+const SESSION_ENDPOINTS = ['/api/auth/login', '/api/auth/register', '/api/auth/refresh', '/api/auth/logout'];
+
+// Concurrent 401s share one refresh, since each refresh rotates the cookie
+let refreshPromise = null;
+
+const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = api.post('/api/auth/refresh')
+      .then((response) => {
+        const { token, user } = response.data;
+        localStorage.setItem('token', token);
+        localStorage.setItem('user', JSON.stringify(user));
+        announceSession(user);
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Request interceptor to add auth token
 api.interceptors.request.use(
   (config) => {
@@ -41,7 +71,7 @@ api.interceptors.response.use(
     console.log(`API Response: ${response.status} ${response.config.url}`);
     return response;
   },
-  (error) => {
+  async (error) => {
     console.error('API Error:', {
       status: error.response?.status,
       message: error.message,
@@ -54,14 +84,22 @@ api.interceptors.response.use(
       console.error('Request timeout - check your network connection');
     } else if (error.code === 'ERR_NETWORK') {
       console.error('Network error - check if the backend server is running');
-    } else if (error.response?.status === 401) {
-      console.log('Unauthorized - clearing token and redirecting');
+    } else if (error.response?.status === 401 && !SESSION_ENDPOINTS.includes(error.config?.url)) {
+      // The access token expired: refresh once and replay the request
+      if (!error.config._retry) {
+        try {
+          console.log('Unauthorized - refreshing session');
+          const token = await refreshSession();
+          error.config._retry = true;
+          error.config.headers.Authorization = `Bearer ${token}`;
+          return api(error.config);
+        } catch (refreshError) {
+          console.error('Session refresh failed:', refreshError.response?.data?.error || refreshError.message);
+        }
+      }
       localStorage.removeItem('token');
       localStorage.removeItem('user');
-      // Only redirect if not already on login page
-      if (window.location.pathname !== '/login') {
-        window.location.href = '/login';
-      }
+      announceSession(null);
     }
     
     return Promise.reject(error);
@@ -93,21 +131,243 @@ export const authAPI = {
       throw error;
     }
   },
+
+  verifyEmail: async (token) => {
+    try {
+      console.log('Confirming email address...');
+      const response = await api.post('/api/auth/verify-email', { token });
+      console.log('Email address confirmed');
+      return response;
+    } catch (error) {
+      console.error('Email confirmation failed:', error);
+      throw error;
+    }
+  },
+
+  resendVerification: async (email) => {
+    try {
+      console.log('Requesting a new confirmation email...');
+      const response = await api.post('/api/auth/resend-verification', { email });
+      console.log('Confirmation email requested');
+      return response;
+    } catch (error) {
+      console.error('Failed to request confirmation email:', error);
+      throw error;
+    }
+  },
+
+  forgotPassword: async (email) => {
+    try {
+      console.log('Requesting password reset...');
+      const response = await api.post('/api/auth/forgot-password', { email });
+      console.log('Password reset requested');
+      return response;
+    } catch (error) {
+      console.error('Password reset request failed:', error);
+      throw error;
+    }
+  },
+
+  resetPassword: async (token, password) => {
+    try {
+      console.log('Resetting password...');
+      const response = await api.post('/api/auth/reset-password', { token, password });
+      console.log('Password reset successful');
+      return response;
+    } catch (error) {
+      console.error('Password reset failed:', error);
+      throw error;
+    }
+  },
+
+  // Second sign-in step, with either an authenticator code or a recovery code
+  verifyTwoFactor: async (challengeToken, { code, recoveryCode }) => {
+    try {
+      console.log('Verifying two-factor code...');
+      const response = await api.post('/api/auth/login/2fa', { challengeToken, code, recoveryCode });
+      console.log('Two-factor verification successful');
+      return response;
+    } catch (error) {
+      console.error('Two-factor verification failed:', error);
+      throw error;
+    }
+  },
+
+  // The challenge token is only passed when enrolling during sign-in
+  setupTwoFactor: async (challengeToken) => {
+    try {
+      console.log('Starting two-factor setup...');
+      const response = await api.post('/api/auth/2fa/setup', { challengeToken });
+      console.log('Two-factor setup started');
+      return response;
+    } catch (error) {
+      console.error('Failed to start two-factor setup:', error);
+      throw error;
+    }
+  },
+
+  enableTwoFactor: async (code, challengeToken) => {
+    try {
+      console.log('Enabling two-factor authentication...');
+      const response = await api.post('/api/auth/2fa/enable', { code, challengeToken });
+      console.log('Two-factor authentication enabled');
+      return response;
+    } catch (error) {
+      console.error('Failed to enable two-factor authentication:', error);
+      throw error;
+    }
+  },
+
+  disableTwoFactor: async (password, code) => {
+    try {
+      console.log('Disabling two-factor authentication...');
+      const response = await api.post('/api/auth/2fa/disable', { password, code });
+      console.log('Two-factor authentication disabled');
+      return response;
+    } catch (error) {
+      console.error('Failed to disable two-factor authentication:', error);
+      throw error;
+    }
+  },
+
+  regenerateRecoveryCodes: async (code) => {
+    try {
+      console.log('Generating new recovery codes...');
+      const response = await api.post('/api/auth/2fa/recovery-codes', { code });
+      console.log('Recovery codes generated');
+      return response;
+    } catch (error) {
+      console.error('Failed to generate recovery codes:', error);
+      throw error;
+    }
+  },
+
+  logout: async (allDevices = false) => {
+    try {
+      console.log('Logging out...');
+      const response = await api.post('/api/auth/logout', { allDevices });
+      console.log('Logout successful');
+      return response;
+    } catch (error) {
+      console.error('Logout failed:', error);
+      throw error;
+    }
+  },
+
+  me: async () => {
+    try {
+      console.log('Fetching current user...');
+      const response = await api.get('/api/auth/me');
+      console.log('Current user fetched successfully');
+      return response;
+    } catch (error) {
+      console.error('Failed to fetch current user:', error);
+      throw error;
+    }
+  },
+};
+
+// User API
+export const userAPI = {
+  getAll: async () => {
+    try {
+      console.log('Fetching all users...');
+      const response = await api.get('/api/users');
+      console.log('Users fetched successfully:', response.data?.length || 0, 'users');
+      return response;
+    } catch (error) {
+      console.error('Failed to fetch users:', error);
+      throw error;
+    }
+  },
+
+  updateRole: async (id, role) => {
+    try {
+      console.log(`Updating user ${id} role to ${role}...`);
+      const response = await api.put(`/api/users/${id}/role`, { role });
+      console.log('User role updated successfully');
+      return response;
+    } catch (error) {
+      console.error(`Failed to update user ${id} role:`, error);
+      throw error;
+    }
+  },
+
+  unlock: async (id) => {
+    try {
+      console.log(`Unlocking user ${id}...`);
+      const response = await api.post(`/api/users/${id}/unlock`);
+      console.log('User unlocked successfully');
+      return response;
+    } catch (error) {
+      console.error(`Failed to unlock user ${id}:`, error);
+      throw error;
+    }
+  },
 };
 
 // Customer API
 export const customerAPI = {
-  getAll: async () => {
+  getAll: async (params = {}) => {
     try {
-      console.log('Fetching all customers...');
-      const response = await api.get('/api/customers');
-      console.log('Customers fetched successfully:', response.data?.length || 0, 'customers');
+      console.log('Fetching customers...', params);
+      const response = await api.get('/api/customers', { params });
+      console.log('Customers fetched successfully:', response.data?.items?.length || 0, 'of', response.data?.total || 0, 'customers');
       return response;
     } catch (error) {
       console.error('Failed to fetch customers:', error);
       throw error;
     }
   },
+
+  // The list as a CSV or XLSX file, filtered like getAll. No timeout, since
+  // large exports stream for a while.
+  export: async (params = {}, format = 'csv') => {
+    try {
+      console.log(`Exporting customers as ${format}...`);
+      const response = await api.get('/api/customers/export', { params: { ...params, format }, responseType: 'blob', timeout: 0 });
+      console.log('Customers exported successfully');
+      return response;
+    } catch (error) {
+      console.error('Failed to export customers:', error);
+      throw error;
+    }
+  },
+
+  // Creates or updates customers (matched on email) from a CSV/XLSX file.
+  // dryRun only reports what would happen; mapping is { field: column }.
+  import: async (file, { mapping, dryRun = true } = {}) => {
+    try {
+      console.log(`${dryRun ? 'Checking' : 'Importing'} customers from ${file.name}...`);
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('dryRun', String(dryRun));
+      if (mapping) {
+        formData.append('mapping', JSON.stringify(mapping));
+      }
+      const response = await api.post('/api/customers/import', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        timeout: 0
+      });
+      console.log('Customers import finished:', response.data?.summary);
+      return response;
+    } catch (error) {
+      console.error('Failed to import customers:', error);
+      throw error;
+    }
+  },
+
+  getLocations: async (country) => {
+    try {
+      console.log('Fetching customer locations...');
+      const response = await api.get('/api/customers/locations', { params: country ? { country } : {} });
+      console.log('Customer locations fetched successfully');
+      return response;
+    } catch (error) {
+      console.error('Failed to fetch customer locations:', error);
+      throw error;
+    }
+  },
   
   getById: async (id) => {
     try {
@@ -121,6 +381,18 @@ export const customerAPI = {
     }
   },
   
+  getSummary: async (id) => {
+    try {
+      console.log(`Fetching customer ${id} summary...`);
+      const response = await api.get(`/api/customers/${id}/summary`);
+      console.log('Customer summary fetched successfully');
+      return response;
+    } catch (error) {
+      console.error(`Failed to fetch customer ${id} summary:`, error);
+      throw error;
+    }
+  },
+  
   create: async (customer) => {
     try {
       console.log('Creating new customer...');
@@ -145,11 +417,14 @@ export const customerAPI = {
     }
   },
   
-  delete: async (id) => {
+  // Pass { deactivate: true } to deactivate a customer that orders still reference
+  delete: async (id, { deactivate = false } = {}) => {
     try {
-      console.log(`Deleting customer ${id}...`);
-      const response = await api.delete(`/api/customers/${id}`);
-      console.log('Customer deleted successfully');
+      console.log(`${deactivate ? 'Deactivating' : 'Deleting'} customer ${id}...`);
+      const response = await api.delete(`/api/customers/${id}`, {
+        params: deactivate ? { mode: 'deactivate' } : {}
+      });
+      console.log(response.data?.message || 'Customer deleted successfully');
       return response;
     } catch (error) {
       console.error(`Failed to delete customer ${id}:`, error);
@@ -171,6 +446,41 @@ export const productAPI = {
       throw error;
     }
   },
+
+  // CSV or XLSX export, filtered like getAll
+  export: async (params = {}, format = 'csv') => {
+    try {
+      console.log(`Exporting products as ${format}...`);
+      const response = await api.get('/api/products/export', { params: { ...params, format }, responseType: 'blob', timeout: 0 });
+      console.log('Products exported successfully');
+      return response;
+    } catch (error) {
+      console.error('Failed to export products:', error);
+      throw error;
+    }
+  },
+
+  // Same as customerAPI.import, matched on SKU
+  import: async (file, { mapping, dryRun = true } = {}) => {
+    try {
+      console.log(`${dryRun ? 'Checking' : 'Importing'} products from ${file.name}...`);
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('dryRun', String(dryRun));
+      if (mapping) {
+        formData.append('mapping', JSON.stringify(mapping));
+      }
+      const response = await api.post('/api/products/import', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        timeout: 0
+      });
+      console.log('Products import finished:', response.data?.summary);
+      return response;
+    } catch (error) {
+      console.error('Failed to import products:', error);
+      throw error;
+    }
+  },
   
   getById: async (id) => {
     try {
@@ -221,11 +531,14 @@ export const productAPI = {
     }
   },
   
-  delete: async (id) => {
+  // Pass { deactivate: true } to deactivate a product that orders still reference
+  delete: async (id, { deactivate = false } = {}) => {
     try {
-      console.log(`Deleting product ${id}...`);
-      const response = await api.delete(`/api/products/${id}`);
-      console.log('Product deleted successfully');
+      console.log(`${deactivate ? 'Deactivating' : 'Deleting'} product ${id}...`);
+      const response = await api.delete(`/api/products/${id}`, {
+        params: deactivate ? { mode: 'deactivate' } : {}
+      });
+      console.log(response.data?.message || 'Product deleted successfully');
       return response;
     } catch (error) {
       console.error(`Failed to delete product ${id}:`, error);
@@ -250,15 +563,28 @@ export const productAPI = {
 export const orderAPI = {
   getAll: async (params = {}) => {
     try {
-      console.log('Fetching all orders...');
+      console.log('Fetching orders...', params);
       const response = await api.get('/api/orders', { params });
-      console.log('Orders fetched successfully:', response.data?.length || 0, 'orders');
+      console.log('Orders fetched successfully:', response.data?.items?.length || 0, 'of', response.data?.total || 0, 'orders');
       return response;
     } catch (error) {
       console.error('Failed to fetch orders:', error);
       throw error;
     }
   },
+
+  // CSV or XLSX export, filtered like getAll
+  export: async (params = {}, format = 'csv') => {
+    try {
+      console.log(`Exporting orders as ${format}...`);
+      const response = await api.get('/api/orders/export', { params: { ...params, format }, responseType: 'blob', timeout: 0 });
+      console.log('Orders exported successfully');
+      return response;
+    } catch (error) {
+      console.error('Failed to export orders:', error);
+      throw error;
+    }
+  },
   
   getById: async (id) => {
     try {
@@ -272,6 +598,20 @@ export const orderAPI = {
     }
   },
   
+  // Prices a prospective order exactly as create would (discounts, coupon,
+  // tax and shipping) without saving it; takes the same fields as create
+  quote: async (request) => {
+    try {
+      console.log('Pricing order...');
+      const response = await api.post('/api/orders/quote', request);
+      console.log('Order priced:', response.data?.totalAmount);
+      return response;
+    } catch (error) {
+      console.error('Failed to price order:', error);
+      throw error;
+    }
+  },
+
   create: async (order) => {
     try {
       console.log('Creating new order...');
@@ -284,10 +624,88 @@ export const orderAPI = {
     }
   },
   
-  updateStatus: async (id, status) => {
+  // Edits lines, customer and notes of a placed order; pass keepPrices to keep the original unit prices
+  update: async (id, order) => {
+    try {
+      console.log(`Updating order ${id}...`);
+      const response = await api.put(`/api/orders/${id}`, order);
+      console.log('Order updated successfully');
+      return response;
+    } catch (error) {
+      console.error(`Failed to update order ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Reprints an invoice that has already been issued; resolves to the PDF as a Blob
+  downloadInvoice: async (id) => {
+    try {
+      console.log(`Downloading invoice for order ${id}...`);
+      const response = await api.get(`/api/orders/${id}/invoice`, { responseType: 'blob' });
+      console.log('Invoice downloaded successfully');
+      return response;
+    } catch (error) {
+      console.error(`Failed to download invoice for order ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Assigns the invoice number if the order has none yet; returns the PDF
+  issueInvoice: async (id) => {
+    try {
+      console.log(`Issuing invoice for order ${id}...`);
+      const response = await api.post(`/api/orders/${id}/invoice`, null, { responseType: 'blob' });
+      console.log('Invoice issued successfully');
+      return response;
+    } catch (error) {
+      console.error(`Failed to issue invoice for order ${id}:`, error);
+      throw error;
+    }
+  },
+
+  downloadPackingSlip: async (id) => {
+    try {
+      console.log(`Downloading packing slip for order ${id}...`);
+      const response = await api.get(`/api/orders/${id}/packing-slip`, { responseType: 'blob' });
+      console.log('Packing slip downloaded successfully');
+      return response;
+    } catch (error) {
+      console.error(`Failed to download packing slip for order ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // One PDF with a packing slip per selected order
+  downloadPackingSlips: async (ids) => {
+    try {
+      console.log(`Downloading packing slips for ${ids.length} orders...`);
+      const response = await api.get('/api/orders/packing-slips', { params: { ids: ids.join(',') }, responseType: 'blob' });
+      console.log('Packing slips downloaded successfully');
+      return response;
+    } catch (error) {
+      console.error('Failed to download packing slips:', error);
+      throw error;
+    }
+  },
+
+  // Pick list for the given placed orders, or for every placed order when ids is empty
+  downloadPickList: async (ids = []) => {
+    try {
+      console.log('Downloading pick list...');
+      const params = ids.length > 0 ? { ids: ids.join(',') } : {};
+      const response = await api.get('/api/orders/pick-list', { params, responseType: 'blob' });
+      console.log('Pick list downloaded successfully');
+      return response;
+    } catch (error) {
+      console.error('Failed to download pick list:', error);
+      throw error;
+    }
+  },
+
+  updateStatus: async (id, status, reason, shipment) => {
     try {
       console.log(`Updating order ${id} status to ${status}...`);
-      const response = await api.put(`/api/orders/${id}/status`, { status });
+      const response = await api.put(`/api/orders/${id}/status`, { status, reason, shipment });
       console.log('Order status updated successfully');
       return response;
     } catch (error) {
@@ -307,6 +725,264 @@ export const orderAPI = {
       throw error;
     }
   },
+
+  restore: async (id) => {
+    try {
+      console.log(`Restoring order ${id}...`);
+      const response = await api.post(`/api/orders/${id}/restore`);
+      console.log('Order restored successfully');
+      return response;
+    } catch (error) {
+      console.error(`Failed to restore order ${id}:`, error);
+      throw error;
+    }
+  },
+};
+
+// Coupon API
+export const couponAPI = {
+  getAll: async () => {
+    try {
+      console.log('Fetching coupons...');
+      const response = await api.get('/api/coupons');
+      console.log('Coupons fetched successfully:', response.data?.length || 0, 'coupons');
+      return response;
+    } catch (error) {
+      console.error('Failed to fetch coupons:', error);
+      throw error;
+    }
+  },
+
+  create: async (coupon) => {
+    try {
+      console.log('Creating new coupon...');
+      const response = await api.post('/api/coupons', coupon);
+      console.log('Coupon created successfully');
+      return response;
+    } catch (error) {
+      console.error('Failed to create coupon:', error);
+      throw error;
+    }
+  },
+
+  update: async (id, coupon) => {
+    try {
+      console.log(`Updating coupon ${id}...`);
+      const response = await api.put(`/api/coupons/${id}`, coupon);
+      console.log('Coupon updated successfully');
+      return response;
+    } catch (error) {
+      console.error(`Failed to update coupon ${id}:`, error);
+      throw error;
+    }
+  },
+
+  delete: async (id) => {
+    try {
+      console.log(`Deleting coupon ${id}...`);
+      const response = await api.delete(`/api/coupons/${id}`);
+      console.log('Coupon deleted successfully');
+      return response;
+    } catch (error) {
+      console.error(`Failed to delete coupon ${id}:`, error);
+      throw error;
+    }
+  },
+};
+
+// Tax Rule API
+export const taxRuleAPI = {
+  getAll: async () => {
+    try {
+      console.log('Fetching tax rules...');
+      const response = await api.get('/api/tax-rules');
+      console.log('Tax rules fetched successfully:', response.data?.length || 0, 'rules');
+      return response;
+    } catch (error) {
+      console.error('Failed to fetch tax rules:', error);
+      throw error;
+    }
+  },
+
+  create: async (rule) => {
+    try {
+      console.log('Creating new tax rule...');
+      const response = await api.post('/api/tax-rules', rule);
+      console.log('Tax rule created successfully');
+      return response;
+    } catch (error) {
+      console.error('Failed to create tax rule:', error);
+      throw error;
+    }
+  },
+
+  update: async (id, rule) => {
+    try {
+      console.log(`Updating tax rule ${id}...`);
+      const response = await api.put(`/api/tax-rules/${id}`, rule);
+      console.log('Tax rule updated successfully');
+      return response;
+    } catch (error) {
+      console.error(`Failed to update tax rule ${id}:`, error);
+      throw error;
+    }
+  },
+
+  delete: async (id) => {
+    try {
+      console.log(`Deleting tax rule ${id}...`);
+      const response = await api.delete(`/api/tax-rules/${id}`);
+      console.log('Tax rule deleted successfully');
+      return response;
+    } catch (error) {
+      console.error(`Failed to delete tax rule ${id}:`, error);
+      throw error;
+    }
+  },
+};
+
+// Shipping Method API
+export const shippingMethodAPI = {
+  getAll: async () => {
+    try {
+      console.log('Fetching shipping methods...');
+      const response = await api.get('/api/shipping-methods');
+      console.log('Shipping methods fetched successfully:', response.data?.length || 0, 'methods');
+      return response;
+    } catch (error) {
+      console.error('Failed to fetch shipping methods:', error);
+      throw error;
+    }
+  },
+
+  create: async (method) => {
+    try {
+      console.log('Creating new shipping method...');
+      const response = await api.post('/api/shipping-methods', method);
+      console.log('Shipping method created successfully');
+      return response;
+    } catch (error) {
+      console.error('Failed to create shipping method:', error);
+      throw error;
+    }
+  },
+
+  update: async (id, method) => {
+    try {
+      console.log(`Updating shipping method ${id}...`);
+      const response = await api.put(`/api/shipping-methods/${id}`, method);
+      console.log('Shipping method updated successfully');
+      return response;
+    } catch (error) {
+      console.error(`Failed to update shipping method ${id}:`, error);
+      throw error;
+    }
+  },
+
+  delete: async (id) => {
+    try {
+      console.log(`Deleting shipping method ${id}...`);
+      const response = await api.delete(`/api/shipping-methods/${id}`);
+      console.log('Shipping method deleted successfully');
+      return response;
+    } catch (error) {
+      console.error(`Failed to delete shipping method ${id}:`, error);
+      throw error;
+    }
+  },
+};
+
+// Currency API
+export const currencyAPI = {
+  getAll: async () => {
+    try {
+      console.log('Fetching currencies...');
+      const response = await api.get('/api/currencies');
+      console.log('Currencies fetched successfully');
+      return response;
+    } catch (error) {
+      console.error('Failed to fetch currencies:', error);
+      throw error;
+    }
+  },
+};
+
+// Exchange Rate API
+export const exchangeRateAPI = {
+  getAll: async () => {
+    try {
+      console.log('Fetching exchange rates...');
+      const response = await api.get('/api/exchange-rates');
+      console.log('Exchange rates fetched successfully:', response.data?.length || 0, 'rates');
+      return response;
+    } catch (error) {
+      console.error('Failed to fetch exchange rates:', error);
+      throw error;
+    }
+  },
+
+  create: async (rate) => {
+    try {
+      console.log('Creating new exchange rate...');
+      const response = await api.post('/api/exchange-rates', rate);
+      console.log('Exchange rate created successfully');
+      return response;
+    } catch (error) {
+      console.error('Failed to create exchange rate:', error);
+      throw error;
+    }
+  },
+
+  update: async (id, rate) => {
+    try {
+      console.log(`Updating exchange rate ${id}...`);
+      const response = await api.put(`/api/exchange-rates/${id}`, rate);
+      console.log('Exchange rate updated successfully');
+      return response;
+    } catch (error) {
+      console.error(`Failed to update exchange rate ${id}:`, error);
+      throw error;
+    }
+  },
+
+  delete: async (id) => {
+    try {
+      console.log(`Deleting exchange rate ${id}...`);
+      const response = await api.delete(`/api/exchange-rates/${id}`);
+      console.log('Exchange rate deleted successfully');
+      return response;
+    } catch (error) {
+      console.error(`Failed to delete exchange rate ${id}:`, error);
+      throw error;
+    }
+  },
+};
+
+// Settings API
+export const settingsAPI = {
+  getSecurity: async () => {
+    try {
+      console.log('Fetching security settings...');
+      const response = await api.get('/api/settings/security');
+      console.log('Security settings fetched successfully');
+      return response;
+    } catch (error) {
+      console.error('Failed to fetch security settings:', error);
+      throw error;
+    }
+  },
+
+  updateSecurity: async (settings) => {
+    try {
+      console.log('Updating security settings...', settings);
+      const response = await api.put('/api/settings/security', settings);
+      console.log('Security settings updated successfully');
+      return response;
+    } catch (error) {
+      console.error('Failed to update security settings:', error);
+      throw error;
+    }
+  },
 };
 
 // Dashboard API
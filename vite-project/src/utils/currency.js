@@ -0,0 +1,16 @@
+// Intl.NumberFormat is slow to construct, so keep one per currency
+const formatters = new Map();
+
+const formatterFor = (currency) => {
+  if (!formatters.has(currency)) {
+    formatters.set(currency, new Intl.NumberFormat(undefined, { style: 'currency', currency }));
+  }
+  return formatters.get(currency);
+};
+
+// Formats an amount in its own currency, e.g. formatMoney(12.5, 'EUR') -> "€12.50"
+export const formatMoney = (amount, currency = 'USD') => formatterFor(currency).format(amount || 0);
+
+// The symbol a currency is written with, e.g. currencySymbol('EUR') -> "€"
+export const currencySymbol = (currency = 'USD') =>
+  formatterFor(currency).formatToParts(0).find(part => part.type === 'currency')?.value || currency;
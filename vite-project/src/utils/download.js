@@ -0,0 +1,28 @@
+// Runs an API request made with responseType 'blob' and saves the file it
+// returns, named from Content-Disposition when the server sends one
+export const downloadFile = async (request, fallbackName) => {
+  let response;
+  try {
+    response = await request();
+  } catch (error) {
+    // Error bodies of blob requests are blobs too, so read the JSON message out
+    const body = error.response?.data;
+    if (body instanceof Blob) {
+      const message = await body.text().then((text) => JSON.parse(text).error).catch(() => null);
+      if (message) throw new Error(message);
+    }
+    throw error;
+  }
+
+  const disposition = response.headers['content-disposition'] || '';
+  const filename = disposition.match(/filename="?([^";]+)"?/)?.[1] || fallbackName;
+
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};